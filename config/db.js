@@ -1,15 +1,20 @@
 const { Pool } = require('pg');
 require('dotenv').config();
 
+// SSL stays on by default for the hosted database; DB_SSL=false turns it off
+// for a local server. Render's certificate is not verified unless
+// DB_SSL_REJECT_UNAUTHORIZED=true.
+const ssl = process.env.DB_SSL === 'false'
+  ? false
+  : { rejectUnauthorized: process.env.DB_SSL_REJECT_UNAUTHORIZED === 'true' };
+
 const pool = new Pool({
   user: process.env.DB_USER,
   host: process.env.DB_HOST,
   database: process.env.DB_NAME,
   password: process.env.DB_PASSWORD,
   port: process.env.DB_PORT,
-  ssl: {
-    rejectUnauthorized: false // Required for Render-hosted DB
-  }
+  ssl
 });
 
 module.exports = pool;
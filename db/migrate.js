@@ -0,0 +1,38 @@
+// Usage: npm run migrate [-- up [version] | down [steps] | status]
+const pool = require('../config/db');
+const { migrateUp, migrateDown, getMigrationStatus } = require('./migrator');
+
+const commands = {
+    up: async (to) => {
+        const applied = await migrateUp({ to: to === undefined ? undefined : parseInt(to, 10) });
+        console.log(applied.length ? `${applied.length} migration(s) applied` : 'Database is up to date');
+    },
+    down: async (steps = '1') => {
+        const reverted = await migrateDown({ steps: parseInt(steps, 10) });
+        console.log(reverted.length ? `${reverted.length} migration(s) reverted` : 'Nothing to revert');
+    },
+    status: async () => {
+        const { migrations, unknown } = await getMigrationStatus();
+        for (const migration of migrations) {
+            const state = migration.applied_at ? `applied ${migration.applied_at.toISOString()}` : 'pending';
+            console.log(`${String(migration.version).padStart(3, '0')} ${migration.name.padEnd(28)} ${state}`);
+        }
+        for (const row of unknown) {
+            console.log(`${String(row.version).padStart(3, '0')} ${row.name.padEnd(28)} applied, but missing from db/migrations`);
+        }
+    }
+};
+
+const [command = 'up', arg] = process.argv.slice(2);
+
+if (!commands[command]) {
+    console.error(`Unknown command "${command}". Use up, down or status.`);
+    process.exit(1);
+}
+
+commands[command](arg)
+    .catch((error) => {
+        console.error('Migration failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS system_settings;
+DROP TABLE IF EXISTS cab_requests;
+DROP TABLE IF EXISTS drivers;
+DROP TABLE IF EXISTS admins;
+DROP TABLE IF EXISTS pending_users;
+DROP TABLE IF EXISTS users;
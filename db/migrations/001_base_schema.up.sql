@@ -0,0 +1,80 @@
+-- Base tables the application was originally written against.
+
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(100) NOT NULL UNIQUE,
+    email VARCHAR(255) UNIQUE,
+    password VARCHAR(255) NOT NULL,
+    phone VARCHAR(20),
+    role VARCHAR(20) NOT NULL DEFAULT 'passenger',
+    gender VARCHAR(10),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS pending_users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(100) NOT NULL,
+    email VARCHAR(255),
+    password VARCHAR(255) NOT NULL,
+    phone VARCHAR(20),
+    role VARCHAR(20) NOT NULL DEFAULT 'passenger',
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS admins (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(100) NOT NULL UNIQUE,
+    password VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS drivers (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    phone VARCHAR(20),
+    password VARCHAR(255),
+    vehicle_type VARCHAR(50),
+    vehicle_number VARCHAR(50),
+    license_number VARCHAR(100),
+    gender VARCHAR(10) NOT NULL DEFAULT 'men' CHECK (gender IN ('men', 'women', 'other')),
+    available BOOLEAN NOT NULL DEFAULT true,
+    is_online BOOLEAN NOT NULL DEFAULT false,
+    current_latitude DOUBLE PRECISION,
+    current_longitude DOUBLE PRECISION,
+    location_accuracy DOUBLE PRECISION,
+    last_location_update TIMESTAMP,
+    last_seen TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS cab_requests (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    driver_id INTEGER REFERENCES drivers(id) ON DELETE SET NULL,
+    pickup_location TEXT NOT NULL,
+    dropoff_location TEXT NOT NULL,
+    current_location TEXT,
+    request_time TIMESTAMP NOT NULL DEFAULT NOW(),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    fare_amount NUMERIC(10, 2),
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_cab_requests_user ON cab_requests (user_id, request_time);
+CREATE INDEX IF NOT EXISTS idx_cab_requests_driver ON cab_requests (driver_id, status);
+
+CREATE TABLE IF NOT EXISTS system_settings (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    base_fare NUMERIC(10, 2) NOT NULL DEFAULT 5.00,
+    price_per_mile NUMERIC(10, 2) NOT NULL DEFAULT 1.50,
+    price_per_minute NUMERIC(10, 2) NOT NULL DEFAULT 0.50,
+    maintenance_mode BOOLEAN NOT NULL DEFAULT false,
+    enable_notifications BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,10 @@
+DROP TABLE IF EXISTS ride_status_history;
+
+ALTER TABLE cab_requests DROP CONSTRAINT IF EXISTS cab_requests_status_check;
+
+ALTER TABLE cab_requests
+    ALTER COLUMN status SET DEFAULT 'pending',
+    DROP COLUMN IF EXISTS accepted_at,
+    DROP COLUMN IF EXISTS arrived_at,
+    DROP COLUMN IF EXISTS started_at,
+    DROP COLUMN IF EXISTS cancelled_at;
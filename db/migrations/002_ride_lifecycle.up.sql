@@ -0,0 +1,31 @@
+-- Ride lifecycle: lowercase statuses, per-status timestamps and transition history.
+
+UPDATE cab_requests SET status = 'requested' WHERE UPPER(status) = 'PENDING';
+UPDATE cab_requests SET status = 'assigned' WHERE UPPER(status) IN ('ASSIGNED', 'CONFIRMED');
+UPDATE cab_requests SET status = LOWER(status)
+WHERE UPPER(status) IN ('ACCEPTED', 'ARRIVED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED', 'NO_SHOW');
+
+ALTER TABLE cab_requests
+    ALTER COLUMN status SET DEFAULT 'requested',
+    ADD COLUMN IF NOT EXISTS accepted_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS arrived_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS started_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+
+ALTER TABLE cab_requests DROP CONSTRAINT IF EXISTS cab_requests_status_check;
+ALTER TABLE cab_requests ADD CONSTRAINT cab_requests_status_check CHECK (status IN (
+    'requested', 'assigned', 'accepted', 'arrived', 'in_progress', 'completed', 'cancelled', 'no_show'
+));
+
+CREATE TABLE IF NOT EXISTS ride_status_history (
+    id SERIAL PRIMARY KEY,
+    ride_id INTEGER NOT NULL REFERENCES cab_requests(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    actor_role VARCHAR(20) NOT NULL DEFAULT 'system',
+    actor_id INTEGER,
+    reason TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ride_status_history_ride ON ride_status_history (ride_id, created_at);
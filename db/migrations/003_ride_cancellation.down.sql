@@ -0,0 +1,9 @@
+ALTER TABLE system_settings
+    DROP COLUMN IF EXISTS cancellation_fee,
+    DROP COLUMN IF EXISTS cancellation_grace_minutes;
+
+ALTER TABLE cab_requests
+    DROP COLUMN IF EXISTS cancelled_by_role,
+    DROP COLUMN IF EXISTS cancelled_by_id,
+    DROP COLUMN IF EXISTS cancellation_reason,
+    DROP COLUMN IF EXISTS cancellation_fee;
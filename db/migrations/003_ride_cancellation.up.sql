@@ -0,0 +1,11 @@
+-- Ride cancellation: who cancelled, why, and the fee charged.
+
+ALTER TABLE cab_requests
+    ADD COLUMN IF NOT EXISTS cancelled_by_role VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS cancelled_by_id INTEGER,
+    ADD COLUMN IF NOT EXISTS cancellation_reason TEXT,
+    ADD COLUMN IF NOT EXISTS cancellation_fee NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE system_settings
+    ADD COLUMN IF NOT EXISTS cancellation_fee NUMERIC(10, 2) NOT NULL DEFAULT 5.00,
+    ADD COLUMN IF NOT EXISTS cancellation_grace_minutes INTEGER NOT NULL DEFAULT 2;
@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS ride_dispatch_offers;
+
+ALTER TABLE cab_requests
+    DROP COLUMN IF EXISTS pickup_lat,
+    DROP COLUMN IF EXISTS pickup_lng,
+    DROP COLUMN IF EXISTS vehicle_type;
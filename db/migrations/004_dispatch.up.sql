@@ -0,0 +1,21 @@
+-- Automatic dispatch: pickup coordinates on rides and the offers made to drivers.
+
+ALTER TABLE cab_requests
+    ADD COLUMN IF NOT EXISTS pickup_lat DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS pickup_lng DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS vehicle_type VARCHAR(50);
+
+CREATE TABLE IF NOT EXISTS ride_dispatch_offers (
+    id SERIAL PRIMARY KEY,
+    ride_id INTEGER NOT NULL REFERENCES cab_requests(id) ON DELETE CASCADE,
+    driver_id INTEGER NOT NULL REFERENCES drivers(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'offered'
+        CHECK (status IN ('offered', 'accepted', 'declined', 'expired', 'withdrawn')),
+    distance_meters INTEGER,
+    offered_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+    responded_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ride_dispatch_offers_ride ON ride_dispatch_offers (ride_id, driver_id);
+CREATE INDEX IF NOT EXISTS idx_ride_dispatch_offers_pending ON ride_dispatch_offers (expires_at) WHERE status = 'offered';
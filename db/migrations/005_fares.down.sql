@@ -0,0 +1,13 @@
+ALTER TABLE cab_requests
+    DROP COLUMN IF EXISTS dropoff_lat,
+    DROP COLUMN IF EXISTS dropoff_lng,
+    DROP COLUMN IF EXISTS estimated_fare,
+    DROP COLUMN IF EXISTS estimated_distance_meters,
+    DROP COLUMN IF EXISTS estimated_duration_seconds,
+    DROP COLUMN IF EXISTS trip_distance_meters,
+    DROP COLUMN IF EXISTS trip_duration_seconds,
+    DROP COLUMN IF EXISTS fare_breakdown;
+
+DROP TABLE IF EXISTS fare_rate_cards;
+
+ALTER TABLE system_settings DROP COLUMN IF EXISTS minimum_fare;
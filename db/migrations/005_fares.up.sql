@@ -0,0 +1,24 @@
+-- Fare engine: minimum fare, per-vehicle-type rate cards and fare breakdowns.
+
+ALTER TABLE system_settings
+    ADD COLUMN IF NOT EXISTS minimum_fare NUMERIC(10, 2) NOT NULL DEFAULT 7.00;
+
+CREATE TABLE IF NOT EXISTS fare_rate_cards (
+    vehicle_type VARCHAR(50) PRIMARY KEY,
+    base_fare NUMERIC(10, 2),
+    price_per_mile NUMERIC(10, 2),
+    price_per_minute NUMERIC(10, 2),
+    minimum_fare NUMERIC(10, 2),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE cab_requests
+    ADD COLUMN IF NOT EXISTS dropoff_lat DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS dropoff_lng DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS estimated_fare NUMERIC(10, 2),
+    ADD COLUMN IF NOT EXISTS estimated_distance_meters INTEGER,
+    ADD COLUMN IF NOT EXISTS estimated_duration_seconds INTEGER,
+    ADD COLUMN IF NOT EXISTS trip_distance_meters INTEGER,
+    ADD COLUMN IF NOT EXISTS trip_duration_seconds INTEGER,
+    ADD COLUMN IF NOT EXISTS fare_breakdown JSONB;
@@ -0,0 +1 @@
+ALTER TABLE cab_requests DROP COLUMN IF EXISTS quoted_fare;
@@ -0,0 +1,4 @@
+-- Fare quotes: the locked price a ride was booked at.
+
+ALTER TABLE cab_requests
+    ADD COLUMN IF NOT EXISTS quoted_fare NUMERIC(10, 2);
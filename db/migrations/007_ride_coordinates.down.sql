@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_cab_requests_open_pickup;
+
+ALTER TABLE cab_requests DROP CONSTRAINT IF EXISTS cab_requests_coordinates_check;
@@ -0,0 +1,13 @@
+-- Structured pickup/dropoff coordinates on ride requests.
+
+ALTER TABLE cab_requests DROP CONSTRAINT IF EXISTS cab_requests_coordinates_check;
+ALTER TABLE cab_requests ADD CONSTRAINT cab_requests_coordinates_check CHECK (
+    (pickup_lat IS NULL OR pickup_lat BETWEEN -90 AND 90) AND
+    (pickup_lng IS NULL OR pickup_lng BETWEEN -180 AND 180) AND
+    (dropoff_lat IS NULL OR dropoff_lat BETWEEN -90 AND 90) AND
+    (dropoff_lng IS NULL OR dropoff_lng BETWEEN -180 AND 180)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cab_requests_open_pickup
+    ON cab_requests (vehicle_type, pickup_lat, pickup_lng)
+    WHERE status = 'requested' AND driver_id IS NULL;
@@ -0,0 +1,13 @@
+-- Trip tracks: every location ping a driver sends while a trip is in progress.
+
+CREATE TABLE IF NOT EXISTS ride_track_points (
+    id BIGSERIAL PRIMARY KEY,
+    ride_id INTEGER NOT NULL REFERENCES cab_requests(id) ON DELETE CASCADE,
+    driver_id INTEGER REFERENCES drivers(id) ON DELETE SET NULL,
+    latitude DOUBLE PRECISION NOT NULL,
+    longitude DOUBLE PRECISION NOT NULL,
+    accuracy DOUBLE PRECISION,
+    recorded_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ride_track_points_ride ON ride_track_points (ride_id, recorded_at);
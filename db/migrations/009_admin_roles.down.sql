@@ -0,0 +1,2 @@
+ALTER TABLE admins DROP CONSTRAINT IF EXISTS admins_admin_role_check;
+ALTER TABLE admins DROP COLUMN IF EXISTS admin_role;
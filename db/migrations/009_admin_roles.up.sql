@@ -0,0 +1,7 @@
+-- Admin roles: super_admin has every permission, dispatcher is limited to ride operations.
+
+ALTER TABLE admins
+    ADD COLUMN IF NOT EXISTS admin_role VARCHAR(20) NOT NULL DEFAULT 'super_admin';
+
+ALTER TABLE admins DROP CONSTRAINT IF EXISTS admins_admin_role_check;
+ALTER TABLE admins ADD CONSTRAINT admins_admin_role_check CHECK (admin_role IN ('super_admin', 'dispatcher'));
@@ -0,0 +1,18 @@
+-- Login sessions: hashed refresh tokens, rotation and revocation for all roles.
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+    id UUID PRIMARY KEY,
+    subject_role VARCHAR(20) NOT NULL CHECK (subject_role IN ('user', 'driver', 'admin')),
+    subject_id INTEGER NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    previous_token_hash CHAR(64),
+    user_agent TEXT,
+    ip_address VARCHAR(64),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_subject ON auth_sessions (subject_role, subject_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_previous ON auth_sessions (previous_token_hash);
@@ -0,0 +1,16 @@
+-- Password resets: single-use, expiring tokens for every account type.
+
+ALTER TABLE admins ADD COLUMN IF NOT EXISTS email VARCHAR(255);
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id SERIAL PRIMARY KEY,
+    subject_role VARCHAR(20) NOT NULL CHECK (subject_role IN ('user', 'driver', 'admin')),
+    subject_id INTEGER NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_subject
+    ON password_reset_tokens (subject_role, subject_id) WHERE used_at IS NULL;
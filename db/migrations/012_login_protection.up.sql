@@ -0,0 +1,30 @@
+-- Login protection: attempt audit trail and temporary account/IP lockouts.
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id BIGSERIAL PRIMARY KEY,
+    role VARCHAR(20) NOT NULL,
+    identifier VARCHAR(255) NOT NULL,
+    account_key VARCHAR(300) NOT NULL,
+    ip_address VARCHAR(64),
+    succeeded BOOLEAN NOT NULL,
+    failure_reason VARCHAR(50),
+    user_agent TEXT,
+    attempted_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_account ON login_attempts (account_key, attempted_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts (ip_address, attempted_at);
+
+CREATE TABLE IF NOT EXISTS login_lockouts (
+    id SERIAL PRIMARY KEY,
+    scope VARCHAR(10) NOT NULL CHECK (scope IN ('account', 'ip')),
+    lock_key VARCHAR(300) NOT NULL,
+    role VARCHAR(20),
+    failed_count INTEGER NOT NULL,
+    locked_until TIMESTAMP NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    cleared_at TIMESTAMP,
+    cleared_by INTEGER REFERENCES admins(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_lockouts_key ON login_lockouts (scope, lock_key, locked_until);
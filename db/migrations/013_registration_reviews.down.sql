@@ -0,0 +1,11 @@
+DROP INDEX IF EXISTS idx_pending_users_status;
+
+-- Reviewed requests only existed to report their outcome
+DELETE FROM pending_users WHERE status <> 'pending';
+
+ALTER TABLE pending_users
+    DROP COLUMN IF EXISTS status,
+    DROP COLUMN IF EXISTS reviewed_by,
+    DROP COLUMN IF EXISTS reviewed_at,
+    DROP COLUMN IF EXISTS rejection_reason,
+    DROP COLUMN IF EXISTS user_id;
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS driver_documents;
+
+ALTER TABLE drivers
+    DROP COLUMN IF EXISTS verification_status,
+    DROP COLUMN IF EXISTS verified_at;
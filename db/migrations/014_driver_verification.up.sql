@@ -0,0 +1,30 @@
+-- Driver onboarding: uploaded documents and their review outcome.
+-- Drivers that existed before verification was introduced are grandfathered in.
+
+ALTER TABLE drivers
+    ADD COLUMN IF NOT EXISTS verification_status VARCHAR(20) NOT NULL DEFAULT 'verified'
+        CHECK (verification_status IN ('pending', 'verified', 'rejected')),
+    ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP;
+
+ALTER TABLE drivers ALTER COLUMN verification_status SET DEFAULT 'pending';
+
+CREATE TABLE IF NOT EXISTS driver_documents (
+    id SERIAL PRIMARY KEY,
+    driver_id INTEGER NOT NULL REFERENCES drivers(id) ON DELETE CASCADE,
+    doc_type VARCHAR(30) NOT NULL,
+    document_number VARCHAR(100),
+    file_name VARCHAR(255) NOT NULL,
+    original_name VARCHAR(255),
+    mime_type VARCHAR(100),
+    size_bytes INTEGER,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected')),
+    rejection_reason TEXT,
+    expires_at DATE,
+    reviewed_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    uploaded_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_driver_documents_driver ON driver_documents (driver_id, doc_type, uploaded_at);
+CREATE INDEX IF NOT EXISTS idx_driver_documents_pending ON driver_documents (uploaded_at) WHERE status = 'pending';
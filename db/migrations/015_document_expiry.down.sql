@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS document_expiry_warnings;
+DROP INDEX IF EXISTS idx_driver_documents_expiry;
+
+UPDATE drivers SET verification_status = 'pending' WHERE verification_status = 'suspended';
+
+ALTER TABLE drivers DROP CONSTRAINT IF EXISTS drivers_verification_status_check;
+ALTER TABLE drivers ADD CONSTRAINT drivers_verification_status_check
+    CHECK (verification_status IN ('pending', 'verified', 'rejected'));
@@ -0,0 +1,16 @@
+-- Document expiry: drivers whose paperwork lapses are suspended, and each
+-- reminder sent ahead of expiry is recorded so it goes out once.
+
+ALTER TABLE drivers DROP CONSTRAINT IF EXISTS drivers_verification_status_check;
+ALTER TABLE drivers ADD CONSTRAINT drivers_verification_status_check
+    CHECK (verification_status IN ('pending', 'verified', 'rejected', 'suspended'));
+
+CREATE INDEX IF NOT EXISTS idx_driver_documents_expiry ON driver_documents (expires_at) WHERE status = 'approved';
+
+CREATE TABLE IF NOT EXISTS document_expiry_warnings (
+    id SERIAL PRIMARY KEY,
+    document_id INTEGER NOT NULL REFERENCES driver_documents(id) ON DELETE CASCADE,
+    threshold_days INTEGER NOT NULL,
+    sent_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    UNIQUE (document_id, threshold_days)
+);
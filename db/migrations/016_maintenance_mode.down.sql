@@ -0,0 +1,4 @@
+ALTER TABLE system_settings
+    DROP COLUMN IF EXISTS maintenance_message,
+    DROP COLUMN IF EXISTS maintenance_retry_after_seconds,
+    DROP COLUMN IF EXISTS maintenance_allow_active_trips;
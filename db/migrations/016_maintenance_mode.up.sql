@@ -0,0 +1,6 @@
+-- Maintenance mode: what riders and drivers are told while it is on.
+
+ALTER TABLE system_settings
+    ADD COLUMN IF NOT EXISTS maintenance_message TEXT,
+    ADD COLUMN IF NOT EXISTS maintenance_retry_after_seconds INTEGER NOT NULL DEFAULT 900,
+    ADD COLUMN IF NOT EXISTS maintenance_allow_active_trips BOOLEAN NOT NULL DEFAULT true;
@@ -0,0 +1,18 @@
+-- Ride ratings: after a completed ride the rider rates the driver and the
+-- driver rates the rider, once each.
+
+CREATE TABLE IF NOT EXISTS ride_ratings (
+    id SERIAL PRIMARY KEY,
+    ride_id INTEGER NOT NULL REFERENCES cab_requests(id) ON DELETE CASCADE,
+    rater_role VARCHAR(20) NOT NULL CHECK (rater_role IN ('user', 'driver')),
+    rater_id INTEGER NOT NULL,
+    ratee_role VARCHAR(20) NOT NULL CHECK (ratee_role IN ('user', 'driver')),
+    ratee_id INTEGER NOT NULL,
+    stars SMALLINT NOT NULL CHECK (stars BETWEEN 1 AND 5),
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    comment TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    UNIQUE (ride_id, rater_role)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ride_ratings_ratee ON ride_ratings (ratee_role, ratee_id);
@@ -0,0 +1,11 @@
+DROP INDEX IF EXISTS idx_cab_requests_scheduled;
+
+-- Rides still waiting for their pickup slot cannot be represented any more
+UPDATE cab_requests SET status = 'cancelled', cancelled_at = NOW() WHERE status = 'scheduled';
+
+ALTER TABLE cab_requests DROP COLUMN IF EXISTS released_at;
+
+ALTER TABLE cab_requests DROP CONSTRAINT IF EXISTS cab_requests_status_check;
+ALTER TABLE cab_requests ADD CONSTRAINT cab_requests_status_check CHECK (status IN (
+    'requested', 'assigned', 'accepted', 'arrived', 'in_progress', 'completed', 'cancelled', 'no_show'
+));
@@ -0,0 +1,11 @@
+-- Scheduled rides: booked in advance and released to dispatch shortly before pickup.
+
+ALTER TABLE cab_requests DROP CONSTRAINT IF EXISTS cab_requests_status_check;
+ALTER TABLE cab_requests ADD CONSTRAINT cab_requests_status_check CHECK (status IN (
+    'scheduled', 'requested', 'assigned', 'accepted', 'arrived', 'in_progress', 'completed', 'cancelled', 'no_show'
+));
+
+ALTER TABLE cab_requests
+    ADD COLUMN IF NOT EXISTS released_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_cab_requests_scheduled ON cab_requests (request_time) WHERE status = 'scheduled';
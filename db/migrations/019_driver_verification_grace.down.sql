@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_drivers_verification_grace;
+
+ALTER TABLE drivers DROP COLUMN IF EXISTS verification_grace_until;
@@ -0,0 +1,18 @@
+-- Drivers grandfathered in by 014 were marked verified without any documents.
+-- They stay verified until verification_grace_until, even once they start
+-- uploading, and are then checked against their documents like everyone
+-- else. Drivers verified from documents have no deadline (NULL).
+
+ALTER TABLE drivers
+    ADD COLUMN IF NOT EXISTS verification_grace_until TIMESTAMP;
+
+UPDATE drivers d
+SET verification_grace_until = NOW() + INTERVAL '30 days'
+WHERE d.verification_status = 'verified'
+AND d.verification_grace_until IS NULL
+AND NOT EXISTS (
+    SELECT 1 FROM driver_documents doc WHERE doc.driver_id = d.id AND doc.status = 'approved'
+);
+
+CREATE INDEX IF NOT EXISTS idx_drivers_verification_grace ON drivers (verification_grace_until)
+    WHERE verification_grace_until IS NOT NULL;
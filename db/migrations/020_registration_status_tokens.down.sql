@@ -0,0 +1 @@
+ALTER TABLE pending_users DROP COLUMN IF EXISTS status_token_hash;
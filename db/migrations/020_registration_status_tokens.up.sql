@@ -0,0 +1,7 @@
+-- Applicants look up their registration with the id and a random token
+-- returned when they register, so ids cannot be stepped through. Only the
+-- token's SHA-256 is stored. Requests made before this have no token and can
+-- no longer be looked up; their applicants are still notified of the outcome.
+
+ALTER TABLE pending_users
+    ADD COLUMN IF NOT EXISTS status_token_hash VARCHAR(64);
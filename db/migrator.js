@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const pool = require('../config/db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary key so two `npm run migrate` runs never interleave
+const MIGRATION_LOCK_ID = 48151623;
+
+class SchemaMismatchError extends Error {
+    constructor(pending, unknown) {
+        const problems = [];
+        if (pending.length) problems.push(`${pending.length} pending migration(s), run \`npm run migrate\``);
+        if (unknown.length) problems.push(`database has migration(s) this code does not know: ${unknown.join(', ')}`);
+        super(`Database schema does not match the code: ${problems.join('; ')}`);
+        this.name = 'SchemaMismatchError';
+        this.pending = pending;
+        this.unknown = unknown;
+    }
+}
+
+// Migrations on disk, oldest first. Files are NNN_name.up.sql / NNN_name.down.sql.
+const listMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(/^(\d+)_(.+)\.up\.sql$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+        version: parseInt(version, 10),
+        name,
+        up: path.join(MIGRATIONS_DIR, file),
+        down: path.join(MIGRATIONS_DIR, `${version}_${name}.down.sql`)
+    }))
+    .sort((a, b) => a.version - b.version);
+
+const ensureMigrationsTable = (client) => client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )`
+);
+
+const appliedMigrations = async (client) => {
+    await ensureMigrationsTable(client);
+    const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+};
+
+// Runs fn with a dedicated connection holding the migration lock
+const withMigrationLock = async (fn) => {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        return await fn(client);
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+        client.release();
+    }
+};
+
+// Each migration runs in its own transaction together with its bookkeeping row
+const runScript = async (client, file, bookkeeping) => {
+    const sql = fs.readFileSync(file, 'utf8');
+    await client.query('BEGIN');
+    try {
+        await client.query(sql);
+        await bookkeeping();
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        error.message = `${path.basename(file)}: ${error.message}`;
+        throw error;
+    }
+};
+
+// Applies every pending migration, or those up to and including `to`
+const migrateUp = ({ to, log = console.log } = {}) => withMigrationLock(async (client) => {
+    const applied = new Set((await appliedMigrations(client)).map(row => row.version));
+    const pending = listMigrations()
+        .filter(migration => !applied.has(migration.version))
+        .filter(migration => to === undefined || migration.version <= to);
+
+    for (const migration of pending) {
+        await runScript(client, migration.up, () => client.query(
+            'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+            [migration.version, migration.name]
+        ));
+        log(`Applied ${migration.version} ${migration.name}`);
+    }
+    return pending;
+});
+
+// Reverts the most recently applied `steps` migrations
+const migrateDown = ({ steps = 1, log = console.log } = {}) => withMigrationLock(async (client) => {
+    const known = new Map(listMigrations().map(migration => [migration.version, migration]));
+    const applied = (await appliedMigrations(client)).reverse().slice(0, steps);
+
+    for (const row of applied) {
+        const migration = known.get(row.version);
+        if (!migration || !fs.existsSync(migration.down)) {
+            throw new Error(`No down script for migration ${row.version} ${row.name}`);
+        }
+        await runScript(client, migration.down, () => client.query(
+            'DELETE FROM schema_migrations WHERE version = $1',
+            [migration.version]
+        ));
+        log(`Reverted ${migration.version} ${migration.name}`);
+    }
+    return applied;
+});
+
+const getMigrationStatus = async () => {
+    const applied = new Map((await appliedMigrations(pool)).map(row => [row.version, row]));
+    const migrations = listMigrations().map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        applied_at: applied.get(migration.version)?.applied_at || null
+    }));
+    const known = new Set(migrations.map(migration => migration.version));
+    const unknown = [...applied.values()].filter(row => !known.has(row.version));
+    return { migrations, unknown };
+};
+
+// Throws SchemaMismatchError unless the database is at exactly the code's version
+const assertSchemaCurrent = async () => {
+    const { migrations, unknown } = await getMigrationStatus();
+    const pending = migrations.filter(migration => !migration.applied_at);
+    if (pending.length || unknown.length) {
+        throw new SchemaMismatchError(pending, unknown.map(row => `${row.version} ${row.name}`));
+    }
+};
+
+module.exports = {
+    SchemaMismatchError,
+    listMigrations,
+    migrateUp,
+    migrateDown,
+    getMigrationStatus,
+    assertSchemaCurrent
+};
@@ -0,0 +1,60 @@
+// Creates the first admin account and the default system settings row.
+// Usage: npm run seed -- --username admin --password <secret> [--email admin@example.com]
+// or set SEED_ADMIN_USERNAME, SEED_ADMIN_PASSWORD and SEED_ADMIN_EMAIL.
+const bcrypt = require('bcrypt');
+const pool = require('../config/db');
+const { assertSchemaCurrent } = require('./migrator');
+const { DEFAULT_ADMIN_ROLE } = require('../middleware/auth');
+const { MIN_PASSWORD_LENGTH } = require('../services/passwords');
+
+const parseArgs = (argv) => {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+        if (!match) continue;
+        args[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+    }
+    return args;
+};
+
+const seed = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const username = args.username || process.env.SEED_ADMIN_USERNAME || 'admin';
+    const password = args.password || process.env.SEED_ADMIN_PASSWORD;
+    const email = args.email || process.env.SEED_ADMIN_EMAIL || null;
+
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`An admin password of at least ${MIN_PASSWORD_LENGTH} characters is required (--password or SEED_ADMIN_PASSWORD)`);
+    }
+
+    await assertSchemaCurrent();
+
+    await pool.query(
+        'INSERT INTO system_settings (id, created_at, updated_at) VALUES (1, NOW(), NOW()) ON CONFLICT (id) DO NOTHING'
+    );
+
+    const existing = await pool.query('SELECT id FROM admins WHERE LOWER(username) = LOWER($1)', [username]);
+    if (existing.rows.length > 0) {
+        console.log(`Admin "${username}" already exists, leaving it unchanged`);
+        return;
+    }
+
+    // The admin login only accepts bcrypt $2b$ hashes
+    const hashed = await bcrypt.hash(password, 10);
+    if (!hashed.startsWith('$2b$')) {
+        throw new Error('bcrypt did not produce a $2b$ hash');
+    }
+
+    await pool.query(
+        'INSERT INTO admins (username, password, email, admin_role) VALUES ($1, $2, $3, $4)',
+        [username, hashed, email, DEFAULT_ADMIN_ROLE]
+    );
+    console.log(`Admin "${username}" created`);
+};
+
+seed()
+    .catch((error) => {
+        console.error('Seeding failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
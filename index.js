@@ -7,22 +7,89 @@ const express = require('express');
      const adminRoutes = require('./routes/admin');
      const requestRoutes = require('./routes/requests');
      const driverRoutes = require('./routes/drivers');
+     const eventRoutes = require('./routes/events');
+     const authRoutes = require('./routes/auth');
+     const { startDispatcher } = require('./services/dispatcher');
+     const { startExpiryMonitor } = require('./services/documentExpiry');
+     const { startScheduler } = require('./services/scheduledRides');
+     const { maintenanceMode } = require('./middleware/maintenance');
+     const { REQUEST_ID_HEADER, requestId, notFound, errorHandler } = require('./middleware/response');
+     const { assertSchemaCurrent } = require('./db/migrator');
+     const { assertNotifierConfigured } = require('./services/notifier');
+     const repositories = require('./repositories');
 
 
      const app = express();
      const PORT = process.env.PORT || 3000;
 
-     app.use(cors());
+     // Behind a load balancer every client shares the balancer's address
+     // unless Express trusts its X-Forwarded-For. TRUST_PROXY takes a hop
+     // count, true, or a comma-separated list of proxy addresses or subnets
+     // (e.g. loopback, 10.0.0.0/8); unset, the header is ignored.
+     const parseTrustProxy = (value) => {
+         if (!value || value === 'false') return false;
+         if (value === 'true') return true;
+         if (/^\d+$/.test(value)) return parseInt(value, 10);
+         return value.split(',').map(entry => entry.trim()).filter(Boolean);
+     };
+     app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+     app.use(requestId());
+     app.use(cors({ exposedHeaders: [REQUEST_ID_HEADER] }));
      app.use(express.json());
      app.use(express.static(path.join(__dirname, '../client'))); // Serve frontend
 
+     // Rider and driver APIs answer 503 during maintenance; admin routes stay up
+     app.use(['/api/user', '/api/requests', '/api/drivers', '/api/events'], maintenanceMode());
+
      app.use('/api/user', userRoutes);
      app.use('/api/admin', adminRoutes);
      app.use('/api/requests', requestRoutes);
      app.use('/api/drivers', driverRoutes);
+     app.use('/api/events', eventRoutes);
+     app.use('/api/auth', authRoutes);
      app.use('/admin', adminRoutes);
+
+     // Unknown API routes and every error end up in the JSON envelope
+     app.use('/api', notFound());
+     app.use(errorHandler());
      
 
-     app.listen(PORT, () => {
-         console.log(`Server running on port ${PORT}`);
-     });
\ No newline at end of file
+     // Resolves with the listening server. PORT=0 picks a free port.
+     const start = () => new Promise((resolve) => {
+         const server = app.listen(PORT, () => {
+             console.log(`Server running on port ${server.address().port}`);
+             if (process.env.DISPATCH_ENABLED !== 'false') {
+                 startDispatcher();
+             }
+             if (process.env.SCHEDULER_ENABLED !== 'false') {
+                 startScheduler();
+             }
+             if (process.env.DOCUMENT_EXPIRY_CHECK_ENABLED !== 'false') {
+                 startExpiryMonitor();
+             }
+             resolve(server);
+         });
+     });
+
+     // Refuse to boot without a notification sink rather than fail password
+     // resets later
+     try {
+         assertNotifierConfigured();
+     } catch (error) {
+         console.error(`Refusing to start: ${error.message}`);
+         process.exit(1);
+     }
+
+     // Refuse to boot against a database that is behind or ahead of the code.
+     // The in-memory store has no schema to check.
+     const ready = process.env.SCHEMA_CHECK === 'false' || repositories.backend === 'memory'
+         ? start()
+         : assertSchemaCurrent()
+             .then(start)
+             .catch((error) => {
+                 console.error(`Refusing to start: ${error.message}`);
+                 process.exit(1);
+             });
+
+     module.exports = { app, ready };
\ No newline at end of file
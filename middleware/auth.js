@@ -1,19 +1,86 @@
 const jwt = require('jsonwebtoken');
+const { STREAM_TICKET_PURPOSE, isSessionActive } = require('../services/sessions');
+const { UnauthorizedError, ForbiddenError } = require('../services/errors');
 require('dotenv').config();
 
-const authenticate = (role) => (req, res, next) => {
-    const token = req.headers['authorization']?.split(' ')[1];
-    if (!token) return res.status(401).json({ message: 'No token provided' });
+// Admin accounts carry an admin_role that scopes what they may do.
+// Riders and drivers only need the role check in authenticate().
+const ADMIN_PERMISSIONS = Object.freeze({
+    super_admin: ['*'],
+    dispatcher: ['rides:read', 'rides:dispatch', 'drivers:read', 'users:read', 'settings:read']
+});
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-        if (err) return res.status(401).json({ message: 'Invalid token' });
-        if (decoded.role !== role) return res.status(403).json({ message: 'Unauthorized' });
-        req.user = decoded;
-        next();
-    });
+const DEFAULT_ADMIN_ROLE = 'super_admin';
+
+const bearerToken = (req) => req.headers['authorization']?.split(' ')[1] || null;
+
+const streamTicket = (req) => (typeof req.query.ticket === 'string' ? req.query.ticket : null);
+
+// The Bearer token, or with allowStreamTicket the ?ticket= of an event stream
+const extractToken = (req, allowStreamTicket) =>
+    bearerToken(req) || (allowStreamTicket ? streamTicket(req) : null);
+
+const createAuthenticator = (roles, { allowStreamTicket = false } = {}) => async (req, res, next) => {
+    const bearer = bearerToken(req);
+    const token = bearer || (allowStreamTicket ? streamTicket(req) : null);
+    if (!token) return next(new UnauthorizedError('No token provided'));
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return next(new UnauthorizedError(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
+    }
+
+    // A ticket is no access token and an access token does not go in a URL
+    const expectedPurpose = bearer ? undefined : STREAM_TICKET_PURPOSE;
+    if (decoded.purpose !== expectedPurpose) {
+        return next(new UnauthorizedError('Invalid token'));
+    }
+
+    if (!decoded.role || !roles.includes(decoded.role)) {
+        return next(new ForbiddenError());
+    }
+
+    // Tokens are tied to a login session so logout can revoke them early
+    try {
+        if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+            return next(new UnauthorizedError('Session has been revoked'));
+        }
+    } catch (error) {
+        return next(error);
+    }
+
+    req.user = decoded;
+    next();
 };
 
+// Accepts a Bearer token belonging to any of the given roles
+const authenticate = (...roles) => createAuthenticator(roles.flat());
+
+// Same as authenticate(), but also takes a stream ticket as ?ticket= for
+// clients such as EventSource that cannot send an Authorization header
+const authenticateStream = (...roles) => createAuthenticator(roles.flat(), { allowStreamTicket: true });
 
-module.exports = { authenticate };
+const hasPermission = (user, permission) => {
+    if (user?.role !== 'admin') return false;
+    const granted = ADMIN_PERMISSIONS[user.admin_role || DEFAULT_ADMIN_ROLE] || [];
+    return granted.includes('*') || granted.includes(permission);
+};
 
+// Must run after authenticate('admin'); requires every listed permission
+const authorize = (...permissions) => (req, res, next) => {
+    const missing = permissions.find(permission => !hasPermission(req.user, permission));
+    if (missing) return next(new ForbiddenError(`Missing permission: ${missing}`));
+    next();
+};
 
+module.exports = {
+    ADMIN_PERMISSIONS,
+    DEFAULT_ADMIN_ROLE,
+    extractToken,
+    authenticate,
+    authenticateStream,
+    authorize,
+    hasPermission
+};
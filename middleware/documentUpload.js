@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { DOCUMENT_DIR } = require('../services/driverVerification');
+const { AppError, ValidationError } = require('../services/errors');
+
+const MAX_FILE_BYTES = (parseInt(process.env.DRIVER_DOCUMENT_MAX_MB, 10) || 10) * 1024 * 1024;
+const ALLOWED_TYPES = {
+    'application/pdf': '.pdf',
+    'image/jpeg': '.jpg',
+    'image/png': '.png'
+};
+
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        fs.promises.mkdir(DOCUMENT_DIR, { recursive: true })
+            .then(() => cb(null, DOCUMENT_DIR), cb);
+    },
+    // Random names so uploads never collide or reveal the original file name
+    filename: (req, file, cb) => {
+        cb(null, `${crypto.randomUUID()}${ALLOWED_TYPES[file.mimetype]}`);
+    }
+});
+
+const upload = multer({
+    storage,
+    limits: { fileSize: MAX_FILE_BYTES, files: 1 },
+    // Rejected here rather than skipped, or the route would only report the
+    // file as missing
+    fileFilter: (req, file, cb) => {
+        if (ALLOWED_TYPES[file.mimetype]) return cb(null, true);
+        cb(ValidationError.forField(file.fieldname, `must be one of: ${Object.keys(ALLOWED_TYPES).join(', ')}`,
+            'Unsupported document type; upload a PDF, JPEG or PNG file'));
+    }
+});
+
+// Accepts one document in the multipart field `file` (PDF, JPEG or PNG)
+const uploadDocument = (req, res, next) => {
+    upload.single('file')(req, res, (error) => {
+        if (!(error instanceof multer.MulterError)) return next(error);
+
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return next(new AppError(`File must be smaller than ${MAX_FILE_BYTES / (1024 * 1024)} MB`, 413));
+        }
+        next(new AppError(error.message, 400));
+    });
+};
+
+module.exports = { uploadDocument, ALLOWED_TYPES };
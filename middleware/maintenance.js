@@ -0,0 +1,108 @@
+const jwt = require('jsonwebtoken');
+const repositories = require('../repositories');
+const { extractToken } = require('./auth');
+const { getSettings } = require('../services/settings');
+const { STATUS } = require('../services/rideLifecycle');
+const { ServiceUnavailableError } = require('../services/errors');
+
+// Settings are re-read at most this often so the check stays cheap
+const CACHE_MS = (parseInt(process.env.MAINTENANCE_CACHE_SECONDS, 10) || 5) * 1000;
+
+let cached = null;
+let cachedAt = 0;
+
+const loadSettings = async () => {
+    if (!cached || Date.now() - cachedAt > CACHE_MS) {
+        cached = await getSettings();
+        cachedAt = Date.now();
+    }
+    return cached;
+};
+
+// Called after the system settings change so the switch takes effect at once
+const clearMaintenanceCache = () => {
+    cached = null;
+};
+
+// Role and id from the caller's token, without rejecting anything; the
+// routes still authenticate properly
+const tokenSubject = (req) => {
+    const token = extractToken(req, true);
+    if (!token) return null;
+    try {
+        return jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+};
+
+// What a rider or driver needs to finish a trip already under way. A
+// captured `ride` id must be one of the caller's trips in progress.
+const TRIP_ENDPOINTS = [
+    { role: 'user', method: 'GET', path: /^\/api\/requests\/(?<ride>\d+)\/track$/ },
+    { role: 'driver', method: 'POST', path: /^\/api\/drivers\/location$/ },
+    { role: 'driver', method: 'POST', path: /^\/api\/drivers\/complete-request$/ },
+    { role: 'user', method: 'GET', path: /^\/api\/events\/?$/ },
+    { role: 'driver', method: 'GET', path: /^\/api\/events\/?$/ },
+    { role: 'user', method: 'POST', path: /^\/api\/events\/ticket$/ },
+    { role: 'driver', method: 'POST', path: /^\/api\/events\/ticket$/ }
+];
+
+const tripEndpoint = (req, role) => {
+    const url = req.baseUrl + req.path;
+    for (const endpoint of TRIP_ENDPOINTS) {
+        const match = endpoint.role === role && endpoint.method === req.method && url.match(endpoint.path);
+        if (match) return match;
+    }
+    return null;
+};
+
+const tripsInProgress = ({ role, id }) => repositories.rides.list({
+    [role === 'driver' ? 'driverId' : 'userId']: id,
+    statuses: [STATUS.IN_PROGRESS]
+});
+
+// True when maintenance_allow_active_trips lets this request through
+const finishesActiveTrip = async (req, subject) => {
+    const match = subject.id ? tripEndpoint(req, subject.role) : null;
+    if (!match) return false;
+
+    const trips = await tripsInProgress(subject);
+    const rideId = match.groups?.ride;
+    return rideId ? trips.some(ride => String(ride.id) === rideId) : trips.length > 0;
+};
+
+// While maintenance_mode is on, fails with 503 (code MAINTENANCE) and
+// Retry-After. Admins are let through. With maintenance_allow_active_trips
+// set, riders and drivers with a trip in progress can still reach the
+// TRIP_ENDPOINTS so that trip can finish, but cannot book or take new rides.
+const maintenanceMode = () => async (req, res, next) => {
+    let settings;
+    try {
+        settings = await loadSettings();
+    } catch (error) {
+        // Never lock everyone out because the settings could not be read
+        console.error('Maintenance check error:', error);
+        return next();
+    }
+    if (!settings.maintenance_mode) return next();
+
+    try {
+        const subject = tokenSubject(req);
+        if (subject?.role === 'admin') return next();
+        if (subject && settings.maintenance_allow_active_trips && await finishesActiveTrip(req, subject)) {
+            return next();
+        }
+    } catch (error) {
+        console.error('Maintenance check error:', error);
+    }
+
+    const retryAfter = parseInt(settings.maintenance_retry_after_seconds, 10);
+    if (retryAfter > 0) res.set('Retry-After', String(retryAfter));
+    next(new ServiceUnavailableError(settings.maintenance_message, {
+        code: 'MAINTENANCE',
+        details: { retryAfter: retryAfter > 0 ? retryAfter : null }
+    }));
+};
+
+module.exports = { maintenanceMode, clearMaintenanceCache };
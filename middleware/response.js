@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { ERROR_CODES, AppError, NotFoundError } = require('../services/errors');
+
+// Every JSON response uses one envelope:
+//
+//   { success: true, data, message?, requestId }
+//   { success: false, error: { code, message, details? }, requestId }
+//
+// The request id is also sent as the X-Request-Id header on every response,
+// including CSV downloads and event streams, and prefixes the server log
+// lines so a client report can be matched to them.
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// A caller-supplied id (e.g. from a proxy) is kept when it looks sane
+const INCOMING_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestId = () => (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && INCOMING_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.locals.requestId = req.id;
+    res.set(REQUEST_ID_HEADER, req.id);
+    next();
+};
+
+// Sends a successful response; options: { status, message }
+const respond = (res, data, { status = 200, message } = {}) =>
+    res.status(status).json({
+        success: true,
+        data: data === undefined ? null : data,
+        ...(message && { message }),
+        requestId: res.locals.requestId
+    });
+
+// Body-parser and similar middleware flag client errors with `expose`
+const toAppError = (error) => {
+    if (error instanceof AppError) return error;
+    if (error.expose && error.status >= 400 && error.status < 500) {
+        const message = error.type === 'entity.parse.failed' ? 'Request body is not valid JSON' : error.message;
+        return new AppError(message, error.status);
+    }
+    return null;
+};
+
+// Answers unmatched API routes in the envelope instead of Express' HTML page
+const notFound = () => (req, res, next) => {
+    next(new NotFoundError(`Cannot ${req.method} ${req.originalUrl.split('?')[0]}`));
+};
+
+// Last middleware in the chain. Application errors are sent as they are;
+// anything else is logged with its details and answered with a generic 500.
+const errorHandler = () => (error, req, res, next) => {
+    if (res.headersSent) return next(error);
+
+    const appError = toAppError(error);
+    if (!appError) {
+        console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, error);
+    }
+
+    const status = appError ? appError.status : 500;
+    res.status(status).json({
+        success: false,
+        error: {
+            code: appError ? appError.code : ERROR_CODES[500],
+            message: appError ? appError.message : 'Internal server error',
+            ...(appError?.details !== undefined && { details: appError.details })
+        },
+        requestId: req.id
+    });
+};
+
+module.exports = { REQUEST_ID_HEADER, requestId, respond, notFound, errorHandler };
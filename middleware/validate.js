@@ -0,0 +1,149 @@
+const fs = require('fs');
+const validator = require('validator');
+const { ValidationError } = require('../services/errors');
+
+// Declarative request validation. A schema lists the rules for `params`,
+// `query` and `body`:
+//
+//   validate({
+//       params: { id: rules.id() },
+//       body: { reason: rules.string({ required: true, maxLength: 500 }) }
+//   })
+//
+// Every field is checked and the request fails with a ValidationError (422)
+// listing one entry per invalid field. Fields the schema does not mention are left alone.
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Riders and drivers may type spaces or dashes in their phone number
+const PHONE_PATTERN = /^\+?\d{10,15}$/;
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Query and route parameters, like multipart form fields, always arrive as
+// strings, so numbers and booleans are accepted in their text form there.
+// A JSON body has to use the JSON types; the rules only check values and
+// never convert them, so a "false" string would read as true in a route.
+const toNumber = (value, textual) => {
+    if (typeof value === 'number') return value;
+    if (textual && typeof value === 'string' && value.trim() !== '') return Number(value);
+    return NaN;
+};
+
+const checkRange = (value, rule) => {
+    if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+    if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+    return null;
+};
+
+const checkString = (value, rule) => {
+    if (typeof value !== 'string') return 'must be a string';
+    if (rule.required && !value.trim()) return 'is required';
+    if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+        return `must be at least ${rule.minLength} characters`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return `must be at most ${rule.maxLength} characters`;
+    }
+    if (rule.oneOf && !rule.oneOf.includes(value)) return `must be one of: ${rule.oneOf.join(', ')}`;
+    return null;
+};
+
+// Each check returns an error message, or null when the value is valid
+const CHECKS = {
+    string: checkString,
+
+    integer: (value, rule, textual) => {
+        const number = toNumber(value, textual);
+        return Number.isInteger(number) ? checkRange(number, rule) : 'must be a whole number';
+    },
+
+    number: (value, rule, textual) => {
+        const number = toNumber(value, textual);
+        return Number.isFinite(number) ? checkRange(number, rule) : 'must be a number';
+    },
+
+    boolean: (value, rule, textual) => {
+        if (typeof value === 'boolean') return null;
+        if (textual && ['true', 'false'].includes(value)) return null;
+        return 'must be true or false';
+    },
+
+    email: (value, rule) => checkString(value, rule) ||
+        (validator.isEmail(value) ? null : 'must be a valid e-mail address'),
+
+    phone: (value, rule) => checkString(value, rule) ||
+        (PHONE_PATTERN.test(value.replace(/[\s-]/g, '')) ? null : 'must be 10-15 digits with an optional + prefix'),
+
+    date: (value, rule) => checkString(value, rule) ||
+        (validator.isISO8601(value) ? null : 'must be an ISO 8601 date'),
+
+    array: (value, rule, textual) => {
+        if (!Array.isArray(value)) return 'must be a list';
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+            return `must have at most ${rule.maxItems} items`;
+        }
+        for (const [index, item] of (rule.items ? value : []).entries()) {
+            const message = checkValue(item, rule.items, textual);
+            if (message) return `item ${index + 1} ${message}`;
+        }
+        return null;
+    }
+};
+
+const checkValue = (value, rule, textual) => CHECKS[rule.type](value, rule, textual);
+
+// `required` may be a function of the other values in the same location,
+// e.g. coordinates that are only needed without a quote
+const isRequired = (rule, values) =>
+    (typeof rule.required === 'function' ? rule.required(values) : rule.required === true);
+
+const validateLocation = (location, fields, values, textual) => {
+    const errors = [];
+    for (const [field, rule] of Object.entries(fields)) {
+        const value = values[field];
+        let message = null;
+
+        if (isMissing(value)) {
+            if (isRequired(rule, values)) message = 'is required';
+        } else {
+            message = checkValue(value, { ...rule, required: isRequired(rule, values) }, textual);
+        }
+
+        if (message) errors.push({ location, field, message });
+    }
+    return errors;
+};
+
+const validate = (schema) => (req, res, next) => {
+    const multipart = Boolean(req.is('multipart/form-data'));
+    const errors = LOCATIONS
+        .filter(location => schema[location])
+        .flatMap(location => validateLocation(location, schema[location], req[location] || {},
+            location !== 'body' || multipart));
+
+    if (errors.length > 0) {
+        // A multipart upload has already been written to disk by this point
+        if (req.file) fs.promises.unlink(req.file.path).catch(() => {});
+        return next(new ValidationError(errors));
+    }
+    next();
+};
+
+// Shorthands for the rules used across the schemas
+const rules = {
+    string: (options = {}) => ({ type: 'string', ...options }),
+    integer: (options = {}) => ({ type: 'integer', ...options }),
+    number: (options = {}) => ({ type: 'number', ...options }),
+    boolean: (options = {}) => ({ type: 'boolean', ...options }),
+    email: (options = {}) => ({ type: 'email', maxLength: 255, ...options }),
+    phone: (options = {}) => ({ type: 'phone', maxLength: 20, ...options }),
+    date: (options = {}) => ({ type: 'date', ...options }),
+    array: (options = {}) => ({ type: 'array', ...options }),
+    oneOf: (values, options = {}) => ({ type: 'string', oneOf: values, ...options }),
+    id: (options = {}) => ({ type: 'integer', min: 1, required: true, ...options }),
+    latitude: (options = {}) => ({ type: 'number', min: -90, max: 90, ...options }),
+    longitude: (options = {}) => ({ type: 'number', min: -180, max: 180, ...options })
+};
+
+module.exports = { validate, rules };
@@ -0,0 +1,17 @@
+require('dotenv').config();
+
+// Data access for the whole API. STORAGE_BACKEND picks the implementation:
+// 'postgres' (the default) or 'memory', which keeps everything in process
+// and needs no database.
+const BACKENDS = Object.freeze({
+    postgres: './postgres',
+    memory: './memory'
+});
+
+const backend = (process.env.STORAGE_BACKEND || 'postgres').toLowerCase();
+
+if (!BACKENDS[backend]) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}"; use one of: ${Object.keys(BACKENDS).join(', ')}`);
+}
+
+module.exports = require(BACKENDS[backend]);
@@ -0,0 +1,26 @@
+const { copy, sameId, insert, update } = require('./store');
+
+const lower = (value) => (typeof value === 'string' ? value.toLowerCase() : value);
+
+const adminsRepository = (store) => {
+    const admins = () => store.tables.admins;
+    const find = (predicate) => copy(admins().find(predicate));
+
+    return {
+        findById: async (id) => find(admin => sameId(admin.id, id)),
+
+        findByUsername: async (username) => find(admin => lower(admin.username) === lower(username)),
+
+        findByLogin: async (identifier) => find(admin =>
+            lower(admin.username) === lower(identifier) || (admin.email !== null && lower(admin.email) === lower(identifier))),
+
+        create: async (fields) => insert(store, 'admins', fields),
+
+        updatePassword: async (id, password) => {
+            const admin = admins().find(row => sameId(row.id, id));
+            if (admin) update(store, 'admins', admin, { password });
+        }
+    };
+};
+
+module.exports = adminsRepository;
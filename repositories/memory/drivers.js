@@ -0,0 +1,243 @@
+const { copy, sameId, insert, update, remove, sortBy } = require('./store');
+const { ratingColumns } = require('./ratings');
+const { haversineMeters } = require('../../services/geo');
+
+const ONLINE_WINDOW_MS = 5 * 60 * 1000;
+
+// expires_at is a DATE column
+const toDate = (value) => {
+    if (value === null || value === undefined) return null;
+    const date = new Date(value);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+const profileOf = (driver) => ({
+    id: driver.id,
+    name: driver.name,
+    email: driver.email,
+    phone: driver.phone,
+    vehicle_type: driver.vehicle_type,
+    vehicle_number: driver.vehicle_number,
+    license_number: driver.license_number,
+    available: driver.available,
+    gender: driver.gender,
+    is_online: driver.is_online,
+    verification_status: driver.verification_status,
+    verification_grace_until: driver.verification_grace_until,
+    current_latitude: driver.current_latitude,
+    current_longitude: driver.current_longitude
+});
+
+const reportedRecently = (driver) =>
+    driver.last_location_update !== null && Date.now() - new Date(driver.last_location_update) < ONLINE_WINDOW_MS;
+
+const driversRepository = (store) => {
+    const drivers = () => store.tables.drivers;
+    const documents = () => store.tables.driver_documents;
+    const stored = (id) => drivers().find(driver => sameId(driver.id, id));
+
+    // The approved document of each type that runs the longest
+    const documentsInForce = () => {
+        const current = new Map();
+        for (const doc of documents()) {
+            if (doc.status !== 'approved' || !doc.expires_at) continue;
+            const key = `${doc.driver_id}:${doc.doc_type}`;
+            if (!current.has(key) || current.get(key).expires_at < doc.expires_at) current.set(key, doc);
+        }
+        return [...current.values()];
+    };
+
+    return {
+        findById: async (id) => copy(stored(id)),
+
+        findByEmail: async (email) => copy(drivers().find(driver => driver.email === email)),
+
+        findByLogin: async (identifier) => copy(drivers().find(driver =>
+            typeof identifier === 'string' && driver.email.toLowerCase() === identifier.toLowerCase())),
+
+        findProfile: async (id) => {
+            const driver = stored(id);
+            return driver ? copy(profileOf(driver)) : null;
+        },
+
+        list: async ({ available } = {}) => sortBy(
+            drivers().filter(driver => available === undefined || available === null || driver.available === available),
+            'name'
+        ).map(driver => copy({
+            id: driver.id,
+            name: driver.name,
+            email: driver.email,
+            phone: driver.phone,
+            vehicle_type: driver.vehicle_type,
+            vehicle_number: driver.vehicle_number,
+            available: driver.available,
+            gender: driver.gender,
+            lat: driver.current_latitude,
+            lng: driver.current_longitude,
+            lastupdate: driver.last_location_update,
+            location_accuracy: driver.location_accuracy,
+            is_online: driver.is_online,
+            verification_status: driver.verification_status,
+            ...ratingColumns(store, 'driver', driver.id)
+        })),
+
+        listLocations: async () => sortBy(
+            drivers().filter(driver => driver.current_latitude !== null && driver.current_longitude !== null),
+            '-last_location_update'
+        ).map(driver => copy({
+            id: driver.id,
+            name: driver.name,
+            vehicle_type: driver.vehicle_type,
+            vehicle_number: driver.vehicle_number,
+            lat: driver.current_latitude,
+            lng: driver.current_longitude,
+            available: driver.available,
+            lastupdate: driver.last_location_update,
+            status: driver.available === true ? 'Available' : 'On Trip',
+            online_status: reportedRecently(driver) ? 'Online' : 'Offline',
+            location: `${driver.current_latitude.toFixed(6)}, ${driver.current_longitude.toFixed(6)}`
+        })),
+
+        countByAvailability: async () => ({
+            total: drivers().length,
+            available: drivers().filter(driver => driver.available === true).length
+        }),
+
+        create: async (fields) => insert(store, 'drivers', fields),
+
+        update: async (id, changes) => {
+            const driver = stored(id);
+            return driver ? update(store, 'drivers', driver, { ...changes, updated_at: new Date() }) : null;
+        },
+
+        updatePassword: async (id, password) => {
+            const driver = stored(id);
+            if (driver) update(store, 'drivers', driver, { password });
+        },
+
+        delete: async (id) => {
+            const driver = stored(id);
+            if (!driver) return null;
+            // Foreign keys: documents go with the driver, rides lose their driver
+            store.tables.driver_documents = documents().filter(doc => !sameId(doc.driver_id, id));
+            for (const ride of store.tables.cab_requests) {
+                if (sameId(ride.driver_id, id)) ride.driver_id = null;
+            }
+            return remove(store, 'drivers', driver);
+        },
+
+        findDispatchCandidate: async ({ rideId, lat, lng, vehicleType = null, busyStatuses, maxDistanceMeters }) => {
+            const busy = (driver) => store.tables.cab_requests.some(ride =>
+                sameId(ride.driver_id, driver.id) && busyStatuses.includes(ride.status));
+            const offered = (driver) => store.tables.ride_dispatch_offers.some(offer =>
+                sameId(offer.ride_id, rideId) && sameId(offer.driver_id, driver.id));
+
+            const candidates = drivers()
+                .filter(driver => driver.is_online === true &&
+                    driver.available === true &&
+                    driver.verification_status === 'verified' &&
+                    driver.current_latitude !== null &&
+                    driver.current_longitude !== null &&
+                    reportedRecently(driver) &&
+                    (vehicleType === null || driver.vehicle_type === vehicleType) &&
+                    !busy(driver) &&
+                    !offered(driver))
+                .map(driver => ({
+                    id: driver.id,
+                    distance_meters: haversineMeters(lat, lng, driver.current_latitude, driver.current_longitude)
+                }))
+                .filter(candidate => candidate.distance_meters <= maxDistanceMeters);
+
+            return sortBy(candidates, 'distance_meters')[0] || null;
+        },
+
+        createDocument: async (fields) => insert(store, 'driver_documents', fields),
+
+        findDocument: async (id) => copy(documents().find(doc => sameId(doc.id, id))),
+
+        listDocuments: async (driverId) =>
+            sortBy(documents().filter(doc => sameId(doc.driver_id, driverId)), '-uploaded_at', '-id').map(copy),
+
+        reviewDocument: async (id, { status, expiresAt = null, rejectionReason = null, reviewedBy }) => {
+            const doc = documents().find(row => sameId(row.id, id));
+            if (!doc) return null;
+            return update(store, 'driver_documents', doc, {
+                status,
+                expires_at: toDate(expiresAt),
+                rejection_reason: rejectionReason,
+                reviewed_by: reviewedBy,
+                reviewed_at: new Date()
+            });
+        },
+
+        listVerificationQueue: async () => {
+            const queue = drivers()
+                .map(driver => ({
+                    driver,
+                    pending: sortBy(
+                        documents().filter(doc => sameId(doc.driver_id, driver.id) && doc.status === 'pending'),
+                        'uploaded_at'
+                    )
+                }))
+                .filter(({ pending }) => pending.length > 0)
+                .map(({ driver, pending }) => ({
+                    id: driver.id,
+                    name: driver.name,
+                    email: driver.email,
+                    phone: driver.phone,
+                    vehicle_type: driver.vehicle_type,
+                    vehicle_number: driver.vehicle_number,
+                    verification_status: driver.verification_status,
+                    created_at: driver.created_at,
+                    pending_documents: pending.map(doc => ({
+                        id: doc.id,
+                        doc_type: doc.doc_type,
+                        document_number: doc.document_number,
+                        original_name: doc.original_name,
+                        uploaded_at: doc.uploaded_at
+                    })),
+                    first_uploaded_at: pending[0].uploaded_at
+                }));
+
+            return sortBy(queue, 'first_uploaded_at').map(({ first_uploaded_at, ...row }) => copy(row));
+        },
+
+        listGraceExpired: async (now) => sortBy(
+            drivers().filter(driver => driver.verification_grace_until !== null && driver.verification_grace_until <= now),
+            'verification_grace_until'
+        ).map(driver => ({ id: driver.id })),
+
+        listDocumentsInForce: async ({ driverId = null, expiresBy = null } = {}) => {
+            const limit = toDate(expiresBy);
+            const rows = documentsInForce()
+                .filter(doc => (driverId === null || sameId(doc.driver_id, driverId)) &&
+                    (limit === null || doc.expires_at <= limit))
+                .map(doc => {
+                    const driver = stored(doc.driver_id);
+                    return {
+                        id: doc.id,
+                        driver_id: doc.driver_id,
+                        doc_type: doc.doc_type,
+                        document_number: doc.document_number,
+                        expires_at: doc.expires_at,
+                        name: driver.name,
+                        email: driver.email,
+                        phone: driver.phone,
+                        verification_status: driver.verification_status
+                    };
+                });
+            return sortBy(rows, 'expires_at', 'name').map(copy);
+        },
+
+        claimExpiryWarning: async (documentId, thresholdDays) => {
+            const warnings = store.tables.document_expiry_warnings;
+            if (warnings.some(warning => sameId(warning.document_id, documentId) && warning.threshold_days === thresholdDays)) {
+                return false;
+            }
+            insert(store, 'document_expiry_warnings', { document_id: documentId, threshold_days: thresholdDays });
+            return true;
+        }
+    };
+};
+
+module.exports = driversRepository;
@@ -0,0 +1,39 @@
+const { createStore, createTransactions } = require('./store');
+const usersRepository = require('./users');
+const adminsRepository = require('./admins');
+const driversRepository = require('./drivers');
+const ridesRepository = require('./rides');
+const settingsRepository = require('./settings');
+const sessionsRepository = require('./sessions');
+const passwordResetsRepository = require('./passwordResets');
+const loginsRepository = require('./logins');
+
+// Process-local storage: everything is lost on restart
+const store = createStore();
+
+const createRepositories = () => ({
+    users: usersRepository(store),
+    admins: adminsRepository(store),
+    drivers: driversRepository(store),
+    rides: ridesRepository(store),
+    settings: settingsRepository(store),
+    sessions: sessionsRepository(store),
+    passwordResets: passwordResetsRepository(store),
+    logins: loginsRepository(store)
+});
+
+const transaction = createTransactions(store, createRepositories);
+
+// Empties every table, e.g. between tests
+const reset = () => {
+    const empty = createStore();
+    store.tables = empty.tables;
+    store.sequences = empty.sequences;
+};
+
+module.exports = {
+    backend: 'memory',
+    ...createRepositories(),
+    transaction,
+    reset
+};
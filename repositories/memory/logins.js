@@ -0,0 +1,66 @@
+const { copy, sameId, insert, update, sortBy } = require('./store');
+
+const latest = (dates) => dates.reduce((max, date) => (max === null || date > max ? date : max), null);
+
+// Login attempt audit trail and account/IP lockouts. `scope` is 'account'
+// (key `<role>:<identifier>`) or 'ip' (key is the address).
+const loginsRepository = (store) => {
+    const attempts = () => store.tables.login_attempts;
+    const lockouts = () => store.tables.login_lockouts;
+    const isActive = (lockout) => lockout.cleared_at === null && new Date(lockout.locked_until) > new Date();
+
+    return {
+        recordAttempt: async (fields) => insert(store, 'login_attempts', fields),
+
+        countRecentFailures: async (scope, key, windowMinutes) => {
+            const column = scope === 'ip' ? 'ip_address' : 'account_key';
+            const forKey = attempts().filter(attempt => attempt[column] === key);
+            const since = latest([
+                new Date(Date.now() - windowMinutes * 60 * 1000),
+                ...(scope === 'account'
+                    ? forKey.filter(attempt => attempt.succeeded).map(attempt => attempt.attempted_at)
+                    : []),
+                ...lockouts()
+                    .filter(lockout => lockout.scope === scope && lockout.lock_key === key && lockout.cleared_at !== null)
+                    .map(lockout => lockout.cleared_at)
+            ]);
+            const failures = forKey.filter(attempt => !attempt.succeeded && attempt.attempted_at > since);
+
+            return {
+                failures: failures.length,
+                last_failure: latest(failures.map(attempt => attempt.attempted_at))
+            };
+        },
+
+        findActiveLockout: async (scope, key) => {
+            const lockout = sortBy(
+                lockouts().filter(row => row.scope === scope && row.lock_key === key && isActive(row)),
+                '-locked_until'
+            )[0];
+            return lockout ? copy({ id: lockout.id, locked_until: lockout.locked_until }) : null;
+        },
+
+        createLockout: async (fields) => insert(store, 'login_lockouts', fields),
+
+        listActiveLockouts: async () => sortBy(lockouts().filter(isActive), '-created_at')
+            .map(({ id, scope, lock_key, role, failed_count, locked_until, created_at }) =>
+                copy({ id, scope, lock_key, role, failed_count, locked_until, created_at })),
+
+        clearLockout: async (id, adminId) => {
+            const lockout = lockouts().find(row => sameId(row.id, id) && row.cleared_at === null);
+            return lockout
+                ? update(store, 'login_lockouts', lockout, { cleared_at: new Date(), cleared_by: adminId })
+                : null;
+        },
+
+        listFailedAttempts: async ({ ip = null, identifier = null, limit }) => sortBy(
+            attempts().filter(attempt => !attempt.succeeded &&
+                (ip === null || attempt.ip_address === ip) &&
+                (identifier === null || attempt.identifier === identifier)),
+            '-attempted_at'
+        ).slice(0, limit).map(({ id, role, identifier: login, ip_address, failure_reason, user_agent, attempted_at }) =>
+            copy({ id, role, identifier: login, ip_address, failure_reason, user_agent, attempted_at }))
+    };
+};
+
+module.exports = loginsRepository;
@@ -0,0 +1,30 @@
+const { sameId, insert, update } = require('./store');
+
+// Single-use password reset tokens, stored hashed
+const passwordResetsRepository = (store) => {
+    const tokens = () => store.tables.password_reset_tokens;
+
+    return {
+        create: async (fields) => insert(store, 'password_reset_tokens', fields),
+
+        invalidate: async (role, subjectId) => {
+            for (const token of tokens()) {
+                if (token.subject_role === role && sameId(token.subject_id, subjectId) && token.used_at === null) {
+                    update(store, 'password_reset_tokens', token, { used_at: new Date() });
+                }
+            }
+        },
+
+        consume: async (role, tokenHash) => {
+            const token = tokens().find(row => row.token_hash === tokenHash &&
+                row.subject_role === role &&
+                row.used_at === null &&
+                new Date(row.expires_at) > new Date());
+            if (!token) return null;
+            update(store, 'password_reset_tokens', token, { used_at: new Date() });
+            return token.subject_id;
+        }
+    };
+};
+
+module.exports = passwordResetsRepository;
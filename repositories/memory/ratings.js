@@ -0,0 +1,17 @@
+// Rating figures computed over the in-memory ride_ratings table
+
+const ratingsOf = (store, role, id) =>
+    store.tables.ride_ratings.filter(rating => rating.ratee_role === role && String(rating.ratee_id) === String(id));
+
+// Rounded to two places and returned as text, as PostgreSQL returns NUMERIC
+const averageStars = (ratings) => (ratings.length === 0
+    ? null
+    : (ratings.reduce((sum, rating) => sum + rating.stars, 0) / ratings.length).toFixed(2));
+
+// rating_average and rating_count for one account, as listed to admins
+const ratingColumns = (store, role, id) => {
+    const ratings = ratingsOf(store, role, id);
+    return { rating_average: averageStars(ratings), rating_count: ratings.length };
+};
+
+module.exports = { ratingsOf, averageStars, ratingColumns };
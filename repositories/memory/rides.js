@@ -0,0 +1,228 @@
+const { copy, sameId, insert, update, sortBy } = require('./store');
+const { ratingsOf, averageStars } = require('./ratings');
+const { haversineMeters } = require('../../services/geo');
+
+// Order of listForDriver: trips underway first
+const DRIVER_STATUS_ORDER = ['in_progress', 'arrived', 'accepted', 'assigned', 'completed'];
+
+const SORT_COLUMNS = Object.freeze({
+    created_at: ['created_at', 'id'],
+    '-created_at': ['-created_at', '-id'],
+    request_time: ['request_time', 'id'],
+    '-request_time': ['-request_time', '-id']
+});
+
+const lower = (value) => (typeof value === 'string' ? value.toLowerCase() : value);
+
+// Ride requests (cab_requests) with their status history, dispatch offers,
+// recorded tracks and ratings
+const ridesRepository = (store) => {
+    const rides = () => store.tables.cab_requests;
+    const offers = () => store.tables.ride_dispatch_offers;
+    const stored = (id) => rides().find(ride => sameId(ride.id, id));
+    const userOf = (ride) => store.tables.users.find(user => sameId(user.id, ride.user_id)) || null;
+    const driverOf = (ride) => store.tables.drivers.find(driver => sameId(driver.id, ride.driver_id)) || null;
+
+    return {
+        create: async (fields) => insert(store, 'cab_requests', fields),
+
+        findById: async (id) => copy(stored(id)),
+
+        update: async (id, changes) => {
+            const ride = stored(id);
+            return ride ? update(store, 'cab_requests', ride, { ...changes, updated_at: new Date() }) : null;
+        },
+
+        list: async ({ userId, driverId, statuses, requestTimeBefore, hasPickup, sort = 'created_at', limit } = {}) => {
+            const rows = sortBy(rides().filter(ride =>
+                (userId === undefined || sameId(ride.user_id, userId)) &&
+                (driverId === undefined || sameId(ride.driver_id, driverId)) &&
+                (!statuses || statuses.includes(ride.status)) &&
+                (!requestTimeBefore || ride.request_time <= new Date(requestTimeBefore)) &&
+                (!hasPickup || (ride.pickup_lat !== null && ride.pickup_lng !== null))
+            ), ...SORT_COLUMNS[sort]);
+            return (limit ? rows.slice(0, limit) : rows).map(copy);
+        },
+
+        listForUser: async (userId) => sortBy(
+            rides().filter(ride => sameId(ride.user_id, userId)),
+            '-request_time', '-id'
+        ).map(ride => {
+            const driver = driverOf(ride);
+            return copy({
+                ...ride,
+                driver: driver && {
+                    id: driver.id,
+                    name: driver.name,
+                    vehicle_type: driver.vehicle_type,
+                    vehicle_number: driver.vehicle_number,
+                    phone: driver.phone,
+                    latitude: driver.current_latitude,
+                    longitude: driver.current_longitude
+                }
+            });
+        }),
+
+        listForDriver: async (driverId) => {
+            const rank = (ride) => {
+                const index = DRIVER_STATUS_ORDER.indexOf(ride.status);
+                return index === -1 ? DRIVER_STATUS_ORDER.length : index;
+            };
+            const rows = rides()
+                .filter(ride => sameId(ride.driver_id, driverId) && userOf(ride))
+                .map(ride => ({ ride, rank: rank(ride), created_at: ride.created_at }));
+
+            return sortBy(rows, 'rank', '-created_at').map(({ ride }) => {
+                const user = userOf(ride);
+                return copy({
+                    id: ride.id,
+                    pickup_location: ride.pickup_location,
+                    dropoff_location: ride.dropoff_location,
+                    pickup_lat: ride.pickup_lat,
+                    pickup_lng: ride.pickup_lng,
+                    dropoff_lat: ride.dropoff_lat,
+                    dropoff_lng: ride.dropoff_lng,
+                    vehicle_type: ride.vehicle_type,
+                    status: ride.status,
+                    created_at: ride.created_at,
+                    request_time: ride.request_time,
+                    fare_amount: ride.fare_amount,
+                    estimated_fare: ride.estimated_fare,
+                    fare_breakdown: ride.fare_breakdown,
+                    customer_name: user.username,
+                    phone: user.phone,
+                    customer_email: user.email
+                });
+            });
+        },
+
+        listWithParties: async ({ id, driverId, statuses, sort = '-created_at' } = {}) => sortBy(rides().filter(ride =>
+            (id === undefined || id === null || sameId(ride.id, id)) &&
+            (driverId === undefined || driverId === null || sameId(ride.driver_id, driverId)) &&
+            (!statuses || statuses.includes(ride.status))
+        ), ...SORT_COLUMNS[sort]).map(ride => {
+            const user = userOf(ride);
+            const driver = driverOf(ride);
+            return copy({
+                ...ride,
+                user_name: user ? user.username : 'Unknown',
+                user_gender: user ? user.gender : null,
+                driver_name: driver ? driver.name : 'Not assigned',
+                driver_phone: driver ? driver.phone : null,
+                driver_latitude: driver ? driver.current_latitude : null,
+                driver_longitude: driver ? driver.current_longitude : null
+            });
+        }),
+
+        findNearbyOpen: async ({ lat, lng, radiusMeters, status, vehicleType = null, limit = 20 }) => {
+            const nearby = rides()
+                .filter(ride => ride.status === status &&
+                    ride.driver_id === null &&
+                    ride.pickup_lat !== null &&
+                    ride.pickup_lng !== null &&
+                    (ride.vehicle_type === null || vehicleType === null || lower(ride.vehicle_type) === lower(vehicleType)) &&
+                    userOf(ride))
+                .map(ride => {
+                    const user = userOf(ride);
+                    return {
+                        id: ride.id,
+                        pickup_location: ride.pickup_location,
+                        dropoff_location: ride.dropoff_location,
+                        pickup_lat: ride.pickup_lat,
+                        pickup_lng: ride.pickup_lng,
+                        dropoff_lat: ride.dropoff_lat,
+                        dropoff_lng: ride.dropoff_lng,
+                        vehicle_type: ride.vehicle_type,
+                        status: ride.status,
+                        request_time: ride.request_time,
+                        estimated_fare: ride.estimated_fare,
+                        customer_name: user.username,
+                        customer_phone: user.phone,
+                        distance_meters: haversineMeters(lat, lng, ride.pickup_lat, ride.pickup_lng)
+                    };
+                })
+                .filter(ride => ride.distance_meters <= radiusMeters);
+
+            return sortBy(nearby, 'distance_meters').slice(0, limit).map(copy);
+        },
+
+        summarize: async () => {
+            const totals = new Map();
+            for (const ride of rides()) {
+                const entry = totals.get(ride.status) || { status: ride.status, rides: 0, fares: 0 };
+                entry.rides += 1;
+                entry.fares += ride.fare_amount || 0;
+                totals.set(ride.status, entry);
+            }
+            return [...totals.values()];
+        },
+
+        addHistory: async (fields) => insert(store, 'ride_status_history', fields),
+
+        listHistory: async (rideId) => sortBy(
+            store.tables.ride_status_history.filter(entry => sameId(entry.ride_id, rideId)),
+            'created_at', 'id'
+        ).map(({ id, from_status, to_status, actor_role, actor_id, reason, created_at }) =>
+            copy({ id, from_status, to_status, actor_role, actor_id, reason, created_at })),
+
+        createOffer: async (fields) => insert(store, 'ride_dispatch_offers', fields),
+
+        listExpiredOffers: async (status, before) => offers()
+            .filter(offer => offer.status === status && offer.expires_at < new Date(before))
+            .map(({ ride_id, driver_id }) => ({ ride_id, driver_id })),
+
+        resolveOffers: async ({ rideId, driverId = null, from, to }) => offers()
+            .filter(offer => sameId(offer.ride_id, rideId) &&
+                (driverId === null || sameId(offer.driver_id, driverId)) &&
+                offer.status === from)
+            .map(offer => update(store, 'ride_dispatch_offers', offer, { status: to, responded_at: new Date() })),
+
+        addTrackPoint: async (fields) => insert(store, 'ride_track_points', fields),
+
+        listTrackPoints: async (rideId) => sortBy(
+            store.tables.ride_track_points.filter(point => sameId(point.ride_id, rideId)),
+            'recorded_at', 'id'
+        ).map(({ latitude, longitude, accuracy, recorded_at }) => copy({ latitude, longitude, accuracy, recorded_at })),
+
+        createRating: async (fields) => insert(store, 'ride_ratings', fields),
+
+        getRatingSummary: async (role, id) => {
+            const ratings = ratingsOf(store, role, id);
+            const uses = new Map();
+            for (const tag of ratings.flatMap(rating => rating.tags)) {
+                uses.set(tag, (uses.get(tag) || 0) + 1);
+            }
+            const topTags = [...uses.entries()].sort((a, b) => b[1] - a[1]).slice(0, 5);
+
+            return {
+                average: averageStars(ratings),
+                count: ratings.length,
+                top_tags: Object.fromEntries(topTags)
+            };
+        },
+
+        listLowRated: async ({ role, threshold, minRatings }) => {
+            const accounts = role === 'driver' ? store.tables.drivers : store.tables.users;
+            const rows = accounts
+                .map(account => ({ account, ratings: ratingsOf(store, role, account.id) }))
+                .filter(({ ratings }) => ratings.length > 0 && ratings.length >= minRatings)
+                .filter(({ ratings }) =>
+                    ratings.reduce((sum, rating) => sum + rating.stars, 0) / ratings.length < threshold)
+                .map(({ account, ratings }) => ({
+                    id: account.id,
+                    name: role === 'driver' ? account.name : account.username,
+                    email: account.email,
+                    phone: account.phone,
+                    rating_average: averageStars(ratings),
+                    rating_count: ratings.length,
+                    low_ratings: ratings.filter(rating => rating.stars <= 2).length,
+                    last_rated_at: sortBy(ratings, '-created_at')[0].created_at,
+                    sort_average: Number(averageStars(ratings))
+                }));
+
+            return sortBy(rows, 'sort_average', '-rating_count').map(({ sort_average, ...row }) => copy(row));
+        }
+    };
+};
+
+module.exports = ridesRepository;
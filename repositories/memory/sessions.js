@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const { copy, sameId, insert, update } = require('./store');
+
+// Login sessions (auth_sessions), keyed by a UUID and a hashed refresh token
+const sessionsRepository = (store) => {
+    const sessions = () => store.tables.auth_sessions;
+    const stored = (id) => sessions().find(session => session.id === id);
+
+    return {
+        create: async (fields) => insert(store, 'auth_sessions', { id: crypto.randomUUID(), ...fields }),
+
+        findByTokenHash: async (hash) => copy(sessions().find(session =>
+            session.token_hash === hash || session.previous_token_hash === hash)),
+
+        rotate: async (id, currentHash, nextHash) => {
+            const session = stored(id);
+            if (!session || session.token_hash !== currentHash || session.revoked_at !== null) return false;
+            update(store, 'auth_sessions', session, {
+                previous_token_hash: session.token_hash,
+                token_hash: nextHash,
+                last_used_at: new Date()
+            });
+            return true;
+        },
+
+        revoke: async (id) => {
+            const session = stored(id);
+            if (session && session.revoked_at === null) update(store, 'auth_sessions', session, { revoked_at: new Date() });
+        },
+
+        revokeAll: async (role, subjectId, { exceptId = null } = {}) => {
+            const open = sessions().filter(session => session.subject_role === role &&
+                sameId(session.subject_id, subjectId) &&
+                session.revoked_at === null &&
+                session.id !== exceptId);
+            for (const session of open) update(store, 'auth_sessions', session, { revoked_at: new Date() });
+            return open.length;
+        },
+
+        isActive: async (id) => {
+            const session = stored(id);
+            return Boolean(session && session.revoked_at === null && new Date(session.expires_at) > new Date());
+        }
+    };
+};
+
+module.exports = sessionsRepository;
@@ -0,0 +1,46 @@
+const { copy, insert, update, remove, sortBy } = require('./store');
+
+const lower = (value) => (typeof value === 'string' ? value.toLowerCase() : value);
+
+// System settings (the single system_settings row) and per-vehicle-type
+// rate cards
+const settingsRepository = (store) => {
+    const row = () => store.tables.system_settings[0] || null;
+    const rateCards = () => store.tables.fare_rate_cards;
+
+    return {
+        get: async () => copy(row()),
+
+        save: async (fields) => {
+            const current = row();
+            return current
+                ? update(store, 'system_settings', current, { ...fields, updated_at: new Date() })
+                : insert(store, 'system_settings', { ...fields, id: 1 });
+        },
+
+        listRateCards: async () => sortBy(rateCards(), 'vehicle_type').map(copy),
+
+        findRateCard: async (vehicleType) =>
+            copy(rateCards().find(card => lower(card.vehicle_type) === lower(vehicleType))),
+
+        saveRateCard: async (vehicleType, rates) => {
+            const fields = {
+                base_fare: rates.base_fare,
+                price_per_mile: rates.price_per_mile,
+                price_per_minute: rates.price_per_minute,
+                minimum_fare: rates.minimum_fare
+            };
+            const current = rateCards().find(card => card.vehicle_type === vehicleType);
+            return current
+                ? update(store, 'fare_rate_cards', current, { ...fields, updated_at: new Date() })
+                : insert(store, 'fare_rate_cards', { vehicle_type: vehicleType, ...fields });
+        },
+
+        deleteRateCard: async (vehicleType) => {
+            const current = rateCards().find(card => card.vehicle_type === vehicleType);
+            return current ? remove(store, 'fare_rate_cards', current) : null;
+        }
+    };
+};
+
+module.exports = settingsRepository;
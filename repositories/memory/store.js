@@ -0,0 +1,216 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Column defaults per table, mirroring db/migrations
+const now = () => new Date();
+const DEFAULTS = Object.freeze({
+    users: () => ({
+        email: null, phone: null, role: 'passenger', gender: null, created_at: now(), updated_at: now()
+    }),
+    pending_users: () => ({
+        email: null, phone: null, role: 'passenger', status: 'pending', reviewed_by: null,
+        reviewed_at: null, rejection_reason: null, user_id: null, status_token_hash: null, created_at: now()
+    }),
+    admins: () => ({ email: null, admin_role: 'super_admin', created_at: now() }),
+    drivers: () => ({
+        phone: null, password: null, vehicle_type: null, vehicle_number: null, license_number: null,
+        gender: 'men', available: true, is_online: false, current_latitude: null, current_longitude: null,
+        location_accuracy: null, last_location_update: null, last_seen: null,
+        verification_status: 'pending', verified_at: null, verification_grace_until: null,
+        created_at: now(), updated_at: now()
+    }),
+    driver_documents: () => ({
+        document_number: null, original_name: null, mime_type: null, size_bytes: null, status: 'pending',
+        rejection_reason: null, expires_at: null, reviewed_by: null, reviewed_at: null, uploaded_at: now()
+    }),
+    document_expiry_warnings: () => ({ sent_at: now() }),
+    cab_requests: () => ({
+        driver_id: null, current_location: null, request_time: now(), status: 'requested',
+        fare_amount: null, accepted_at: null, arrived_at: null, started_at: null, completed_at: null,
+        cancelled_at: null, cancelled_by_role: null, cancelled_by_id: null, cancellation_reason: null,
+        cancellation_fee: 0, pickup_lat: null, pickup_lng: null, dropoff_lat: null, dropoff_lng: null,
+        vehicle_type: null, estimated_fare: null, estimated_distance_meters: null,
+        estimated_duration_seconds: null, trip_distance_meters: null, trip_duration_seconds: null,
+        fare_breakdown: null, quoted_fare: null, released_at: null, created_at: now(), updated_at: now()
+    }),
+    ride_status_history: () => ({
+        from_status: null, actor_role: 'system', actor_id: null, reason: null, created_at: now()
+    }),
+    ride_dispatch_offers: () => ({
+        status: 'offered', distance_meters: null, offered_at: now(), responded_at: null
+    }),
+    ride_track_points: () => ({ driver_id: null, accuracy: null, recorded_at: now() }),
+    ride_ratings: () => ({ tags: [], comment: null, created_at: now() }),
+    system_settings: () => ({
+        base_fare: 5, price_per_mile: 1.5, price_per_minute: 0.5, minimum_fare: 7,
+        cancellation_fee: 5, cancellation_grace_minutes: 2, maintenance_mode: false,
+        enable_notifications: true, maintenance_message: null, maintenance_retry_after_seconds: 900,
+        maintenance_allow_active_trips: true, created_at: now(), updated_at: now()
+    }),
+    fare_rate_cards: () => ({
+        base_fare: null, price_per_mile: null, price_per_minute: null, minimum_fare: null,
+        created_at: now(), updated_at: now()
+    }),
+    auth_sessions: () => ({
+        previous_token_hash: null, user_agent: null, ip_address: null, created_at: now(),
+        last_used_at: null, revoked_at: null
+    }),
+    password_reset_tokens: () => ({ created_at: now(), used_at: null }),
+    login_attempts: () => ({ ip_address: null, failure_reason: null, user_agent: null, attempted_at: now() }),
+    login_lockouts: () => ({ role: null, created_at: now(), cleared_at: null, cleared_by: null })
+});
+
+// Unique constraints; NULLs never clash, as in SQL
+const UNIQUE = Object.freeze({
+    users: [['username'], ['email']],
+    admins: [['username']],
+    drivers: [['email']],
+    document_expiry_warnings: [['document_id', 'threshold_days']],
+    ride_ratings: [['ride_id', 'rater_role']],
+    auth_sessions: [['token_hash']],
+    password_reset_tokens: [['token_hash']],
+    fare_rate_cards: [['vehicle_type']]
+});
+
+// Columns PostgreSQL would coerce from strings, such as ids taken from a URL
+// or coordinates posted as text
+const NUMERIC_COLUMNS = new Set([
+    'user_id', 'driver_id', 'ride_id', 'document_id', 'subject_id', 'actor_id', 'reviewed_by',
+    'cancelled_by_id', 'cleared_by', 'rater_id', 'ratee_id', 'threshold_days', 'failed_count',
+    'current_latitude', 'current_longitude', 'location_accuracy', 'latitude', 'longitude', 'accuracy',
+    'pickup_lat', 'pickup_lng', 'dropoff_lat', 'dropoff_lng', 'distance_meters', 'size_bytes', 'stars',
+    'fare_amount', 'estimated_fare', 'quoted_fare', 'cancellation_fee', 'base_fare', 'price_per_mile',
+    'price_per_minute', 'minimum_fare', 'estimated_distance_meters', 'estimated_duration_seconds',
+    'trip_distance_meters', 'trip_duration_seconds', 'cancellation_grace_minutes',
+    'maintenance_retry_after_seconds'
+]);
+
+// Stored as JSON text by callers and read back parsed, like JSONB
+const JSON_COLUMNS = new Set(['fare_breakdown']);
+
+const createStore = () => ({
+    tables: Object.fromEntries(Object.keys(DEFAULTS).map(table => [table, []])),
+    sequences: {}
+});
+
+// Rows handed out are copies, so callers cannot change the store by accident
+const copy = (row) => (row ? structuredClone(row) : null);
+
+const sameId = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b);
+
+const normalize = (fields) => {
+    const row = {};
+    for (const [column, value] of Object.entries(fields)) {
+        if (value === undefined) continue;
+        if (NUMERIC_COLUMNS.has(column) && typeof value === 'string') {
+            row[column] = Number(value);
+        } else if (JSON_COLUMNS.has(column) && typeof value === 'string') {
+            row[column] = JSON.parse(value);
+        } else {
+            row[column] = value;
+        }
+    }
+    return row;
+};
+
+// Same shape and code as the error pg raises for a unique violation
+const uniqueViolation = (table, columns) => {
+    const error = new Error(`duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`);
+    error.code = '23505';
+    return error;
+};
+
+const checkUnique = (store, table, row, self = row) => {
+    for (const columns of UNIQUE[table] || []) {
+        if (columns.some(column => row[column] === null || row[column] === undefined)) continue;
+        const clash = store.tables[table].find(other =>
+            other !== self && columns.every(column => other[column] === row[column]));
+        if (clash) throw uniqueViolation(table, columns);
+    }
+};
+
+const nextId = (store, table) => {
+    store.sequences[table] = (store.sequences[table] || 0) + 1;
+    return store.sequences[table];
+};
+
+// Adds a row with the table's defaults and returns a copy of it
+const insert = (store, table, fields) => {
+    const row = { ...DEFAULTS[table](), ...normalize(fields) };
+    if (row.id === undefined) row.id = nextId(store, table);
+    checkUnique(store, table, row);
+    store.tables[table].push(row);
+    return copy(row);
+};
+
+// Applies changes to a stored row in place and returns a copy of it
+const update = (store, table, row, changes) => {
+    const updated = { ...row, ...normalize(changes) };
+    checkUnique(store, table, updated, row);
+    Object.assign(row, updated);
+    return copy(row);
+};
+
+const remove = (store, table, row) => {
+    store.tables[table] = store.tables[table].filter(other => other !== row);
+    return copy(row);
+};
+
+const compareValues = (a, b) => {
+    const aMissing = a === null || a === undefined;
+    const bMissing = b === null || b === undefined;
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+    return a < b ? -1 : a > b ? 1 : 0;
+};
+
+// Sorted copy of rows by the given columns; '-column' sorts descending.
+// NULLs sort as the largest value, as in PostgreSQL.
+const sortBy = (rows, ...columns) => [...rows].sort((x, y) => {
+    for (const spec of columns) {
+        const descending = spec.startsWith('-');
+        const column = descending ? spec.slice(1) : spec;
+        const order = compareValues(x[column], y[column]);
+        if (order !== 0) return descending ? -order : order;
+    }
+    return 0;
+});
+
+// Serialises transactions and rolls the whole store back when one fails.
+// Work done outside a transaction while one is open is not isolated from
+// it, which is fine for tests and local development but nothing more.
+const createTransactions = (store, repositories) => {
+    const context = new AsyncLocalStorage();
+    let queue = Promise.resolve();
+
+    const transaction = (fn) => {
+        // Already inside a transaction: run as a separate unit without
+        // waiting on the queue, which would never drain
+        if (context.getStore()) return fn({ ...repositories(), transaction });
+
+        const run = queue.then(() => {
+            const snapshot = structuredClone({ tables: store.tables, sequences: store.sequences });
+            const tx = repositories();
+            tx.transaction = (inner) => inner(tx);
+
+            return context.run(tx, async () => fn(tx)).catch((error) => {
+                store.tables = snapshot.tables;
+                store.sequences = snapshot.sequences;
+                throw error;
+            });
+        });
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    return transaction;
+};
+
+module.exports = {
+    createStore,
+    copy,
+    sameId,
+    insert,
+    update,
+    remove,
+    sortBy,
+    createTransactions
+};
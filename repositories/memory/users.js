@@ -0,0 +1,76 @@
+const { copy, sameId, insert, update, remove, sortBy } = require('./store');
+const { ratingColumns } = require('./ratings');
+
+const profileOf = ({ id, username, email, phone, gender, created_at }) =>
+    ({ id, username, email, phone, gender, created_at });
+
+const usersRepository = (store) => {
+    const users = () => store.tables.users;
+    const registrations = () => store.tables.pending_users;
+    const find = (predicate) => copy(users().find(predicate));
+
+    return {
+        findById: async (id) => find(user => sameId(user.id, id)),
+
+        findByUsername: async (username) => find(user => user.username === username),
+
+        findByEmail: async (email) => find(user => user.email === email),
+
+        findByLogin: async (identifier) => find(user => user.email === identifier || user.phone === identifier),
+
+        findByUsernameOrEmail: async (username, email) =>
+            find(user => user.username === username || (user.email !== null && user.email === email)),
+
+        findProfile: async (id) => {
+            const user = users().find(row => sameId(row.id, id));
+            return user ? copy(profileOf(user)) : null;
+        },
+
+        listProfiles: async () => sortBy(users(), '-created_at')
+            .map(user => copy({ ...profileOf(user), ...ratingColumns(store, 'user', user.id) })),
+
+        create: async (fields) => insert(store, 'users', fields),
+
+        updatePassword: async (id, password) => {
+            const user = users().find(row => sameId(row.id, id));
+            if (user) update(store, 'users', user, { password });
+        },
+
+        delete: async (id) => {
+            const user = users().find(row => sameId(row.id, id));
+            if (!user) return null;
+            // cab_requests rows go with the account (ON DELETE CASCADE)
+            store.tables.cab_requests = store.tables.cab_requests.filter(ride => !sameId(ride.user_id, id));
+            return remove(store, 'users', user);
+        },
+
+        createRegistration: async (fields) => insert(store, 'pending_users', fields),
+
+        findRegistration: async (id) => copy(registrations().find(row => sameId(row.id, id))),
+
+        findPendingRegistration: async (username, email) => copy(registrations().find(row =>
+            row.status === 'pending' && (row.username === username || (email && row.email === email)))),
+
+        listRegistrations: async (status) => sortBy(
+            registrations().filter(row => status === 'all' || row.status === status),
+            '-created_at'
+        ).map(({ password, status_token_hash, ...row }) => {
+            const reviewer = store.tables.admins.find(admin => sameId(admin.id, row.reviewed_by));
+            return copy({ ...row, reviewed_by_username: reviewer ? reviewer.username : null });
+        }),
+
+        reviewRegistration: async (id, { status, reviewedBy, userId = null, rejectionReason = null }) => {
+            const row = registrations().find(registration => sameId(registration.id, id));
+            if (!row) return null;
+            return update(store, 'pending_users', row, {
+                status,
+                reviewed_by: reviewedBy,
+                reviewed_at: new Date(),
+                user_id: userId,
+                rejection_reason: rejectionReason
+            });
+        }
+    };
+};
+
+module.exports = usersRepository;
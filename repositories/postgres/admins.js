@@ -0,0 +1,22 @@
+const { one, insertRow } = require('./sql');
+
+const adminsRepository = (db) => ({
+    findById: (id) => one(db, 'SELECT * FROM admins WHERE id = $1', [id]),
+
+    findByUsername: (username) => one(db, 'SELECT * FROM admins WHERE LOWER(username) = LOWER($1)', [username]),
+
+    // Admins reset their password by username or e-mail address
+    findByLogin: (identifier) => one(
+        db,
+        'SELECT * FROM admins WHERE LOWER(username) = LOWER($1) OR LOWER(email) = LOWER($1)',
+        [identifier]
+    ),
+
+    create: (fields) => insertRow(db, 'admins', fields),
+
+    updatePassword: async (id, password) => {
+        await db.query('UPDATE admins SET password = $1 WHERE id = $2', [password, id]);
+    }
+});
+
+module.exports = adminsRepository;
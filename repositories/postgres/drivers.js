@@ -0,0 +1,191 @@
+const { one, all, lockClause, insertRow, updateRow, ratingColumns } = require('./sql');
+const { haversineSql } = require('../../services/geo');
+
+// What a driver and the admins see of a driver account
+const PROFILE_COLUMNS = `id, name, email, phone, vehicle_type, vehicle_number, license_number, available, gender,
+    is_online, verification_status, verification_grace_until, current_latitude, current_longitude`;
+
+// The approved document of each type that runs the longest is the one in force
+const CURRENT_DOCUMENTS = `
+    SELECT DISTINCT ON (doc.driver_id, doc.doc_type)
+           doc.id, doc.driver_id, doc.doc_type, doc.document_number, doc.expires_at
+    FROM driver_documents doc
+    WHERE doc.status = 'approved' AND doc.expires_at IS NOT NULL
+    ORDER BY doc.driver_id, doc.doc_type, doc.expires_at DESC`;
+
+// Drivers, their onboarding documents and the expiry reminders sent for them
+const driversRepository = (db) => ({
+    findById: (id, options) => one(db, `SELECT * FROM drivers WHERE id = $1${lockClause(options)}`, [id]),
+
+    findByEmail: (email) => one(db, 'SELECT * FROM drivers WHERE email = $1', [email]),
+
+    // Password resets match the e-mail address case-insensitively
+    findByLogin: (identifier) => one(db, 'SELECT * FROM drivers WHERE LOWER(email) = LOWER($1)', [identifier]),
+
+    findProfile: (id) => one(db, `SELECT ${PROFILE_COLUMNS} FROM drivers WHERE id = $1`, [id]),
+
+    // Admin listing by name, optionally only (un)available drivers
+    list: ({ available } = {}) => all(
+        db,
+        `SELECT id, name, email, phone, vehicle_type, vehicle_number, available, gender,
+                current_latitude AS lat, current_longitude AS lng,
+                last_location_update AS lastUpdate, location_accuracy, is_online, verification_status,
+                ${ratingColumns('driver', 'drivers.id')}
+         FROM drivers
+         WHERE $1::boolean IS NULL OR available = $1
+         ORDER BY name`,
+        [available ?? null]
+    ),
+
+    // Drivers that have reported a position, most recent first
+    listLocations: () => all(
+        db,
+        `SELECT
+            id,
+            name,
+            vehicle_type,
+            vehicle_number,
+            current_latitude AS lat,
+            current_longitude AS lng,
+            available,
+            last_location_update AS lastUpdate,
+            CASE
+                WHEN available = true THEN 'Available'
+                ELSE 'On Trip'
+            END AS status,
+            CASE
+                WHEN last_location_update IS NULL THEN 'Offline'
+                WHEN last_location_update > NOW() - INTERVAL '5 minutes' THEN 'Online'
+                ELSE 'Offline'
+            END AS online_status,
+            CONCAT(ROUND(current_latitude::numeric, 6), ', ', ROUND(current_longitude::numeric, 6)) AS location
+         FROM drivers
+         WHERE current_latitude IS NOT NULL
+         AND current_longitude IS NOT NULL
+         ORDER BY last_location_update DESC`
+    ),
+
+    countByAvailability: () => one(
+        db,
+        'SELECT COUNT(*)::int AS total, (COUNT(*) FILTER (WHERE available = true))::int AS available FROM drivers'
+    ),
+
+    create: (fields) => insertRow(db, 'drivers', fields),
+
+    update: (id, changes) => updateRow(db, 'drivers', id, changes),
+
+    updatePassword: async (id, password) => {
+        await db.query('UPDATE drivers SET password = $1 WHERE id = $2', [password, id]);
+    },
+
+    delete: (id) => one(db, 'DELETE FROM drivers WHERE id = $1 RETURNING *', [id]),
+
+    // Nearest online, available, verified driver of the right vehicle type
+    // who is not busy with a ride in `busyStatuses` and has not already been
+    // offered this ride. Returns { id, distance_meters } or null.
+    findDispatchCandidate: ({ rideId, lat, lng, vehicleType = null, busyStatuses, maxDistanceMeters }) => {
+        const distance = haversineSql('$1', '$2', 'd.current_latitude', 'd.current_longitude');
+        return one(
+            db,
+            `SELECT d.id, ${distance} AS distance_meters
+             FROM drivers d
+             WHERE d.is_online = true
+             AND d.available = true
+             AND d.verification_status = 'verified'
+             AND d.current_latitude IS NOT NULL
+             AND d.current_longitude IS NOT NULL
+             AND d.last_location_update > NOW() - INTERVAL '5 minutes'
+             AND ($3::text IS NULL OR d.vehicle_type = $3)
+             AND NOT EXISTS (
+                SELECT 1 FROM cab_requests busy
+                WHERE busy.driver_id = d.id AND busy.status = ANY($4)
+             )
+             AND NOT EXISTS (
+                SELECT 1 FROM ride_dispatch_offers o
+                WHERE o.ride_id = $5 AND o.driver_id = d.id
+             )
+             AND ${distance} <= $6
+             ORDER BY distance_meters ASC
+             LIMIT 1
+             FOR UPDATE OF d SKIP LOCKED`,
+            [lat, lng, vehicleType, busyStatuses, rideId, maxDistanceMeters]
+        );
+    },
+
+    createDocument: (fields) => insertRow(db, 'driver_documents', fields),
+
+    findDocument: (id, options) => one(db, `SELECT * FROM driver_documents WHERE id = $1${lockClause(options)}`, [id]),
+
+    // Newest upload first
+    listDocuments: (driverId) => all(
+        db,
+        'SELECT * FROM driver_documents WHERE driver_id = $1 ORDER BY uploaded_at DESC, id DESC',
+        [driverId]
+    ),
+
+    reviewDocument: (id, { status, expiresAt = null, rejectionReason = null, reviewedBy }) => one(
+        db,
+        `UPDATE driver_documents
+         SET status = $2, expires_at = $3, rejection_reason = $4, reviewed_by = $5, reviewed_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [id, status, expiresAt, rejectionReason, reviewedBy]
+    ),
+
+    // Drivers with uploads nobody has reviewed yet, longest waiting first
+    listVerificationQueue: () => all(
+        db,
+        `SELECT d.id, d.name, d.email, d.phone, d.vehicle_type, d.vehicle_number,
+                d.verification_status, d.created_at,
+                json_agg(json_build_object(
+                    'id', doc.id,
+                    'doc_type', doc.doc_type,
+                    'document_number', doc.document_number,
+                    'original_name', doc.original_name,
+                    'uploaded_at', doc.uploaded_at
+                ) ORDER BY doc.uploaded_at) AS pending_documents
+         FROM drivers d
+         JOIN driver_documents doc ON doc.driver_id = d.id AND doc.status = 'pending'
+         GROUP BY d.id
+         ORDER BY MIN(doc.uploaded_at)`
+    ),
+
+    // Grandfathered drivers whose verification deadline has passed
+    listGraceExpired: (now) => all(
+        db,
+        `SELECT id FROM drivers
+         WHERE verification_grace_until IS NOT NULL AND verification_grace_until <= $1
+         ORDER BY verification_grace_until`,
+        [now]
+    ),
+
+    // Documents in force with their driver, soonest expiry first. Narrowed to
+    // one driver and/or to documents expiring on or before `expiresBy`.
+    listDocumentsInForce: ({ driverId = null, expiresBy = null } = {}) => all(
+        db,
+        `WITH current_documents AS (${CURRENT_DOCUMENTS})
+         SELECT c.id, c.driver_id, c.doc_type, c.document_number, c.expires_at,
+                d.name, d.email, d.phone, d.verification_status
+         FROM current_documents c
+         JOIN drivers d ON d.id = c.driver_id
+         WHERE ($1::int IS NULL OR c.driver_id = $1)
+         AND ($2::date IS NULL OR c.expires_at <= $2::date)
+         ORDER BY c.expires_at, d.name`,
+        [driverId, expiresBy]
+    ),
+
+    // Records that the reminder for this document and threshold went out.
+    // False when it already had.
+    claimExpiryWarning: async (documentId, thresholdDays) => {
+        const result = await db.query(
+            `INSERT INTO document_expiry_warnings (document_id, threshold_days)
+             VALUES ($1, $2)
+             ON CONFLICT (document_id, threshold_days) DO NOTHING
+             RETURNING id`,
+            [documentId, thresholdDays]
+        );
+        return result.rows.length > 0;
+    }
+});
+
+module.exports = driversRepository;
@@ -0,0 +1,46 @@
+const pool = require('../../config/db');
+const usersRepository = require('./users');
+const adminsRepository = require('./admins');
+const driversRepository = require('./drivers');
+const ridesRepository = require('./rides');
+const settingsRepository = require('./settings');
+const sessionsRepository = require('./sessions');
+const passwordResetsRepository = require('./passwordResets');
+const loginsRepository = require('./logins');
+
+const createRepositories = (db) => ({
+    users: usersRepository(db),
+    admins: adminsRepository(db),
+    drivers: driversRepository(db),
+    rides: ridesRepository(db),
+    settings: settingsRepository(db),
+    sessions: sessionsRepository(db),
+    passwordResets: passwordResetsRepository(db),
+    logins: loginsRepository(db)
+});
+
+// Runs fn with repositories bound to one connection between BEGIN and
+// COMMIT. Calling transaction() on those repositories joins the same one.
+const transaction = async (fn) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const tx = createRepositories(client);
+        tx.transaction = (inner) => inner(tx);
+
+        const result = await fn(tx);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = {
+    backend: 'postgres',
+    ...createRepositories(pool),
+    transaction
+};
@@ -0,0 +1,72 @@
+const { one, all, insertRow } = require('./sql');
+
+// Login attempt audit trail and account/IP lockouts. `scope` is 'account'
+// (key `<role>:<identifier>`) or 'ip' (key is the address).
+const loginsRepository = (db) => ({
+    recordAttempt: (fields) => insertRow(db, 'login_attempts', fields),
+
+    // Failures within the window since the last cleared lockout and, for an
+    // account, since its last successful login: { failures, last_failure }.
+    // An IP is not reset by a success, or one attacker-owned account would
+    // keep clearing it.
+    countRecentFailures: (scope, key, windowMinutes) => {
+        const column = scope === 'ip' ? 'ip_address' : 'account_key';
+        return one(
+            db,
+            `SELECT COUNT(*)::int AS failures, MAX(attempted_at) AS last_failure
+             FROM login_attempts a
+             WHERE a.${column} = $1
+             AND a.succeeded = false
+             AND a.attempted_at > NOW() - make_interval(mins => $2)
+             AND a.attempted_at > GREATEST(
+                COALESCE((SELECT MAX(s.attempted_at) FROM login_attempts s
+                          WHERE s.${column} = $1 AND s.succeeded = true AND $3 = 'account'),
+                         '-infinity'::timestamp),
+                COALESCE((SELECT MAX(l.cleared_at) FROM login_lockouts l
+                          WHERE l.scope = $3 AND l.lock_key = $1), '-infinity'::timestamp)
+             )`,
+            [key, windowMinutes, scope]
+        );
+    },
+
+    findActiveLockout: (scope, key) => one(
+        db,
+        `SELECT id, locked_until FROM login_lockouts
+         WHERE scope = $1 AND lock_key = $2 AND cleared_at IS NULL AND locked_until > NOW()
+         ORDER BY locked_until DESC LIMIT 1`,
+        [scope, key]
+    ),
+
+    createLockout: (fields) => insertRow(db, 'login_lockouts', fields),
+
+    listActiveLockouts: () => all(
+        db,
+        `SELECT id, scope, lock_key, role, failed_count, locked_until, created_at
+         FROM login_lockouts
+         WHERE cleared_at IS NULL AND locked_until > NOW()
+         ORDER BY created_at DESC`
+    ),
+
+    clearLockout: (id, adminId) => one(
+        db,
+        `UPDATE login_lockouts SET cleared_at = NOW(), cleared_by = $2
+         WHERE id = $1 AND cleared_at IS NULL
+         RETURNING *`,
+        [id, adminId]
+    ),
+
+    // Newest failed attempts, optionally from one IP or for one identifier
+    listFailedAttempts: ({ ip = null, identifier = null, limit }) => all(
+        db,
+        `SELECT id, role, identifier, ip_address, failure_reason, user_agent, attempted_at
+         FROM login_attempts
+         WHERE succeeded = false
+         AND ($1::text IS NULL OR ip_address = $1)
+         AND ($2::text IS NULL OR identifier = $2)
+         ORDER BY attempted_at DESC
+         LIMIT $3`,
+        [ip, identifier, limit]
+    )
+});
+
+module.exports = loginsRepository;
@@ -0,0 +1,29 @@
+const { one, insertRow } = require('./sql');
+
+// Single-use password reset tokens, stored hashed
+const passwordResetsRepository = (db) => ({
+    create: (fields) => insertRow(db, 'password_reset_tokens', fields),
+
+    // Marks every unused token of the account as used
+    invalidate: async (role, subjectId) => {
+        await db.query(
+            'UPDATE password_reset_tokens SET used_at = NOW() WHERE subject_role = $1 AND subject_id = $2 AND used_at IS NULL',
+            [role, subjectId]
+        );
+    },
+
+    // Uses up a valid token and returns the account id it was issued for, or
+    // null when the token is unknown, used or expired
+    consume: async (role, tokenHash) => {
+        const row = await one(
+            db,
+            `UPDATE password_reset_tokens SET used_at = NOW()
+             WHERE token_hash = $1 AND subject_role = $2 AND used_at IS NULL AND expires_at > NOW()
+             RETURNING subject_id`,
+            [tokenHash, role]
+        );
+        return row ? row.subject_id : null;
+    }
+});
+
+module.exports = passwordResetsRepository;
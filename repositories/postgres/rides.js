@@ -0,0 +1,300 @@
+const { one, all, lockClause, insertRow, updateRow } = require('./sql');
+const { haversineSql, boundingBox } = require('../../services/geo');
+
+// 'postgis', 'haversine', or 'auto' to use PostGIS only when it is installed
+const GEO_BACKEND = (process.env.GEO_BACKEND || 'auto').toLowerCase();
+
+// Sort orders accepted by list() and listWithParties(); a leading '-' means
+// newest first
+const ORDER_BY = Object.freeze({
+    created_at: ['created_at ASC', 'id ASC'],
+    '-created_at': ['created_at DESC', 'id DESC'],
+    request_time: ['request_time ASC', 'id ASC'],
+    '-request_time': ['request_time DESC', 'id DESC']
+});
+
+const orderBy = (sort, alias = null) => ORDER_BY[sort].map(term => (alias ? `${alias}.${term}` : term)).join(', ');
+
+const NEARBY_COLUMNS = `
+    cr.id,
+    cr.pickup_location,
+    cr.dropoff_location,
+    cr.pickup_lat,
+    cr.pickup_lng,
+    cr.dropoff_lat,
+    cr.dropoff_lng,
+    cr.vehicle_type,
+    cr.status,
+    cr.request_time,
+    cr.estimated_fare,
+    u.username AS customer_name,
+    u.phone AS customer_phone`;
+
+const OPEN_RIDE_FILTER = `
+    cr.status = $4
+    AND cr.driver_id IS NULL
+    AND cr.pickup_lat IS NOT NULL
+    AND cr.pickup_lng IS NOT NULL
+    AND (cr.vehicle_type IS NULL OR $5::text IS NULL OR LOWER(cr.vehicle_type) = LOWER($5))`;
+
+let postgisAvailable = null;
+
+const hasPostgis = async (db) => {
+    if (GEO_BACKEND !== 'auto') return GEO_BACKEND === 'postgis';
+    if (postgisAvailable === null) {
+        const result = await db.query("SELECT 1 FROM pg_extension WHERE extname = 'postgis'");
+        postgisAvailable = result.rows.length > 0;
+    }
+    return postgisAvailable;
+};
+
+const postgisNearby = (db, { lat, lng, radiusMeters, status, vehicleType, limit }) => {
+    const origin = 'ST_SetSRID(ST_MakePoint($2, $1), 4326)::geography';
+    const pickup = 'ST_SetSRID(ST_MakePoint(cr.pickup_lng, cr.pickup_lat), 4326)::geography';
+    return all(
+        db,
+        `SELECT ${NEARBY_COLUMNS},
+                ST_Distance(${origin}, ${pickup}) AS distance_meters
+         FROM cab_requests cr
+         JOIN users u ON cr.user_id = u.id
+         WHERE ${OPEN_RIDE_FILTER}
+         AND ST_DWithin(${origin}, ${pickup}, $3)
+         ORDER BY distance_meters ASC
+         LIMIT $6`,
+        [lat, lng, radiusMeters, status, vehicleType, limit]
+    );
+};
+
+const haversineNearby = (db, { lat, lng, radiusMeters, status, vehicleType, limit }) => {
+    const box = boundingBox(lat, lng, radiusMeters);
+    const distance = haversineSql('$1', '$2', 'cr.pickup_lat', 'cr.pickup_lng');
+    return all(
+        db,
+        `SELECT * FROM (
+            SELECT ${NEARBY_COLUMNS},
+                   ${distance} AS distance_meters
+            FROM cab_requests cr
+            JOIN users u ON cr.user_id = u.id
+            WHERE ${OPEN_RIDE_FILTER}
+            AND cr.pickup_lat BETWEEN $7 AND $8
+            AND cr.pickup_lng BETWEEN $9 AND $10
+         ) nearby
+         WHERE distance_meters <= $3
+         ORDER BY distance_meters ASC
+         LIMIT $6`,
+        [lat, lng, radiusMeters, status, vehicleType, limit,
+            box.minLat, box.maxLat, box.minLng, box.maxLng]
+    );
+};
+
+// Ride requests (cab_requests) with their status history, dispatch offers,
+// recorded tracks and ratings
+const ridesRepository = (db) => ({
+    create: (fields) => insertRow(db, 'cab_requests', fields),
+
+    findById: (id, options) => one(db, `SELECT * FROM cab_requests WHERE id = $1${lockClause(options)}`, [id]),
+
+    update: (id, changes) => updateRow(db, 'cab_requests', id, changes),
+
+    // Rides matching every given filter. `requestTimeBefore` keeps rides whose
+    // pickup time is at or before the date; `hasPickup` those with coordinates.
+    list: ({ userId, driverId, statuses, requestTimeBefore, hasPickup, sort = 'created_at', limit } = {}) => {
+        const conditions = [];
+        const params = [];
+        const add = (condition, value) => {
+            params.push(value);
+            conditions.push(condition.replace('?', `$${params.length}`));
+        };
+
+        if (userId !== undefined) add('user_id = ?', userId);
+        if (driverId !== undefined) add('driver_id = ?', driverId);
+        if (statuses) add('status = ANY(?)', statuses);
+        if (requestTimeBefore) add('request_time <= ?', requestTimeBefore);
+        if (hasPickup) conditions.push('pickup_lat IS NOT NULL AND pickup_lng IS NOT NULL');
+
+        let sql = 'SELECT * FROM cab_requests';
+        if (conditions.length > 0) sql += ` WHERE ${conditions.join(' AND ')}`;
+        sql += ` ORDER BY ${orderBy(sort)}`;
+        if (limit) {
+            params.push(limit);
+            sql += ` LIMIT $${params.length}`;
+        }
+        return all(db, sql, params);
+    },
+
+    // A rider's rides, latest pickup first, each with `driver` (or null)
+    listForUser: (userId) => all(
+        db,
+        `SELECT cr.*,
+                CASE WHEN d.id IS NULL THEN NULL ELSE json_build_object(
+                    'id', d.id,
+                    'name', d.name,
+                    'vehicle_type', d.vehicle_type,
+                    'vehicle_number', d.vehicle_number,
+                    'phone', d.phone,
+                    'latitude', d.current_latitude,
+                    'longitude', d.current_longitude
+                ) END AS driver
+         FROM cab_requests cr
+         LEFT JOIN drivers d ON cr.driver_id = d.id
+         WHERE cr.user_id = $1
+         ORDER BY cr.request_time DESC, cr.id DESC`,
+        [userId]
+    ),
+
+    // Rides assigned to a driver, trips underway first
+    listForDriver: (driverId) => all(
+        db,
+        `SELECT
+            cr.id,
+            cr.pickup_location,
+            cr.dropoff_location,
+            cr.pickup_lat,
+            cr.pickup_lng,
+            cr.dropoff_lat,
+            cr.dropoff_lng,
+            cr.vehicle_type,
+            cr.status,
+            cr.created_at,
+            cr.request_time,
+            cr.fare_amount,
+            cr.estimated_fare,
+            cr.fare_breakdown,
+            u.username AS customer_name,
+            u.phone AS phone,
+            u.email AS customer_email
+         FROM cab_requests cr
+         JOIN users u ON cr.user_id = u.id
+         WHERE cr.driver_id = $1
+         ORDER BY
+            CASE cr.status
+                WHEN 'in_progress' THEN 1
+                WHEN 'arrived' THEN 2
+                WHEN 'accepted' THEN 3
+                WHEN 'assigned' THEN 4
+                WHEN 'completed' THEN 5
+                ELSE 6
+            END,
+            cr.created_at DESC`,
+        [driverId]
+    ),
+
+    // Rides with the rider's and driver's names for the admin views, newest
+    // first unless `sort` says otherwise. Filters: id, driverId, statuses.
+    listWithParties: ({ id, driverId, statuses, sort = '-created_at' } = {}) => all(
+        db,
+        `SELECT r.*, COALESCE(u.username, 'Unknown') AS user_name, u.gender AS user_gender,
+                COALESCE(d.name, 'Not assigned') AS driver_name, d.phone AS driver_phone,
+                d.current_latitude AS driver_latitude, d.current_longitude AS driver_longitude
+         FROM cab_requests r
+         LEFT JOIN users u ON r.user_id = u.id
+         LEFT JOIN drivers d ON r.driver_id = d.id
+         WHERE ($1::int IS NULL OR r.id = $1)
+         AND ($2::int IS NULL OR r.driver_id = $2)
+         AND ($3::text[] IS NULL OR r.status = ANY($3))
+         ORDER BY ${orderBy(sort, 'r')}`,
+        [id ?? null, driverId ?? null, statuses ?? null]
+    ),
+
+    // Rides waiting in `status` with no driver whose pickup lies within
+    // radiusMeters of the point, nearest first, with distance_meters
+    findNearbyOpen: async (search) => {
+        const params = { vehicleType: null, limit: 20, ...search };
+        return await hasPostgis(db) ? postgisNearby(db, params) : haversineNearby(db, params);
+    },
+
+    // Ride count and fare total per status
+    summarize: () => all(
+        db,
+        `SELECT status, COUNT(*)::int AS rides, COALESCE(SUM(fare_amount), 0) AS fares
+         FROM cab_requests
+         GROUP BY status`
+    ),
+
+    addHistory: (fields) => insertRow(db, 'ride_status_history', fields),
+
+    listHistory: (rideId) => all(
+        db,
+        `SELECT id, from_status, to_status, actor_role, actor_id, reason, created_at
+         FROM ride_status_history
+         WHERE ride_id = $1
+         ORDER BY created_at, id`,
+        [rideId]
+    ),
+
+    createOffer: (fields) => insertRow(db, 'ride_dispatch_offers', fields),
+
+    // Offers in `status` that expired before the given time
+    listExpiredOffers: (status, before) => all(
+        db,
+        'SELECT ride_id, driver_id FROM ride_dispatch_offers WHERE status = $1 AND expires_at < $2',
+        [status, before]
+    ),
+
+    // Moves a ride's offers in `from` (optionally only the one made to
+    // driverId) to `to` and returns them
+    resolveOffers: ({ rideId, driverId = null, from, to }) => all(
+        db,
+        `UPDATE ride_dispatch_offers SET status = $4, responded_at = NOW()
+         WHERE ride_id = $1 AND ($2::int IS NULL OR driver_id = $2) AND status = $3
+         RETURNING *`,
+        [rideId, driverId, from, to]
+    ),
+
+    addTrackPoint: (fields) => insertRow(db, 'ride_track_points', fields),
+
+    listTrackPoints: (rideId) => all(
+        db,
+        `SELECT latitude, longitude, accuracy, recorded_at
+         FROM ride_track_points
+         WHERE ride_id = $1
+         ORDER BY recorded_at, id`,
+        [rideId]
+    ),
+
+    // Fails with code 23505 when that side already rated the ride
+    createRating: (fields) => insertRow(db, 'ride_ratings', fields),
+
+    // Average (a numeric string), count and the five most used tags
+    getRatingSummary: (role, id) => one(
+        db,
+        `SELECT ROUND(AVG(stars)::numeric, 2) AS average, COUNT(*)::int AS count,
+                COALESCE((
+                    SELECT json_object_agg(tag, uses) FROM (
+                        SELECT tag, COUNT(*)::int AS uses
+                        FROM ride_ratings t, unnest(t.tags) AS tag
+                        WHERE t.ratee_role = $1 AND t.ratee_id = $2
+                        GROUP BY tag
+                        ORDER BY uses DESC
+                        LIMIT 5
+                    ) top
+                ), '{}'::json) AS top_tags
+         FROM ride_ratings
+         WHERE ratee_role = $1 AND ratee_id = $2`,
+        [role, id]
+    ),
+
+    // Drivers or riders averaging below `threshold` over at least `minRatings`
+    listLowRated: ({ role, threshold, minRatings }) => {
+        const account = role === 'driver'
+            ? { table: 'drivers', name: 'a.name' }
+            : { table: 'users', name: 'a.username' };
+
+        return all(
+            db,
+            `SELECT a.id, ${account.name} AS name, a.email, a.phone,
+                    ROUND(AVG(r.stars)::numeric, 2) AS rating_average,
+                    COUNT(*)::int AS rating_count,
+                    COUNT(*) FILTER (WHERE r.stars <= 2)::int AS low_ratings,
+                    MAX(r.created_at) AS last_rated_at
+             FROM ${account.table} a
+             JOIN ride_ratings r ON r.ratee_role = $1 AND r.ratee_id = a.id
+             GROUP BY a.id
+             HAVING COUNT(*) >= $2 AND AVG(r.stars) < $3
+             ORDER BY rating_average ASC, rating_count DESC`,
+            [role, minRatings, threshold]
+        );
+    }
+});
+
+module.exports = ridesRepository;
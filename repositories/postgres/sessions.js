@@ -0,0 +1,53 @@
+const { one, insertRow } = require('./sql');
+
+// Login sessions (auth_sessions), keyed by a UUID and a hashed refresh token
+const sessionsRepository = (db) => ({
+    create: (fields) => insertRow(db, 'auth_sessions', fields),
+
+    // The session whose current or previous refresh token has this hash
+    findByTokenHash: (hash) => one(
+        db,
+        'SELECT * FROM auth_sessions WHERE token_hash = $1 OR previous_token_hash = $1',
+        [hash]
+    ),
+
+    // Swaps in a new refresh token. False when the session was revoked or
+    // its token rotated since it was read.
+    rotate: async (id, currentHash, nextHash) => {
+        const result = await db.query(
+            `UPDATE auth_sessions
+             SET previous_token_hash = token_hash, token_hash = $2, last_used_at = NOW()
+             WHERE id = $1 AND token_hash = $3 AND revoked_at IS NULL`,
+            [id, nextHash, currentHash]
+        );
+        return result.rowCount > 0;
+    },
+
+    revoke: async (id) => {
+        await db.query(
+            'UPDATE auth_sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL',
+            [id]
+        );
+    },
+
+    // Revokes every open session of the account except `exceptId`; returns how many
+    revokeAll: async (role, subjectId, { exceptId = null } = {}) => {
+        const result = await db.query(
+            `UPDATE auth_sessions SET revoked_at = NOW()
+             WHERE subject_role = $1 AND subject_id = $2 AND revoked_at IS NULL
+             AND ($3::uuid IS NULL OR id <> $3::uuid)`,
+            [role, subjectId, exceptId]
+        );
+        return result.rowCount;
+    },
+
+    isActive: async (id) => {
+        const result = await db.query(
+            'SELECT 1 FROM auth_sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()',
+            [id]
+        );
+        return result.rows.length > 0;
+    }
+});
+
+module.exports = sessionsRepository;
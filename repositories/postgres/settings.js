@@ -0,0 +1,52 @@
+const { one, all } = require('./sql');
+
+// System settings (the single system_settings row) and per-vehicle-type
+// rate cards
+const settingsRepository = (db) => ({
+    // The saved settings row, or null before an admin has saved any
+    get: () => one(db, 'SELECT * FROM system_settings WHERE id = 1'),
+
+    // Saves the given columns. Columns left out keep their value, or get the
+    // column default when the row is created.
+    save: (fields) => {
+        const columns = Object.keys(fields);
+        const placeholders = columns.map((_, i) => `$${i + 1}`);
+        const updates = columns.map(column => `${column} = EXCLUDED.${column}`);
+        return one(
+            db,
+            `INSERT INTO system_settings (id, ${columns.join(', ')}, created_at, updated_at)
+             VALUES (1, ${placeholders.join(', ')}, NOW(), NOW())
+             ON CONFLICT (id) DO UPDATE SET ${updates.join(', ')}, updated_at = NOW()
+             RETURNING *`,
+            Object.values(fields)
+        );
+    },
+
+    listRateCards: () => all(db, 'SELECT * FROM fare_rate_cards ORDER BY vehicle_type'),
+
+    findRateCard: (vehicleType) => one(
+        db,
+        'SELECT * FROM fare_rate_cards WHERE LOWER(vehicle_type) = LOWER($1)',
+        [vehicleType]
+    ),
+
+    // rates: base_fare, price_per_mile, price_per_minute, minimum_fare; null
+    // values fall back to the global pricing
+    saveRateCard: (vehicleType, rates) => one(
+        db,
+        `INSERT INTO fare_rate_cards (vehicle_type, base_fare, price_per_mile, price_per_minute, minimum_fare, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+         ON CONFLICT (vehicle_type) DO UPDATE SET base_fare = $2, price_per_mile = $3, price_per_minute = $4,
+             minimum_fare = $5, updated_at = NOW()
+         RETURNING *`,
+        [vehicleType, rates.base_fare, rates.price_per_mile, rates.price_per_minute, rates.minimum_fare]
+    ),
+
+    deleteRateCard: (vehicleType) => one(
+        db,
+        'DELETE FROM fare_rate_cards WHERE vehicle_type = $1 RETURNING *',
+        [vehicleType]
+    )
+});
+
+module.exports = settingsRepository;
@@ -0,0 +1,47 @@
+// Helpers shared by the PostgreSQL repositories. `db` is the pool or a client
+// checked out for a transaction.
+
+const one = async (db, sql, params) => (await db.query(sql, params)).rows[0] || null;
+
+const all = async (db, sql, params) => (await db.query(sql, params)).rows;
+
+const lockClause = (options) => (options?.forUpdate ? ' FOR UPDATE' : '');
+
+// Leaves out undefined values, as the memory store does: an omitted field
+// keeps its column default or current value instead of becoming NULL
+const definedEntries = (fields) => Object.entries(fields).filter(([, value]) => value !== undefined);
+
+// Column names always come from the code, never from the client
+const insertRow = (db, table, fields) => {
+    const entries = definedEntries(fields);
+    if (entries.length === 0) return one(db, `INSERT INTO ${table} DEFAULT VALUES RETURNING *`);
+    const placeholders = entries.map((_, i) => `$${i + 1}`);
+    return one(
+        db,
+        `INSERT INTO ${table} (${entries.map(([column]) => column).join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+        entries.map(([, value]) => value)
+    );
+};
+
+// Updates one row by id. `touch` also stamps updated_at.
+const updateRow = (db, table, id, changes, { touch = true } = {}) => {
+    const entries = definedEntries(changes);
+    const sets = entries.map(([column], i) => `${column} = $${i + 1}`);
+    if (touch) sets.push('updated_at = NOW()');
+    if (sets.length === 0) return one(db, `SELECT * FROM ${table} WHERE id = $1`, [id]);
+    return one(
+        db,
+        `UPDATE ${table} SET ${sets.join(', ')} WHERE id = $${entries.length + 1} RETURNING *`,
+        [...entries.map(([, value]) => value), id]
+    );
+};
+
+// Columns rating_average and rating_count for the account whose id is in
+// `idColumn`, e.g. ratingColumns('driver', 'd.id')
+const ratingColumns = (role, idColumn) => `
+    (SELECT ROUND(AVG(rr.stars)::numeric, 2) FROM ride_ratings rr
+     WHERE rr.ratee_role = '${role}' AND rr.ratee_id = ${idColumn}) AS rating_average,
+    (SELECT COUNT(*)::int FROM ride_ratings rr
+     WHERE rr.ratee_role = '${role}' AND rr.ratee_id = ${idColumn}) AS rating_count`;
+
+module.exports = { one, all, lockClause, insertRow, updateRow, ratingColumns };
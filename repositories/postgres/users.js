@@ -0,0 +1,77 @@
+const { one, all, lockClause, insertRow, ratingColumns } = require('./sql');
+
+// What admins see of a rider
+const PROFILE_COLUMNS = 'id, username, email, phone, gender, created_at';
+
+// Riders (users) and their registration requests (pending_users)
+const usersRepository = (db) => ({
+    findById: (id) => one(db, 'SELECT * FROM users WHERE id = $1', [id]),
+
+    findByUsername: (username) => one(db, 'SELECT * FROM users WHERE username = $1', [username]),
+
+    findByEmail: (email) => one(db, 'SELECT * FROM users WHERE email = $1', [email]),
+
+    // Riders log in with their e-mail address or phone number
+    findByLogin: (identifier) => one(db, 'SELECT * FROM users WHERE email = $1 OR phone = $1', [identifier]),
+
+    findByUsernameOrEmail: (username, email) => one(
+        db,
+        'SELECT * FROM users WHERE username = $1 OR (email IS NOT NULL AND email = $2)',
+        [username, email]
+    ),
+
+    findProfile: (id) => one(db, `SELECT ${PROFILE_COLUMNS} FROM users WHERE id = $1`, [id]),
+
+    // Newest first, with each rider's rating
+    listProfiles: () => all(
+        db,
+        `SELECT ${PROFILE_COLUMNS},
+                ${ratingColumns('user', 'users.id')}
+         FROM users ORDER BY created_at DESC`
+    ),
+
+    create: (fields) => insertRow(db, 'users', fields),
+
+    updatePassword: async (id, password) => {
+        await db.query('UPDATE users SET password = $1 WHERE id = $2', [password, id]);
+    },
+
+    delete: (id) => one(db, 'DELETE FROM users WHERE id = $1 RETURNING *', [id]),
+
+    createRegistration: (fields) => insertRow(db, 'pending_users', fields),
+
+    findRegistration: (id, options) => one(db, `SELECT * FROM pending_users WHERE id = $1${lockClause(options)}`, [id]),
+
+    // A request still waiting for review under the username or e-mail address
+    findPendingRegistration: (username, email) => one(
+        db,
+        `SELECT * FROM pending_users
+         WHERE status = 'pending' AND (username = $1 OR ($2::text IS NOT NULL AND email = $2))
+         LIMIT 1`,
+        [username, email || null]
+    ),
+
+    // status is a registration status or 'all'
+    listRegistrations: (status) => all(
+        db,
+        `SELECT p.id, p.username, p.email, p.phone, p.role, p.status, p.created_at,
+                p.reviewed_at, p.reviewed_by, a.username AS reviewed_by_username,
+                p.rejection_reason, p.user_id
+         FROM pending_users p
+         LEFT JOIN admins a ON p.reviewed_by = a.id
+         WHERE $1::text = 'all' OR p.status = $1
+         ORDER BY p.created_at DESC`,
+        [status]
+    ),
+
+    reviewRegistration: (id, { status, reviewedBy, userId = null, rejectionReason = null }) => one(
+        db,
+        `UPDATE pending_users
+         SET status = $2, reviewed_by = $3, reviewed_at = NOW(), user_id = $4, rejection_reason = $5
+         WHERE id = $1
+         RETURNING *`,
+        [id, status, reviewedBy, userId, rejectionReason]
+    )
+});
+
+module.exports = usersRepository;
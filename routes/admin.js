@@ -1,573 +1,607 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-const pool = require('../config/db');
-const { authenticate } = require('../middleware/auth');
+const repositories = require('../repositories');
+const { authenticate, authorize, DEFAULT_ADMIN_ROLE } = require('../middleware/auth');
 const { Parser } = require('json2csv');
-const validator = require('validator');
+const { STATUS, ACTIVE_STATUSES, transition, getHistory, runInTransaction } = require('../services/rideLifecycle');
+const { cancelRide } = require('../services/cancellation');
+const { dispatchRide, withdrawOffer } = require('../services/dispatcher');
+const { getSettings } = require('../services/settings');
+const { issueSession, revokeSession, revokeAllSessions } = require('../services/sessions');
+const passwordRoutes = require('./passwords');
+const { getTrack } = require('../services/tracking');
+const { guardLogin, listActiveLockouts, clearLockout, listFailedLogins } = require('../services/loginGuard');
+const { REGISTRATION_STATUS, approveRegistration, rejectRegistration } = require('../services/registrations');
+const { listVerificationQueue, listDocuments, getDocument, documentPath, reviewDocument } = require('../services/driverVerification');
+const { getExpiryReport } = require('../services/documentExpiry');
+const { clearMaintenanceCache } = require('../middleware/maintenance');
+const { listLowRated } = require('../services/ratings');
+const { validate } = require('../middleware/validate');
+const { respond } = require('../middleware/response');
+const { BadRequestError, UnauthorizedError, NotFoundError, ConflictError } = require('../services/errors');
+const schemas = require('../schemas/admin');
+
+// Ride columns shown in the admin ride listings
+const RIDE_FIELDS = [
+    'id', 'user_id', 'driver_id', 'pickup_location', 'dropoff_location', 'status', 'fare_amount',
+    'estimated_fare', 'fare_breakdown',
+    'pickup_lat', 'pickup_lng', 'dropoff_lat', 'dropoff_lng', 'vehicle_type',
+    'created_at', 'user_name', 'user_gender'
+];
+
+const pick = (row, fields) => Object.fromEntries(fields.map(field => [field, row[field]]));
 
 // Admin login
-router.post('/login', async (req, res) => {
+router.post('/login', validate(schemas.login), guardLogin('admin', 'username'), async (req, res, next) => {
     const { username, password } = req.body;
     try {
-        if (!username || !password) {
-            return res.status(400).json({ message: 'Username and password are required' });
-        }
         if (!process.env.JWT_SECRET) {
-            console.error('JWT_SECRET is not defined');
-            return res.status(500).json({ message: 'Server configuration error' });
+            throw new Error('JWT_SECRET is not defined');
         }
-        const result = await pool.query('SELECT * FROM admins WHERE LOWER(username) = LOWER($1)', [username]);
-        const admin = result.rows[0];
+        const admin = await repositories.admins.findByUsername(username);
         if (!admin) {
-            return res.status(401).json({ message: 'Invalid username or password' });
+            await req.loginAttempt.failed('unknown_account');
+            throw new UnauthorizedError('Invalid username or password');
         }
         if (!admin.password || !admin.password.startsWith('$2b$')) {
-            console.error(`Invalid password hash for admin ${admin.id}`);
-            return res.status(500).json({ message: 'Invalid server data' });
+            throw new Error(`Invalid password hash for admin ${admin.id}`);
         }
         const isValidPassword = await bcrypt.compare(password, admin.password);
         if (!isValidPassword) {
-            return res.status(401).json({ message: 'Invalid username or password' });
+            await req.loginAttempt.failed('invalid_password');
+            throw new UnauthorizedError('Invalid username or password');
         }
         if (!admin.id) {
-            console.error(`Admin ${username} has no ID`);
-            return res.status(500).json({ message: 'Invalid server data' });
-        }
-        const token = jwt.sign(
-            { id: admin.id, role: 'admin', username: admin.username },
-            process.env.JWT_SECRET,
-            { expiresIn: '1h' }
+            throw new Error(`Admin ${username} has no ID`);
+        }
+        await req.loginAttempt.succeeded();
+        const adminRole = admin.admin_role || DEFAULT_ADMIN_ROLE;
+        const { token, refreshToken } = await issueSession(
+            'admin',
+            admin.id,
+            { username: admin.username, admin_role: adminRole },
+            req
         );
-        res.json({ token, username: admin.username, message: 'Admin login successful' });
+        respond(res, { token, refreshToken, username: admin.username, admin_role: adminRole }, {
+            message: 'Admin login successful'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Admin logout; { allDevices: true } ends every session of the account
+router.post('/logout', authenticate('admin'), validate(schemas.logout), async (req, res, next) => {
+    try {
+        if (req.body.allDevices === true) {
+            const sessions = await revokeAllSessions('admin', req.user.id);
+            return respond(res, { sessions }, { message: `Logged out of ${sessions} session(s)` });
+        }
+        if (req.user.sid) {
+            await revokeSession(req.user.sid);
+        }
+        respond(res, null, { message: 'Logout successful' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Export data. Declared before the /requests/:id and /users/:id routes so
+// 'export' is not taken for an id.
+router.get('/requests/export', authenticate('admin'), authorize('reports:export'), async (req, res, next) => {
+    try {
+        const rides = await repositories.rides.listWithParties();
+        const fields = ['id', 'user_name', 'pickup_location', 'dropoff_location', 'driver_name', 'status', 'fare_amount', 'created_at'];
+        const parser = new Parser({ fields });
+        const csv = parser.parse(rides);
+        res.header('Content-Type', 'text/csv');
+        res.attachment('requests-export.csv');
+        res.send(csv);
     } catch (error) {
-        console.error('Login error:', error.stack);
-        res.status(500).json({ message: 'Error logging in', error: error.message });
+        next(error);
     }
 });
 
-// Admin logout
-router.post('/logout', authenticate('admin'), async (req, res) => {
+router.get('/users/export', authenticate('admin'), authorize('reports:export'), async (req, res, next) => {
     try {
-        res.json({ message: 'Logout successful' });
+        const users = await repositories.users.listProfiles();
+        const fields = ['id', 'username', 'email', 'phone', 'gender', 'created_at'];
+        const parser = new Parser({ fields });
+        const csv = parser.parse(users);
+        res.header('Content-Type', 'text/csv');
+        res.attachment('users-export.csv');
+        res.send(csv);
     } catch (error) {
-        console.error('Logout error:', error.stack);
-        res.status(500).json({ message: 'Error logging out', error: error.message });
+        next(error);
+    }
+});
+
+router.get('/dashboard/export', authenticate('admin'), authorize('reports:export'), async (req, res, next) => {
+    try {
+        const totals = await repositories.rides.summarize();
+        const driverCounts = await repositories.drivers.countByAvailability();
+        const activeDrivers = await repositories.drivers.list({ available: true });
+        const pendingRequests = await repositories.rides.listWithParties({ statuses: [STATUS.REQUESTED] });
+
+        const totalFor = (status) => totals.find(total => total.status === status);
+
+        const csvData = [];
+        csvData.push({
+            section: 'Summary Stats',
+            total_rides: totals.reduce((sum, total) => sum + total.rides, 0),
+            pending_requests: totalFor(STATUS.REQUESTED)?.rides || 0,
+            revenue: parseFloat(totalFor(STATUS.COMPLETED)?.fares || 0).toFixed(2),
+            total_drivers: driverCounts.total,
+            active_drivers: driverCounts.available
+        });
+        csvData.push({ section: '' });
+        csvData.push({
+            section: 'Active Drivers',
+            id: 'ID',
+            name: 'Name',
+            vehicle_type: 'Vehicle Type',
+            vehicle_number: 'Vehicle Number',
+            phone: 'Phone'
+        });
+        activeDrivers.forEach(driver => {
+            csvData.push({
+                section: '',
+                id: driver.id,
+                name: driver.name,
+                vehicle_type: driver.vehicle_type,
+                vehicle_number: driver.vehicle_number,
+                phone: driver.phone
+            });
+        });
+        csvData.push({ section: '' });
+        csvData.push({
+            section: 'Pending Requests',
+            id: 'ID',
+            pickup_location: 'Pickup Location',
+            dropoff_location: 'Dropoff Location',
+            user_name: 'User Name',
+            status: 'Status',
+            created_at: 'Created At'
+        });
+        pendingRequests.forEach(request => {
+            csvData.push({
+                section: '',
+                id: request.id,
+                pickup_location: request.pickup_location,
+                dropoff_location: request.dropoff_location,
+                user_name: request.user_name,
+                status: request.status,
+                created_at: request.created_at ? new Date(request.created_at).toISOString() : 'N/A'
+            });
+        });
+
+
+        const fields = [
+            { label: 'Section', value: 'section' },
+            { label: 'Total Rides', value: 'total_rides' },
+            { label: 'Pending Requests', value: 'pending_requests' },
+            { label: 'Revenue', value: 'revenue' },
+            { label: 'Total Drivers', value: 'total_drivers' },
+            { label: 'Active Drivers', value: 'active_drivers' },
+            { label: 'Driver ID', value: 'id' },
+            { label: 'Driver Name', value: 'name' },
+            { label: 'Vehicle Type', value: 'vehicle_type' },
+            { label: 'Vehicle Number', value: 'vehicle_number' },
+            { label: 'Phone', value: 'phone' },
+            { label: 'Request ID', value: 'id' },
+            { label: 'Pickup Location', value: 'pickup_location' },
+            { label: 'Dropoff Location', value: 'dropoff_location' },
+            { label: 'User Name', value: 'user_name' },
+            { label: 'Status', value: 'status' },
+            { label: 'Created At', value: 'created_at' }
+        ];
+
+        const parser = new Parser({ fields });
+        const csv = parser.parse(csvData);
+        res.header('Content-Type', 'text/csv');
+        res.attachment('dashboard-export.csv');
+        res.send(csv);
+    } catch (error) {
+        next(error);
     }
 });
 
 // Ride requests
-router.get('/requests', authenticate('admin'), async (req, res) => {
+router.get('/requests', authenticate('admin'), authorize('rides:read'), async (req, res, next) => {
     try {
-        const result = await pool.query(`
-            SELECT r.id, r.user_id, r.driver_id, r.pickup_location, r.dropoff_location, r.status, r.fare_amount,
-                   r.created_at, COALESCE(u.username, 'Unknown') AS user_name, u.gender AS user_gender,
-                   COALESCE(d.name, 'Not assigned') AS driver_name
-            FROM cab_requests r
-            LEFT JOIN users u ON r.user_id = u.id
-            LEFT JOIN drivers d ON r.driver_id = d.id
-            ORDER BY r.created_at DESC
-        `);
-        res.json({ data: result.rows, message: 'Ride requests fetched successfully' });
+        const rides = await repositories.rides.listWithParties();
+        respond(res, rides.map(ride => pick(ride, [...RIDE_FIELDS, 'driver_name'])), {
+            message: 'Ride requests fetched successfully'
+        });
     } catch (error) {
-        console.error('Error fetching ride requests:', error.stack);
-        res.status(500).json({ message: 'Error fetching ride requests', error: error.message });
+        next(error);
     }
 });
 
 // Get single ride request
-router.get('/requests/:id', authenticate('admin'), async (req, res) => {
+router.get('/requests/:id', authenticate('admin'), authorize('rides:read'), validate(schemas.byId), async (req, res, next) => {
     const { id } = req.params;
     try {
-        if (!validator.isInt(id)) {
-            return res.status(400).json({ message: 'Invalid request ID' });
-        }
-        const result = await pool.query(`
-            SELECT r.id, r.user_id, r.driver_id, r.pickup_location, r.dropoff_location, r.status, r.fare_amount,
-                   r.created_at, COALESCE(u.username, 'Unknown') AS user_name, u.gender AS user_gender,
-                   COALESCE(d.name, 'Not assigned') AS driver_name
-            FROM cab_requests r
-            LEFT JOIN users u ON r.user_id = u.id
-            LEFT JOIN drivers d ON r.driver_id = d.id
-            WHERE r.id = $1
-        `, [id]);
-        if (result.rows.length === 0) {
-            return res.status(404).json({ message: 'Ride request not found' });
+        const [ride] = await repositories.rides.listWithParties({ id });
+        if (!ride) {
+            throw new NotFoundError('Ride request not found');
         }
-        res.json({ data: result.rows[0], message: 'Ride request fetched successfully' });
+        respond(res, pick(ride, [...RIDE_FIELDS, 'driver_name']), { message: 'Ride request fetched successfully' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Status history of a ride request
+router.get('/requests/:id/history', authenticate('admin'), authorize('rides:read'), validate(schemas.byId), async (req, res, next) => {
+    const { id } = req.params;
+    try {
+        const history = await getHistory(id);
+        respond(res, history, { message: 'Ride request history fetched successfully' });
     } catch (error) {
-        console.error('Error fetching ride request:', error.stack);
-        res.status(500).json({ message: 'Error fetching ride request', error: error.message });
+        next(error);
+    }
+});
+
+// Recorded route of a ride request
+router.get('/requests/:id/track', authenticate('admin'), authorize('rides:read'), validate(schemas.byId), async (req, res, next) => {
+    const { id } = req.params;
+    try {
+        const track = await getTrack(id);
+        respond(res, track, { message: 'Ride request track fetched successfully' });
+    } catch (error) {
+        next(error);
     }
 });
 
 // Assign driver to ride request
-router.put('/requests/:id/assign', authenticate('admin'), async (req, res) => {
+router.put('/requests/:id/assign', authenticate('admin'), authorize('rides:dispatch'), validate(schemas.assignRide), async (req, res, next) => {
     const { driver_id } = req.body;
     const { id } = req.params;
-    const client = await pool.connect();
     
     try {
-        await client.query('BEGIN');
-
-        // Validate inputs
-        if (!id || !validator.isInt(id)) {
-            throw new Error('Invalid request ID');
-        }
-        if (!driver_id || !validator.isInt(driver_id.toString())) {
-            throw new Error('Invalid driver ID');
-        }
-
-        // Check if request exists and is in PENDING status
-        const requestCheck = await client.query(
-            'SELECT id, status, driver_id FROM cab_requests WHERE id = $1 FOR UPDATE',
-            [id]
-        );
-        
-        if (requestCheck.rows.length === 0) {
-            throw new Error('Ride request not found');
-        }
-        
-        const request = requestCheck.rows[0];
-        
-        if (request.status !== 'PENDING') {
-            throw new Error(`Cannot assign driver to request with status: ${request.status}`);
-        }
-
-        if (request.driver_id !== null) {
-            throw new Error('Request already has a driver assigned');
-        }
-
-        // Check if driver exists
-        const driverCheck = await client.query(
-            'SELECT id, name, vehicle_type, vehicle_number FROM drivers WHERE id = $1 FOR UPDATE',
-            [driver_id]
-        );
-        
-        if (driverCheck.rows.length === 0) {
-            throw new Error('Driver not found');
-        }
-        
-        const driver = driverCheck.rows[0];
+        const { ride, driver } = await runInTransaction(async (db) => {
+            // Check if driver exists
+            const driverCheck = await db.drivers.findById(driver_id, { forUpdate: true });
+            
+            if (!driverCheck) {
+                throw new NotFoundError('Driver not found');
+            }
 
-        // Update the request
-        const updateRequest = await client.query(
-            'UPDATE cab_requests SET driver_id = $1, status = $2, updated_at = NOW() WHERE id = $3 RETURNING *',
-            [driver_id, 'CONFIRMED', id]
-        );
+            // Manual assignment overrides any offer the dispatcher has open
+            await withdrawOffer(id, { actor: req.user, db });
 
-        await client.query('COMMIT');
+            // Update the request
+            const assigned = await transition(id, STATUS.ASSIGNED, {
+                actor: req.user,
+                changes: { driver_id },
+                db
+            });
+            return { ride: assigned.ride, driver: driverCheck };
+        });
         
-        res.json({ 
-            data: updateRequest.rows[0], 
-            message: 'Driver assigned successfully',
+        respond(res, {
+            ...ride,
             driver: {
                 id: driver.id,
                 name: driver.name,
                 vehicle: `${driver.vehicle_type} (${driver.vehicle_number})`
             }
-        });
+        }, { message: 'Driver assigned successfully' });
     } catch (error) {
-        await client.query('ROLLBACK');
-        console.error('Error assigning driver:', {
-            error: error.message,
-            stack: error.stack,
-            requestId: id,
-            driverId: driver_id
-        });
-        
-        let statusCode = 500;
-        let message = 'Error assigning driver';
-        
-        if (error.message.includes('Invalid') || 
-            error.message.includes('not found') || 
-            error.message.includes('Cannot assign') ||
-            error.message.includes('already assigned')) {
-            statusCode = 400;
-            message = error.message;
+        next(error);
+    }
+});
+
+// Run automatic dispatch for a waiting ride right away
+router.post('/requests/:id/dispatch', authenticate('admin'), authorize('rides:dispatch'), validate(schemas.byId), async (req, res, next) => {
+    const { id } = req.params;
+    try {
+        const ride = await dispatchRide(id);
+        if (!ride) {
+            throw new ConflictError('Ride is not waiting for a driver or no driver is available nearby');
         }
-        
-        res.status(statusCode).json({ 
-            message,
-            error: error.message 
+        respond(res, ride, { message: 'Ride offered to nearest driver' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Cancel a ride request on behalf of the rider or operations
+router.post('/requests/:id/cancel', authenticate('admin'), authorize('rides:dispatch'), validate(schemas.cancelRide), async (req, res, next) => {
+    const { id } = req.params;
+    const { reason, waive_fee } = req.body;
+    try {
+        const ride = await cancelRide(id, {
+            actor: req.user,
+            reason: reason.trim(),
+            waiveFee: waive_fee === true
         });
-    } finally {
-        client.release();
+        respond(res, ride, { message: 'Ride request cancelled successfully' });
+    } catch (error) {
+        next(error);
     }
 });
 
 // Get all requests assigned to a driver
-router.get('/drivers/:id/requests', authenticate('admin'), async (req, res) => {
+router.get('/drivers/:id/requests', authenticate('admin'), authorize('drivers:read'), validate(schemas.byId), async (req, res, next) => {
     const { id } = req.params;
     try {
-        if (!validator.isInt(id)) {
-            return res.status(400).json({ message: 'Invalid driver ID' });
-        }
-        const result = await pool.query(`
-            SELECT r.id, r.user_id, r.driver_id, r.pickup_location, r.dropoff_location, r.status, r.fare_amount,
-                   r.created_at, COALESCE(u.username, 'Unknown') AS user_name, u.gender AS user_gender
-            FROM cab_requests r
-            LEFT JOIN users u ON r.user_id = u.id
-            WHERE r.driver_id = $1
-            ORDER BY r.created_at DESC
-        `, [id]);
-        res.json({ data: result.rows, message: 'Driver requests fetched successfully' });
+        const rides = await repositories.rides.listWithParties({ driverId: id });
+        respond(res, rides.map(ride => pick(ride, RIDE_FIELDS)), { message: 'Driver requests fetched successfully' });
     } catch (error) {
-        console.error('Error fetching driver requests:', error.stack);
-        res.status(500).json({ message: 'Error fetching driver requests', error: error.message });
+        next(error);
     }
 });
 
 // Drivers
-router.get('/drivers', authenticate('admin'), async (req, res) => {
+router.get('/drivers', authenticate('admin'), authorize('drivers:read'), validate(schemas.listDrivers), async (req, res, next) => {
     try {
         const { available } = req.query;
-        let query = `
-            SELECT id, name, email, phone, vehicle_type, vehicle_number, available, gender,
-                   current_latitude AS lat, current_longitude AS lng, 
-                   last_location_update AS lastUpdate, location_accuracy, is_online
-            FROM drivers 
-            ORDER BY name
-        `;
-        let params = [];
-        if (available) {
-            if (!['true', 'false'].includes(available)) {
-                return res.status(400).json({ message: 'Invalid available parameter' });
-            }
-            query = `
-                SELECT id, name, email, phone, vehicle_type, vehicle_number, available, gender,
-                       current_latitude AS lat, current_longitude AS lng, 
-                       last_location_update AS lastUpdate, location_accuracy, is_online
-                FROM drivers 
-                WHERE available = $1 
-                ORDER BY name
-            `;
-            params = [available === 'true'];
-        }
-        const result = await pool.query(query, params);
-        res.json({ 
-            data: result.rows.map(driver => ({
-                ...driver,
-                location: driver.lat && driver.lng ? `${driver.lat}, ${driver.lng}` : 'N/A'
-            })), 
-            message: 'Drivers fetched successfully' 
-        });
+        const drivers = await repositories.drivers.list({ available: available ? available === 'true' : undefined });
+        respond(res, drivers.map(driver => ({
+            ...driver,
+            location: driver.lat && driver.lng ? `${driver.lat}, ${driver.lng}` : 'N/A'
+        })), { message: 'Drivers fetched successfully' });
     } catch (error) {
-        console.error('Error fetching drivers:', error.stack);
-        res.status(500).json({ message: 'Error fetching drivers', error: error.message });
+        next(error);
     }
 });
 
 // Get driver locations
-router.get('/drivers/locations', authenticate('admin'), async (req, res) => {
-    try {
-        const result = await pool.query(`
-            SELECT 
-                id, 
-                name, 
-                vehicle_type, 
-                vehicle_number, 
-                current_latitude AS lat, 
-                current_longitude AS lng,
-                available,
-                last_location_update AS lastUpdate,
-                CASE 
-                    WHEN available = true THEN 'Available'
-                    ELSE 'On Trip'
-                END AS status,
-                CASE 
-                    WHEN last_location_update IS NULL THEN 'Offline'
-                    WHEN last_location_update > NOW() - INTERVAL '5 minutes' THEN 'Online'
-                    ELSE 'Offline'
-                END AS online_status,
-                CONCAT(ROUND(current_latitude::numeric, 6), ', ', ROUND(current_longitude::numeric, 6)) AS location
-            FROM drivers
-            WHERE current_latitude IS NOT NULL 
-            AND current_longitude IS NOT NULL
-            ORDER BY last_location_update DESC
-        `);
+router.get('/drivers/locations', authenticate('admin'), authorize('drivers:read'), async (req, res, next) => {
+    try {
+        const locations = await repositories.drivers.listLocations();
         
-        res.json({ 
-            data: result.rows,
-            message: 'Driver locations fetched successfully'
-        });
+        respond(res, locations, { message: 'Driver locations fetched successfully' });
     } catch (error) {
-        console.error('Error fetching driver locations:', error.stack);
-        res.status(500).json({ 
-            message: 'Error fetching driver locations', 
-            error: error.message 
-        });
+        next(error);
     }
 });
 
 
-router.get('/drivers/:id', authenticate('admin'), async (req, res) => {
+router.get('/drivers/:id', authenticate('admin'), authorize('drivers:read'), validate(schemas.byId), async (req, res, next) => {
     const { id } = req.params;
     try {
-        if (!validator.isInt(id)) {
-            return res.status(400).json({ message: 'Invalid driver ID' });
+        const driver = await repositories.drivers.findById(id);
+        if (!driver) {
+            throw new NotFoundError('Driver not found');
         }
-        const result = await pool.query(
-            'SELECT id, name, email, phone, vehicle_type, vehicle_number, available, gender FROM drivers WHERE id = $1',
-            [id]
-        );
-        if (result.rows.length === 0) {
-            return res.status(404).json({ message: 'Driver not found' });
-        }
-        res.json({ data: result.rows[0], message: 'Driver fetched successfully' });
+        respond(res, pick(driver, ['id', 'name', 'email', 'phone', 'vehicle_type', 'vehicle_number', 'available', 'gender']), {
+            message: 'Driver fetched successfully'
+        });
     } catch (error) {
-        console.error('Error fetching driver:', error.stack);
-        res.status(500).json({ message: 'Error fetching driver', error: error.message });
+        next(error);
     }
 });
 
-router.post('/drivers', authenticate('admin'), async (req, res) => {
+router.post('/drivers', authenticate('admin'), authorize('drivers:manage'), validate(schemas.createDriver), async (req, res, next) => {
     const { name, email, phone, vehicle_type, vehicle_number, available, gender } = req.body;
     try {
-        if (!name || !email || !phone || !vehicle_type || !vehicle_number) {
-            return res.status(400).json({ message: 'Missing required fields' });
-        }
-        if (!validator.isEmail(email)) {
-            return res.status(400).json({ message: 'Invalid email format' });
-        }
-        if (!validator.isMobilePhone(phone, 'any')) {
-            return res.status(400).json({ message: 'Invalid phone number' });
-        }
-        if (!['men', 'women', 'other'].includes(gender || 'men')) {
-            return res.status(400).json({ message: 'Invalid gender' });
-        }
-        const result = await pool.query(
-            'INSERT INTO drivers (name, email, phone, vehicle_type, vehicle_number, available, gender, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW()) RETURNING *',
-            [name, email, phone, vehicle_type, vehicle_number, available !== false, gender || 'men']
-        );
-        res.status(201).json({ data: result.rows[0], message: 'Driver added successfully' });
+        const driver = await repositories.drivers.create({
+            name,
+            email,
+            phone,
+            vehicle_type,
+            vehicle_number,
+            available: available !== false,
+            gender: gender || 'men'
+        });
+        respond(res, driver, { status: 201, message: 'Driver added successfully' });
     } catch (error) {
-        console.error('Error adding driver:', error.stack);
-        if (error.code === '23505') {
-            return res.status(400).json({ message: 'Email already exists' });
-        }
-        res.status(500).json({ message: 'Error adding driver', error: error.message });
+        next(error.code === '23505' ? new ConflictError('Email already exists') : error);
     }
 });
 
-router.put('/drivers/:id', authenticate('admin'), async (req, res) => {
+router.put('/drivers/:id', authenticate('admin'), authorize('drivers:manage'), validate(schemas.updateDriver), async (req, res, next) => {
     const { id } = req.params;
     const { name, email, phone, vehicle_type, vehicle_number, available, gender } = req.body;
     try {
-        if (!validator.isInt(id)) {
-            return res.status(400).json({ message: 'Invalid driver ID' });
-        }
-        let query = 'UPDATE drivers SET updated_at = NOW()';
-        const params = [];
-        let paramIndex = 1;
+        const changes = {};
 
         if (name) {
-            query += `, name = $${paramIndex++}`;
-            params.push(name);
+            changes.name = name;
         }
         if (email) {
-            if (!validator.isEmail(email)) {
-                return res.status(400).json({ message: 'Invalid email format' });
-            }
-            query += `, email = $${paramIndex++}`;
-            params.push(email);
+            changes.email = email;
         }
         if (phone) {
-            if (!validator.isMobilePhone(phone, 'any')) {
-                return res.status(400).json({ message: 'Invalid phone number' });
-            }
-            query += `, phone = $${paramIndex++}`;
-            params.push(phone);
+            changes.phone = phone;
         }
         if (vehicle_type) {
-            query += `, vehicle_type = $${paramIndex++}`;
-            params.push(vehicle_type);
+            changes.vehicle_type = vehicle_type;
         }
         if (vehicle_number) {
-            query += `, vehicle_number = $${paramIndex++}`;
-            params.push(vehicle_number);
+            changes.vehicle_number = vehicle_number;
         }
         if (available !== undefined) {
-            query += `, available = $${paramIndex++}`;
-            params.push(available);
+            changes.available = available;
         }
         if (gender) {
-            if (!['men', 'women', 'other'].includes(gender)) {
-                return res.status(400).json({ message: 'Invalid gender' });
-            }
-            query += `, gender = $${paramIndex++}`;
-            params.push(gender);
+            changes.gender = gender;
         }
 
-        query += ` WHERE id = $${paramIndex} RETURNING *`;
-        params.push(id);
-
-        if (params.length === 1) {
-            return res.status(400).json({ message: 'No fields provided for update' });
+        if (Object.keys(changes).length === 0) {
+            throw new BadRequestError('No fields provided for update');
         }
 
-        const result = await pool.query(query, params);
-        if (result.rows.length === 0) {
-            return res.status(404).json({ message: 'Driver not found' });
+        const driver = await repositories.drivers.update(id, changes);
+        if (!driver) {
+            throw new NotFoundError('Driver not found');
         }
-        res.json({ data: result.rows[0], message: 'Driver updated successfully' });
+        respond(res, driver, { message: 'Driver updated successfully' });
     } catch (error) {
-        console.error('Error updating driver:', error.stack);
-        if (error.code === '23505') {
-            return res.status(400).json({ message: 'Email already exists' });
-        }
-        res.status(500).json({ message: 'Error updating driver', error: error.message });
+        next(error.code === '23505' ? new ConflictError('Email already exists') : error);
     }
 });
 
-router.delete('/drivers/:id', authenticate('admin'), async (req, res) => {
+router.delete('/drivers/:id', authenticate('admin'), authorize('drivers:manage'), validate(schemas.byId), async (req, res, next) => {
     const { id } = req.params;
     try {
-        if (!validator.isInt(id)) {
-            return res.status(400).json({ message: 'Invalid driver ID' });
+        const driver = await repositories.drivers.delete(id);
+        if (!driver) {
+            throw new NotFoundError('Driver not found');
         }
-        const result = await pool.query('DELETE FROM drivers WHERE id = $1 RETURNING *', [id]);
-        if (result.rows.length === 0) {
-            return res.status(404).json({ message: 'Driver not found' });
-        }
-        res.json({ message: 'Driver deleted successfully' });
+        respond(res, null, { message: 'Driver deleted successfully' });
     } catch (error) {
-        console.error('Error deleting driver:', error.stack);
-        res.status(500).json({ message: 'Error deleting driver', error: error.message });
+        next(error);
     }
 });
 
 // Users management
-router.get('/users', authenticate('admin'), async (req, res) => {
+router.get('/users', authenticate('admin'), authorize('users:read'), async (req, res, next) => {
     try {
-        const result = await pool.query(
-            'SELECT id, username, email, phone, gender, created_at FROM users ORDER BY created_at DESC'
-        );
-        res.json({ data: result.rows, message: 'Users fetched successfully' });
+        const users = await repositories.users.listProfiles();
+        respond(res, users, { message: 'Users fetched successfully' });
     } catch (error) {
-        console.error('Error fetching users:', error.stack);
-        res.status(500).json({ message: 'Error fetching users', error: error.message });
+        next(error);
     }
 });
 
-router.get('/users/:id', authenticate('admin'), async (req, res) => {
+router.get('/users/:id', authenticate('admin'), authorize('users:read'), validate(schemas.byId), async (req, res, next) => {
     const { id } = req.params;
     try {
-        if (!validator.isInt(id)) {
-            return res.status(400).json({ message: 'Invalid user ID' });
+        const user = await repositories.users.findProfile(id);
+        if (!user) {
+            throw new NotFoundError('User not found');
         }
-        const result = await pool.query(
-            'SELECT id, username, email, phone, gender, created_at FROM users WHERE id = $1',
-            [id]
-        );
-        if (result.rows.length === 0) {
-            return res.status(404).json({ message: 'User not found' });
-        }
-        res.json({ data: result.rows[0], message: 'User fetched successfully' });
+        respond(res, user, { message: 'User fetched successfully' });
     } catch (error) {
-        console.error('Error fetching user:', error.stack);
-        res.status(500).json({ message: 'Error fetching user', error: error.message });
+        next(error);
     }
 });
 
-router.delete('/users/:id', authenticate('admin'), async (req, res) => {
+router.delete('/users/:id', authenticate('admin'), authorize('users:manage'), validate(schemas.byId), async (req, res, next) => {
     const { id } = req.params;
     try {
-        if (!validator.isInt(id)) {
-            return res.status(400).json({ message: 'Invalid user ID' });
-        }
-        const result = await pool.query('DELETE FROM users WHERE id = $1 RETURNING *', [id]);
-        if (result.rows.length === 0) {
-            return res.status(404).json({ message: 'User not found' });
+        const user = await repositories.users.delete(id);
+        if (!user) {
+            throw new NotFoundError('User not found');
         }
-        res.json({ message: 'User deleted successfully' });
+        respond(res, null, { message: 'User deleted successfully' });
     } catch (error) {
-        console.error('Error deleting user:', error.stack);
-        res.status(500).json({ message: 'Error deleting user', error: error.message });
+        next(error);
     }
 });
 
 
 
 // Live tracking
-router.get('/live-tracking', authenticate('admin'), async (req, res) => {
+router.get('/live-tracking', authenticate('admin'), authorize('rides:read'), async (req, res, next) => {
     try {
-        const result = await pool.query(`
-            SELECT r.id, r.user_id, r.driver_id, r.status, r.current_location,
-                   COALESCE(u.username, 'Unknown') AS user_name, COALESCE(d.name, 'Not assigned') AS driver_name
-            FROM cab_requests r
-            LEFT JOIN users u ON r.user_id = u.id
-            LEFT JOIN drivers d ON r.driver_id = d.id
-            WHERE r.status IN ('CONFIRMED', 'IN_PROGRESS')
-        `);
-        res.json({ data: result.rows, message: 'Live tracking data fetched successfully' });
+        const rides = await repositories.rides.listWithParties({ statuses: ACTIVE_STATUSES });
+        respond(res, rides.map(ride =>
+            pick(ride, ['id', 'user_id', 'driver_id', 'status', 'current_location', 'user_name', 'driver_name'])), { message: 'Live tracking data fetched successfully' });
     } catch (error) {
-        console.error('Error fetching live tracking data:', error.stack);
-        res.status(500).json({ message: 'Error fetching live tracking data', error: error.message });
+        next(error);
     }
 });
 
 // Settings
-router.get('/settings', authenticate('admin'), async (req, res) => {
+router.get('/settings', authenticate('admin'), authorize('settings:read'), async (req, res, next) => {
     try {
-        const result = await pool.query('SELECT * FROM system_settings WHERE id = 1');
-        const defaultSettings = {
-            id: 1,
-            base_fare: 5.00,
-            price_per_mile: 1.50,
-            price_per_minute: 0.50,
-            maintenance_mode: false,
-            enable_notifications: true
-        };
-        res.json({ data: result.rows[0] || defaultSettings, message: 'Settings fetched successfully' });
+        const settings = await getSettings();
+        respond(res, settings, { message: 'Settings fetched successfully' });
     } catch (error) {
-        console.error('Error fetching settings:', error.stack);
-        res.status(500).json({ message: 'Error fetching settings', error: error.message });
+        next(error);
     }
 });
 
-router.put('/settings/pricing', authenticate('admin'), async (req, res) => {
-    const { base_fare, price_per_mile, price_per_minute } = req.body;
+router.put('/settings/pricing', authenticate('admin'), authorize('settings:manage'), validate(schemas.pricing), async (req, res, next) => {
+    const { base_fare, price_per_mile, price_per_minute, minimum_fare } = req.body;
     try {
-        if (base_fare == null || price_per_mile == null || price_per_minute == null) {
-            return res.status(400).json({ message: 'Missing required fields' });
-        }
-        if (!validator.isFloat(base_fare.toString(), { min: 0 }) ||
-            !validator.isFloat(price_per_mile.toString(), { min: 0 }) ||
-            !validator.isFloat(price_per_minute.toString(), { min: 0 })) {
-            return res.status(400).json({ message: 'Invalid pricing values' });
+        const current = await getSettings();
+        const settings = await repositories.settings.save({
+            base_fare: parseFloat(base_fare),
+            price_per_mile: parseFloat(price_per_mile),
+            price_per_minute: parseFloat(price_per_minute),
+            minimum_fare: minimum_fare != null ? parseFloat(minimum_fare) : current.minimum_fare
+        });
+        respond(res, settings, { message: 'Pricing settings updated successfully' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Per-vehicle-type rate cards; empty fields fall back to the global pricing
+router.get('/settings/rate-cards', authenticate('admin'), authorize('settings:read'), async (req, res, next) => {
+    try {
+        const rateCards = await repositories.settings.listRateCards();
+        respond(res, rateCards, { message: 'Rate cards fetched successfully' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.put('/settings/rate-cards/:vehicleType', authenticate('admin'), authorize('settings:manage'), validate(schemas.saveRateCard), async (req, res, next) => {
+    const { vehicleType } = req.params;
+    const rateFields = ['base_fare', 'price_per_mile', 'price_per_minute', 'minimum_fare'];
+    try {
+        const values = rateFields.map(field => req.body[field]);
+        if (values.every(value => value == null)) {
+            throw new BadRequestError('No rate values provided');
         }
-        const result = await pool.query(
-            'INSERT INTO system_settings (id, base_fare, price_per_mile, price_per_minute, created_at, updated_at) VALUES (1, $1, $2, $3, NOW(), NOW()) ' +
-            'ON CONFLICT (id) DO UPDATE SET base_fare = $1, price_per_mile = $2, price_per_minute = $3, updated_at = NOW() RETURNING *',
-            [parseFloat(base_fare), parseFloat(price_per_mile), parseFloat(price_per_minute)]
+        const rateCard = await repositories.settings.saveRateCard(
+            vehicleType,
+            Object.fromEntries(rateFields.map((field, i) => [field, values[i] != null ? parseFloat(values[i]) : null]))
         );
-        res.json({ data: result.rows[0], message: 'Pricing settings updated successfully' });
+        respond(res, rateCard, { message: 'Rate card saved successfully' });
     } catch (error) {
-        console.error('Error updating pricing settings:', error.stack);
-        res.status(500).json({ message: 'Error updating pricing settings', error: error.message });
+        next(error);
     }
 });
 
-router.put('/settings/system', authenticate('admin'), async (req, res) => {
-    const { maintenance_mode, enable_notifications } = req.body;
+router.delete('/settings/rate-cards/:vehicleType', authenticate('admin'), authorize('settings:manage'), validate(schemas.rateCard), async (req, res, next) => {
     try {
-        if (maintenance_mode == null || enable_notifications == null) {
-            return res.status(400).json({ message: 'Missing required fields' });
+        const rateCard = await repositories.settings.deleteRateCard(req.params.vehicleType);
+        if (!rateCard) {
+            throw new NotFoundError('Rate card not found');
         }
-        if (typeof maintenance_mode !== 'boolean' || typeof enable_notifications !== 'boolean') {
-            return res.status(400).json({ message: 'Invalid boolean values' });
-        }
-        const result = await pool.query(
-            'INSERT INTO system_settings (id, maintenance_mode, enable_notifications, created_at, updated_at) VALUES (1, $1, $2, NOW(), NOW()) ' +
-            'ON CONFLICT (id) DO UPDATE SET maintenance_mode = $1, enable_notifications = $2, updated_at = NOW() RETURNING *',
-            [maintenance_mode, enable_notifications]
-        );
-        res.json({ data: result.rows[0], message: 'System settings updated successfully' });
+        respond(res, null, { message: 'Rate card deleted successfully' });
     } catch (error) {
-        console.error('Error updating system settings:', error.stack);
-        res.status(500).json({ message: 'Error updating system settings', error: error.message });
+        next(error);
+    }
+});
+
+router.put('/settings/cancellation', authenticate('admin'), authorize('settings:manage'), validate(schemas.cancellationPolicy), async (req, res, next) => {
+    const { cancellation_fee, cancellation_grace_minutes } = req.body;
+    try {
+        const settings = await repositories.settings.save({
+            cancellation_fee: parseFloat(cancellation_fee),
+            cancellation_grace_minutes: parseInt(cancellation_grace_minutes, 10)
+        });
+        respond(res, settings, { message: 'Cancellation policy updated successfully' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// maintenance_message, maintenance_retry_after_seconds and
+// maintenance_allow_active_trips are optional and keep their value when omitted
+router.put('/settings/system', authenticate('admin'), authorize('settings:manage'), validate(schemas.systemSettings), async (req, res, next) => {
+    const {
+        maintenance_mode,
+        enable_notifications,
+        maintenance_message,
+        maintenance_retry_after_seconds,
+        maintenance_allow_active_trips
+    } = req.body;
+    try {
+        const current = await getSettings();
+        const settings = await repositories.settings.save({
+            maintenance_mode,
+            enable_notifications,
+            maintenance_message: maintenance_message?.trim() || current.maintenance_message,
+            maintenance_retry_after_seconds: maintenance_retry_after_seconds != null
+                ? parseInt(maintenance_retry_after_seconds, 10)
+                : current.maintenance_retry_after_seconds,
+            maintenance_allow_active_trips: maintenance_allow_active_trips ?? current.maintenance_allow_active_trips
+        });
+        clearMaintenanceCache();
+        respond(res, settings, { message: 'System settings updated successfully' });
+    } catch (error) {
+        next(error);
     }
 });
 
@@ -575,262 +609,164 @@ router.put('/settings/system', authenticate('admin'), async (req, res) => {
 
 // Add these routes after the existing routes in admin.js, but BEFORE the dashboard export route
 
-// Get pending user registration requests
-router.get('/pending-users', authenticate('admin'), async (req, res) => {
+// Registration requests; ?status=pending (default), approved, rejected or all
+router.get('/pending-users', authenticate('admin'), authorize('users:read'), validate(schemas.listRegistrations), async (req, res, next) => {
+    const status = req.query.status || REGISTRATION_STATUS.PENDING;
     try {
-        const result = await pool.query(
-            'SELECT * FROM pending_users ORDER BY created_at DESC'
-        );
-        res.json({ 
-            data: result.rows, 
-            message: 'Pending users fetched successfully' 
-        });
+        const registrations = await repositories.users.listRegistrations(status);
+        respond(res, registrations, { message: 'Pending users fetched successfully' });
     } catch (error) {
-        console.error('Error fetching pending users:', error.stack);
-        res.status(500).json({ 
-            message: 'Error fetching pending users', 
-            error: error.message 
-        });
+        next(error);
     }
 });
 
 // Approve user registration request
-router.post('/pending-users/:id/approve', authenticate('admin'), async (req, res) => {
-    const { id } = req.params;
-    const client = await pool.connect();
-    
+router.post('/pending-users/:id/approve', authenticate('admin'), authorize('users:manage'), validate(schemas.byId), async (req, res, next) => {
     try {
-        await client.query('BEGIN');
-
-        // Get the pending user
-        const pendingUserResult = await client.query(
-            'SELECT * FROM pending_users WHERE id = $1',
-            [id]
-        );
-        
-        if (pendingUserResult.rows.length === 0) {
-            throw new Error('Pending user not found');
-        }
-        
-        const pendingUser = pendingUserResult.rows[0];
-        
-        // Check if user already exists in users table
-        const userExists = await client.query(
-            'SELECT * FROM users WHERE email = $1 OR username = $2',
-            [pendingUser.email, pendingUser.username]
-        );
-        
-        if (userExists.rows.length > 0) {
-            throw new Error('User already exists in system');
-        }
-        
-        // Insert into users table
-        const insertResult = await client.query(
-            'INSERT INTO users (username, email, password, phone, role) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-            [pendingUser.username, pendingUser.email, pendingUser.password, pendingUser.phone, pendingUser.role || 'passenger']
-        );
-        
-        // Remove from pending_users table
-        await client.query(
-            'DELETE FROM pending_users WHERE id = $1',
-            [id]
-        );
-        
-        await client.query('COMMIT');
-        
-        res.json({ 
-            data: insertResult.rows[0], 
-            message: 'User approved successfully' 
-        });
+        const user = await approveRegistration(req.params.id, req.user);
+        respond(res, user, { message: 'User approved successfully' });
     } catch (error) {
-        await client.query('ROLLBACK');
-        console.error('Error approving user:', error.stack);
-        res.status(500).json({ 
-            message: error.message || 'Error approving user', 
-            error: error.message 
-        });
-    } finally {
-        client.release();
+        next(error);
     }
 });
 
-// Reject user registration request
-router.delete('/pending-users/:id', authenticate('admin'), async (req, res) => {
-    const { id } = req.params;
-    
+// Reject user registration request; body: { reason }
+const rejectPendingUser = async (req, res, next) => {
     try {
-        const result = await pool.query(
-            'DELETE FROM pending_users WHERE id = $1 RETURNING *',
-            [id]
-        );
-        
-        if (result.rows.length === 0) {
-            return res.status(404).json({ message: 'Pending user not found' });
-        }
-        
-        res.json({ 
-            message: 'User registration request rejected successfully' 
-        });
+        const rejected = await rejectRegistration(req.params.id, req.user, req.body?.reason);
+        respond(res, rejected, { message: 'User registration request rejected successfully' });
     } catch (error) {
-        console.error('Error rejecting user:', error.stack);
-        res.status(500).json({ 
-            message: 'Error rejecting user', 
-            error: error.message 
-        });
+        next(error);
     }
-});
+};
 
+router.post('/pending-users/:id/reject', authenticate('admin'), authorize('users:manage'), validate(schemas.rejectRegistration), rejectPendingUser);
+router.delete('/pending-users/:id', authenticate('admin'), authorize('users:manage'), validate(schemas.rejectRegistration), rejectPendingUser);
 
+// Driver onboarding: documents waiting for review
+router.get('/driver-verifications', authenticate('admin'), authorize('drivers:read'), async (req, res, next) => {
+    try {
+        const queue = await listVerificationQueue();
+        respond(res, queue, { message: 'Verification queue fetched successfully' });
+    } catch (error) {
+        next(error);
+    }
+});
 
-// Export data
-router.get('/requests/export', authenticate('admin'), async (req, res) => {
+router.get('/drivers/:id/documents', authenticate('admin'), authorize('drivers:read'), validate(schemas.byId), async (req, res, next) => {
     try {
-        const result = await pool.query(`
-            SELECT r.id, r.user_id, COALESCE(u.username, 'Unknown') AS user_name, r.pickup_location, r.dropoff_location,
-                   COALESCE(d.name, 'Not assigned') AS driver_name, r.status, r.fare_amount, r.created_at
-            FROM cab_requests r
-            LEFT JOIN users u ON r.user_id = u.id
-            LEFT JOIN drivers d ON r.driver_id = d.id
-            ORDER BY r.created_at DESC
-        `);
-        const fields = ['id', 'user_name', 'pickup_location', 'dropoff_location', 'driver_name', 'status', 'fare_amount', 'created_at'];
-        const parser = new Parser({ fields });
-        const csv = parser.parse(result.rows);
-        res.header('Content-Type', 'text/csv');
-        res.attachment('requests-export.csv');
-        res.send(csv);
+        const documents = await listDocuments(req.params.id);
+        respond(res, documents, { message: 'Driver documents fetched successfully' });
     } catch (error) {
-        console.error('Error exporting requests:', error.stack);
-        res.status(500).json({ message: 'Error exporting requests', error: error.message });
+        next(error);
     }
 });
 
-router.get('/users/export', authenticate('admin'), async (req, res) => {
+router.get('/driver-documents/:id/file', authenticate('admin'), authorize('drivers:read'), validate(schemas.byId), async (req, res, next) => {
     try {
-        const result = await pool.query(
-            'SELECT id, username, email, phone, gender, created_at FROM users ORDER BY created_at DESC'
-        );
-        const fields = ['id', 'username', 'email', 'phone', 'gender', 'created_at'];
-        const parser = new Parser({ fields });
-        const csv = parser.parse(result.rows);
-        res.header('Content-Type', 'text/csv');
-        res.attachment('users-export.csv');
-        res.send(csv);
+        const doc = await getDocument(req.params.id);
+        res.type(doc.mime_type || 'application/octet-stream');
+        res.sendFile(documentPath(doc), (error) => {
+            if (error && !res.headersSent) {
+                next(new NotFoundError('Document file not found'));
+            }
+        });
     } catch (error) {
-        console.error('Error exporting users:', error.stack);
-        res.status(500).json({ message: 'Error exporting users', error: error.message });
+        next(error);
     }
 });
 
-router.get('/dashboard/export', authenticate('admin'), async (req, res) => {
+// Body: { expires_at }
+router.post('/driver-documents/:id/approve', authenticate('admin'), authorize('drivers:manage'), validate(schemas.approveDocument), async (req, res, next) => {
     try {
-        const summaryStats = await pool.query(`
-            SELECT 
-                COUNT(*) AS total_rides,
-                SUM(CASE WHEN status = 'PENDING' THEN 1 ELSE 0 END) AS pending_requests,
-                SUM(CASE WHEN status = 'COMPLETED' THEN fare_amount ELSE 0 END) AS revenue,
-                (SELECT COUNT(*) FROM drivers) AS total_drivers,
-                (SELECT COUNT(*) FROM drivers WHERE available = true) AS active_drivers
-            FROM cab_requests
-        `);
+        const result = await reviewDocument(req.params.id, req.user, { approve: true, expiresAt: req.body.expires_at });
+        respond(res, result, { message: 'Document approved successfully' });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        const activeDrivers = await pool.query(`
-            SELECT id, name, vehicle_type, vehicle_number, phone
-            FROM drivers
-            WHERE available = true
-            ORDER BY name
-        `);
+// Body: { reason }
+router.post('/driver-documents/:id/reject', authenticate('admin'), authorize('drivers:manage'), validate(schemas.rejectDocument), async (req, res, next) => {
+    try {
+        const result = await reviewDocument(req.params.id, req.user, { approve: false, reason: req.body.reason });
+        respond(res, result, { message: 'Document rejected successfully' });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        const pendingRequests = await pool.query(`
-            SELECT r.id, r.pickup_location, r.dropoff_location, COALESCE(u.username, 'Unknown') AS user_name, r.status, r.created_at
-            FROM cab_requests r
-            LEFT JOIN users u ON r.user_id = u.id
-            WHERE r.status = 'PENDING'
-            ORDER BY r.created_at DESC
-        `);
+// Drivers with expired paperwork or paperwork expiring within ?days (default 30);
+// ?format=csv downloads the report
+router.get('/reports/document-expiry', authenticate('admin'), authorize('drivers:read'), validate(schemas.documentExpiryReport), async (req, res, next) => {
+    const days = parseInt(req.query.days ?? 30, 10);
+    try {
+        const rows = await getExpiryReport({ days });
+        if (req.query.format === 'csv') {
+            const fields = ['driver_id', 'name', 'email', 'phone', 'verification_status', 'doc_type', 'document_number', 'expires_at', 'days_remaining', 'state'];
+            const parser = new Parser({ fields });
+            res.header('Content-Type', 'text/csv');
+            res.attachment('document-expiry-report.csv');
+            return res.send(parser.parse(rows));
+        }
+        respond(res, {
+            expired: rows.filter(row => row.state === 'expired'),
+            expiring: rows.filter(row => row.state === 'expiring')
+        }, { message: 'Document expiry report fetched successfully' });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        const csvData = [];
-        csvData.push({
-            section: 'Summary Stats',
-            total_rides: summaryStats.rows[0].total_rides,
-            pending_requests: summaryStats.rows[0].pending_requests,
-            revenue: parseFloat(summaryStats.rows[0].revenue || 0).toFixed(2),
-            total_drivers: summaryStats.rows[0].total_drivers,
-            active_drivers: summaryStats.rows[0].active_drivers
-        });
-        csvData.push({ section: '' });
-        csvData.push({
-            section: 'Active Drivers',
-            id: 'ID',
-            name: 'Name',
-            vehicle_type: 'Vehicle Type',
-            vehicle_number: 'Vehicle Number',
-            phone: 'Phone'
-        });
-        activeDrivers.rows.forEach(driver => {
-            csvData.push({
-                section: '',
-                id: driver.id,
-                name: driver.name,
-                vehicle_type: driver.vehicle_type,
-                vehicle_number: driver.vehicle_number,
-                phone: driver.phone
-            });
-        });
-        csvData.push({ section: '' });
-        csvData.push({
-            section: 'Pending Requests',
-            id: 'ID',
-            pickup_location: 'Pickup Location',
-            dropoff_location: 'Dropoff Location',
-            user_name: 'User Name',
-            status: 'Status',
-            created_at: 'Created At'
-        });
-        pendingRequests.rows.forEach(request => {
-            csvData.push({
-                section: '',
-                id: request.id,
-                pickup_location: request.pickup_location,
-                dropoff_location: request.dropoff_location,
-                user_name: request.user_name,
-                status: request.status,
-                created_at: request.created_at ? new Date(request.created_at).toISOString() : 'N/A'
-            });
-        });
+// Accounts with a poor average rating; ?role=driver|user, ?threshold (default
+// 3.5 stars) and ?min_ratings (default 5) so one bad trip does not flag anyone
+router.get('/ratings/low-rated', authenticate('admin'), authorize('drivers:read', 'users:read'), validate(schemas.lowRated), async (req, res, next) => {
+    const role = req.query.role || 'driver';
+    const threshold = parseFloat(req.query.threshold ?? 3.5);
+    const minRatings = parseInt(req.query.min_ratings ?? 5, 10);
+    try {
+        const accounts = await listLowRated({ role, threshold, minRatings });
+        respond(res, accounts, { message: 'Low-rated accounts fetched successfully' });
+    } catch (error) {
+        next(error);
+    }
+});
 
+// Login protection: active lockouts and the failed-login audit trail
+router.get('/security/lockouts', authenticate('admin'), authorize('security:manage'), async (req, res, next) => {
+    try {
+        const lockouts = await listActiveLockouts();
+        respond(res, lockouts, { message: 'Lockouts fetched successfully' });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        const fields = [
-            { label: 'Section', value: 'section' },
-            { label: 'Total Rides', value: 'total_rides' },
-            { label: 'Pending Requests', value: 'pending_requests' },
-            { label: 'Revenue', value: 'revenue' },
-            { label: 'Total Drivers', value: 'total_drivers' },
-            { label: 'Active Drivers', value: 'active_drivers' },
-            { label: 'Driver ID', value: 'id' },
-            { label: 'Driver Name', value: 'name' },
-            { label: 'Vehicle Type', value: 'vehicle_type' },
-            { label: 'Vehicle Number', value: 'vehicle_number' },
-            { label: 'Phone', value: 'phone' },
-            { label: 'Request ID', value: 'id' },
-            { label: 'Pickup Location', value: 'pickup_location' },
-            { label: 'Dropoff Location', value: 'dropoff_location' },
-            { label: 'User Name', value: 'user_name' },
-            { label: 'Status', value: 'status' },
-            { label: 'Created At', value: 'created_at' }
-        ];
+router.delete('/security/lockouts/:id', authenticate('admin'), authorize('security:manage'), validate(schemas.byId), async (req, res, next) => {
+    try {
+        const lockout = await clearLockout(req.params.id, req.user.id);
+        if (!lockout) {
+            throw new NotFoundError('Lockout not found');
+        }
+        respond(res, lockout, { message: 'Lockout cleared successfully' });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        const parser = new Parser({ fields });
-        const csv = parser.parse(csvData);
-        res.header('Content-Type', 'text/csv');
-        res.attachment('dashboard-export.csv');
-        res.send(csv);
+router.get('/security/failed-logins', authenticate('admin'), authorize('security:manage'), validate(schemas.failedLogins), async (req, res, next) => {
+    const { ip, identifier } = req.query;
+    const limit = parseInt(req.query.limit ?? 100, 10);
+    try {
+        const attempts = await listFailedLogins({ ip, identifier, limit });
+        respond(res, attempts, { message: 'Failed logins fetched successfully' });
     } catch (error) {
-        console.error('Error exporting dashboard:', error.stack);
-        res.status(500).json({ message: 'Error exporting dashboard', error: error.message });
+        next(error);
     }
 });
 
+// Change, forgot and reset password
+router.use(passwordRoutes('admin'));
 
 module.exports = router;
 
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { refreshSession, revokeSession, revokeAllSessions } = require('../services/sessions');
+const { validate } = require('../middleware/validate');
+const { respond } = require('../middleware/response');
+const schemas = require('../schemas/auth');
+
+// Exchange a refresh token for a new token pair (riders, drivers and admins)
+router.post('/refresh', validate(schemas.refresh), async (req, res, next) => {
+    try {
+        const { token, refreshToken } = await refreshSession(req.body.refreshToken);
+        respond(res, { token, refreshToken });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// End the current session, or every session of the account with allDevices
+router.post('/logout', authenticate('user', 'driver', 'admin'), validate(schemas.logout), async (req, res, next) => {
+    try {
+        if (req.body.allDevices === true) {
+            const sessions = await revokeAllSessions(req.user.role, req.user.id);
+            return respond(res, { sessions }, { message: `Logged out of ${sessions} session(s)` });
+        }
+        if (req.user.sid) {
+            await revokeSession(req.user.sid);
+        }
+        respond(res, null, { message: 'Logout successful' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
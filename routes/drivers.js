@@ -1,408 +1,355 @@
 const express = require('express');
 const router = express.Router();
-const pool = require('../config/db');
+const repositories = require('../repositories');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { authenticate } = require('../middleware/auth');
+const { issueSession } = require('../services/sessions');
+const { guardLogin } = require('../services/loginGuard');
+const passwordRoutes = require('./passwords');
+const { STATUS, transition, runInTransaction } = require('../services/rideLifecycle');
+const { finalizeFare } = require('../services/fares');
+const { findNearbyRequests } = require('../services/rideSearch');
+const { OFFER_STATUS, dispatchRide, respondToOffer } = require('../services/dispatcher');
+const { publishDriverLocation } = require('../services/events');
+const { recordTrackPoint, getTrackPoints, trackDistance } = require('../services/tracking');
+const { submitDocument, listDocuments, assertVerified } = require('../services/driverVerification');
+const { uploadDocument } = require('../middleware/documentUpload');
+const { getDocumentExpiries } = require('../services/documentExpiry');
+const { rateRide, getRatingSummary } = require('../services/ratings');
+const { validate } = require('../middleware/validate');
+const { respond } = require('../middleware/response');
+const { ConflictError, NotFoundError, UnauthorizedError } = require('../services/errors');
+const schemas = require('../schemas/drivers');
+
+// Search radius for /nearby-requests, in meters
+const DEFAULT_SEARCH_RADIUS_METERS = 5000;
+
+// Account fields returned by register and login
+const accountFields = (driver) => ({
+    id: driver.id,
+    name: driver.name,
+    email: driver.email,
+    phone: driver.phone,
+    vehicle_type: driver.vehicle_type,
+    vehicle_number: driver.vehicle_number,
+    license_number: driver.license_number,
+    is_online: driver.is_online,
+    verification_status: driver.verification_status
+});
 
 router.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Request-Id');
+    res.header('Access-Control-Expose-Headers', 'X-Request-Id');
     next();
 });
 
-const verifyToken = (req, res, next) => {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-        return res.status(401).json({ success: false, message: 'No token provided' });
-    }
-
-    try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.driverId = decoded.id;
-        req.vehicleType = decoded.vehicle_type;
-        next();
-    } catch (error) {
-        return res.status(403).json({ success: false, message: 'Invalid or expired token' });
-    }
-};
-
-router.post('/register', async (req, res) => {
+router.post('/register', validate(schemas.register), async (req, res, next) => {
     try {
         const { name, email, phone, vehicle_type, vehicle_number, password, license_number } = req.body;
 
-        const requiredFields = { name, email, phone, vehicle_type, vehicle_number, password };
-        const missingFields = Object.entries(requiredFields)
-            .filter(([_, value]) => !value)
-            .map(([field]) => field);
-
-        if (missingFields.length > 0) {
-            return res.status(400).json({ 
-                success: false,
-                message: `Missing required fields: ${missingFields.join(', ')}`
-            });
-        }
-
-        const existingDriver = await pool.query(
-            'SELECT id FROM drivers WHERE email = $1', 
-            [email]
-        );
-
-        if (existingDriver.rows.length > 0) {
-            return res.status(409).json({
-                success: false,
-                message: 'Email already registered'
-            });
+        if (await repositories.drivers.findByEmail(email)) {
+            throw new ConflictError('Email already registered');
         }
 
         const hashedPassword = await bcrypt.hash(password, 10);
 
-        const newDriver = await pool.query(
-            `INSERT INTO drivers 
-             (name, email, phone, vehicle_type, vehicle_number, password, license_number)
-             VALUES ($1, $2, $3, $4, $5, $6, $7)
-             RETURNING id, name, email, phone, vehicle_type, vehicle_number, license_number, is_online`,
-            [name, email, phone, vehicle_type, vehicle_number, hashedPassword, license_number || 'PENDING']
-        );
+        const newDriver = await repositories.drivers.create({
+            name,
+            email,
+            phone,
+            vehicle_type,
+            vehicle_number,
+            password: hashedPassword,
+            license_number: license_number || null
+        });
 
-        const token = jwt.sign(
-            { 
-                id: newDriver.rows[0].id, 
-                role: 'driver', 
-                vehicle_type: newDriver.rows[0].vehicle_type 
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: '8h' }
+        const { token, refreshToken } = await issueSession(
+            'driver',
+            newDriver.id,
+            { vehicle_type: newDriver.vehicle_type },
+            req
         );
 
-        res.status(201).json({
-            success: true,
-            message: 'Registration successful',
-            token,
-            driver: newDriver.rows[0]
+        // The account can sign in to upload documents but stays offline
+        // until an admin has verified them
+        respond(res, { token, refreshToken, driver: accountFields(newDriver) }, {
+            status: 201,
+            message: 'Registration received. Upload your license, registration and insurance documents for verification.'
         });
 
     } catch (error) {
-        console.error('Registration error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Internal server error',
-            error: error.message
-        });
+        next(error);
     }
 });
 
-router.post('/login', async (req, res) => {
+router.post('/login', validate(schemas.login), guardLogin('driver', 'email'), async (req, res, next) => {
     try {
         const { email, password } = req.body;
 
-        const result = await pool.query(
-            'SELECT * FROM drivers WHERE email = $1',
-            [email]
-        );
+        const driver = await repositories.drivers.findByEmail(email);
 
-        if (result.rows.length === 0) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid email or password'
-            });
+        if (!driver) {
+            await req.loginAttempt.failed('unknown_account');
+            throw new UnauthorizedError('Invalid email or password');
         }
 
-        const driver = result.rows[0];
         const isMatch = await bcrypt.compare(password, driver.password);
 
         if (!isMatch) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid email or password'
-            });
+            await req.loginAttempt.failed('invalid_password');
+            throw new UnauthorizedError('Invalid email or password');
         }
 
-        const token = jwt.sign(
-            { 
-                id: driver.id, 
-                role: 'driver', 
-                vehicle_type: driver.vehicle_type 
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: '8h' }
+        await req.loginAttempt.succeeded();
+
+        const { token, refreshToken } = await issueSession(
+            'driver',
+            driver.id,
+            { vehicle_type: driver.vehicle_type },
+            req
         );
 
-        res.json({
-            success: true,
-            token,
-            driver: {
-                id: driver.id,
-                name: driver.name,
-                email: driver.email,
-                phone: driver.phone,
-                vehicle_type: driver.vehicle_type,
-                vehicle_number: driver.vehicle_number,
-                license_number: driver.license_number,
-                is_online: driver.is_online
-            }
-        });
+        respond(res, { token, refreshToken, driver: accountFields(driver) });
 
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Internal server error',
-            error: error.message
-        });
+        next(error);
     }
 });
 
-router.get('/profile', verifyToken, async (req, res) => {
+router.get('/profile', authenticate('driver'), async (req, res, next) => {
     try {
-        const result = await pool.query(
-            `SELECT 
-                id, name, email, phone, 
-                vehicle_type, vehicle_number, 
-                license_number, is_online,
-                current_latitude, current_longitude
-             FROM drivers WHERE id = $1`,
-            [req.driverId]
-        );
+        const profile = await repositories.drivers.findProfile(req.user.id);
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ success: false, message: 'Driver not found' });
+        if (!profile) {
+            throw new NotFoundError('Driver not found');
         }
 
-        res.json({
-            success: true,
-            driver: result.rows[0]
+        respond(res, {
+            id: profile.id,
+            name: profile.name,
+            email: profile.email,
+            phone: profile.phone,
+            vehicle_type: profile.vehicle_type,
+            vehicle_number: profile.vehicle_number,
+            license_number: profile.license_number,
+            is_online: profile.is_online,
+            verification_status: profile.verification_status,
+            verification_deadline: profile.verification_grace_until,
+            current_latitude: profile.current_latitude,
+            current_longitude: profile.current_longitude,
+            document_expiry: await getDocumentExpiries(req.user.id),
+            rating: await getRatingSummary('driver', req.user.id)
         });
 
     } catch (error) {
-        console.error('Profile error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Internal server error',
-            error: error.message
-        });
+        next(error);
     }
 });
 
-router.post('/location', verifyToken, async (req, res) => {
+router.post('/location', authenticate('driver'), validate(schemas.location), async (req, res, next) => {
     try {
         const { current_latitude, current_longitude, location_accuracy, is_online } = req.body;
 
-        if (current_latitude === undefined || current_longitude === undefined) {
-            return res.status(400).json({
-                success: false,
-                message: 'Latitude and longitude are required'
-            });
+        if (is_online) {
+            await assertVerified(req.user.id);
         }
 
-        await pool.query(
-            `UPDATE drivers 
-             SET 
-                current_latitude = $1,
-                current_longitude = $2,
-                location_accuracy = $3,
-                last_location_update = NOW(),
-                is_online = $4,
-                updated_at = NOW()
-             WHERE id = $5`,
-            [current_latitude, current_longitude, location_accuracy, is_online, req.driverId]
-        );
+        await repositories.drivers.update(req.user.id, {
+            current_latitude,
+            current_longitude,
+            location_accuracy,
+            last_location_update: new Date(),
+            is_online
+        });
 
-        res.json({
-            success: true,
-            message: 'Location updated successfully'
+        await recordTrackPoint(req.user.id, {
+            latitude: current_latitude,
+            longitude: current_longitude,
+            accuracy: location_accuracy
         });
 
+        publishDriverLocation(req.user.id, {
+            latitude: current_latitude,
+            longitude: current_longitude,
+            accuracy: location_accuracy ?? null
+        }).catch(error => console.error('Location push error:', error));
+
+        respond(res, null, { message: 'Location updated successfully' });
+
     } catch (error) {
-        console.error('Location update error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to update location',
-            error: error.message
-        });
+        next(error);
     }
 });
 
-router.post('/status', verifyToken, async (req, res) => {
+router.post('/status', authenticate('driver'), validate(schemas.status), async (req, res, next) => {
     try {
         const { is_online } = req.body;
 
-        await pool.query(
-            `UPDATE drivers 
-             SET 
-                is_online = $1,
-                last_seen = NOW(),
-                updated_at = NOW()
-             WHERE id = $2`,
-            [is_online, req.driverId]
-        );
+        if (is_online) {
+            await assertVerified(req.user.id);
+        }
 
-        res.json({
-            success: true,
-            message: 'Status updated successfully'
-        });
+        await repositories.drivers.update(req.user.id, { is_online, last_seen: new Date() });
+
+        respond(res, null, { message: 'Status updated successfully' });
 
     } catch (error) {
-        console.error('Status update error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to update status',
-            error: error.message
+        next(error);
+    }
+});
+
+// Onboarding documents; multipart form with `file`, `type` and optional `document_number`
+router.post('/documents', authenticate('driver'), uploadDocument, validate(schemas.uploadDocument), async (req, res, next) => {
+    try {
+        const document = await submitDocument(req.user.id, {
+            type: req.body.type,
+            documentNumber: req.body.document_number,
+            file: req.file
         });
+
+        respond(res, document, { status: 201, message: 'Document uploaded for review' });
+    } catch (error) {
+        next(error);
     }
 });
 
-router.get('/assigned-requests', verifyToken, async (req, res) => {
+router.get('/documents', authenticate('driver'), async (req, res, next) => {
     try {
-        const result = await pool.query(
-            `SELECT 
-                cr.id, 
-                cr.pickup_location, 
-                cr.dropoff_location, 
-                cr.status, 
-                cr.created_at,
-                cr.request_time,
-                cr.fare_amount,
-                u.username AS customer_name,
-                u.phone AS phone,
-                u.email AS customer_email
-             FROM cab_requests cr
-             JOIN users u ON cr.user_id = u.id
-             WHERE cr.driver_id = $1
-             ORDER BY 
-                CASE cr.status
-                    WHEN 'in_progress' THEN 1
-                    WHEN 'accepted' THEN 2
-                    WHEN 'completed' THEN 3
-                    ELSE 4
-                END,
-                cr.created_at DESC`,
-            [req.driverId]
-        );
+        respond(res, await listDocuments(req.user.id));
+    } catch (error) {
+        next(error);
+    }
+});
 
-        const requests = result.rows.map(request => ({
+router.get('/assigned-requests', authenticate('driver'), async (req, res, next) => {
+    try {
+        const assigned = await repositories.rides.listForDriver(req.user.id);
+
+        respond(res, assigned.map(request => ({
             ...request,
             formatted_date: new Date(request.request_time || request.created_at).toLocaleString(),
             status_display: request.status.replace('_', ' ').toUpperCase()
-        }));
-
-        res.json({
-            success: true,
-            requests: requests
-        });
+        })));
 
     } catch (error) {
-        console.error('Assigned requests error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to fetch assigned requests',
-            error: error.message
-        });
+        next(error);
     }
 });
 
-router.post('/complete-request', verifyToken, async (req, res) => {
-    try {
-        const { requestId } = req.body;
-
-        const requestCheck = await pool.query(
-            `SELECT id, status FROM cab_requests 
-             WHERE id = $1 AND driver_id = $2`,
-            [requestId, req.driverId]
-        );
-
-        if (requestCheck.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Request not found or not assigned to you'
+// Shared handler for driver-side ride status changes. Ownership is enforced
+// by the lifecycle module: a ride assigned to another driver is reported as
+// not found. `onTransition(ride, db, driverId)` runs inside the same
+// transaction as the status change; `afterTransition` runs once it has been
+// committed, so its failures are logged and the change still reported.
+const driverRideAction = (to, { successMessage, changes = {}, onTransition, afterTransition }) =>
+    async (req, res, next) => {
+        try {
+            const { requestId, reason } = req.body;
+
+            const ride = await runInTransaction(async (db) => {
+                const result = await transition(requestId, to, {
+                    actor: { role: 'driver', id: req.user.id },
+                    driverId: req.user.id,
+                    reason: reason?.trim(),
+                    changes,
+                    db
+                });
+                return onTransition ? onTransition(result.ride, db, req.user.id) : result.ride;
             });
-        }
 
-        const request = requestCheck.rows[0];
+            if (afterTransition) {
+                try {
+                    await afterTransition(requestId, req.user.id);
+                } catch (afterError) {
+                    console.error(`Error after ${to} on request ${requestId}:`, afterError);
+                }
+            }
 
-        if (!['accepted', 'in_progress'].includes(request.status)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Request is not in a completable state'
-            });
+            respond(res, ride, { message: successMessage });
+
+        } catch (error) {
+            next(error instanceof NotFoundError ? new NotFoundError('Request not found or not assigned to you') : error);
         }
+    };
 
-        await pool.query(
-            `UPDATE cab_requests 
-             SET status = 'completed', 
-                 completed_at = NOW(),
-                 updated_at = NOW()
-             WHERE id = $1`,
-            [requestId]
-        );
+router.post('/accept-request', authenticate('driver'), validate(schemas.rideAction), driverRideAction(STATUS.ACCEPTED, {
+    successMessage: 'Ride accepted successfully',
+    onTransition: async (ride, db, driverId) => {
+        await respondToOffer(ride.id, driverId, OFFER_STATUS.ACCEPTED, { db });
+        return ride;
+    }
+}));
+
+// Declining hands the ride back to the dispatch pool. A failed re-dispatch
+// is left to the dispatcher's sweep.
+router.post('/decline-request', authenticate('driver'), validate(schemas.declineRide), driverRideAction(STATUS.REQUESTED, {
+    successMessage: 'Ride declined successfully',
+    changes: { driver_id: null },
+    onTransition: async (ride, db, driverId) => {
+        await respondToOffer(ride.id, driverId, OFFER_STATUS.DECLINED, { db });
+        return ride;
+    },
+    afterTransition: (requestId) => dispatchRide(requestId)
+}));
+
+router.post('/arrived', authenticate('driver'), validate(schemas.rideAction), driverRideAction(STATUS.ARRIVED, {
+    successMessage: 'Arrival at pickup recorded'
+}));
+
+router.post('/start-trip', authenticate('driver'), validate(schemas.rideAction), driverRideAction(STATUS.IN_PROGRESS, {
+    successMessage: 'Trip started successfully'
+}));
+
+router.post('/complete-request', authenticate('driver'), validate(schemas.rideAction), driverRideAction(STATUS.COMPLETED, {
+    successMessage: 'Ride completed successfully',
+    onTransition: async (ride, db) => {
+        // Charge for the distance actually driven when the trip was tracked
+        const recorded = trackDistance(await getTrackPoints(ride.id, { db }));
+        const tracked = recorded === null ? ride : { ...ride, trip_distance_meters: recorded };
+        return finalizeFare(tracked, { db });
+    }
+}));
+
+// Rate the rider of a completed ride; body: { requestId, stars, tags, comment }
+router.post('/rate-rider', authenticate('driver'), validate(schemas.rateRider), async (req, res, next) => {
+    try {
+        const { requestId, stars, tags, comment } = req.body;
 
-        res.json({
-            success: true,
-            message: 'Ride completed successfully'
+        const rating = await rateRide(requestId, req.user, {
+            stars: Number(stars),
+            tags,
+            comment
         });
 
+        respond(res, rating, { status: 201, message: 'Rider rated successfully' });
     } catch (error) {
-        console.error('Complete request error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to complete request',
-            error: error.message
-        });
+        next(error);
     }
 });
 
-router.get('/nearby-requests', verifyToken, async (req, res) => {
+router.get('/nearby-requests', authenticate('driver'), validate(schemas.nearbyRequests), async (req, res, next) => {
     try {
-        const { lat, lng, radius = 5000 } = req.query;
-        
-        if (!lat || !lng) {
-            return res.status(400).json({
-                success: false,
-                message: 'Latitude and longitude are required'
-            });
-        }
-
-        const result = await pool.query(
-            `SELECT 
-                cr.id,
-                cr.pickup_location,
-                cr.dropoff_location,
-                cr.status,
-                cr.request_time,
-                u.username AS customer_name,
-                u.phone AS customer_phone,
-                ST_Distance(
-                    ST_SetSRID(ST_MakePoint($1, $2), 4326),
-                    ST_SetSRID(ST_MakePoint(cr.pickup_lng, cr.pickup_lat), 4326)
-                ) AS distance
-             FROM cab_requests cr
-             JOIN users u ON cr.user_id = u.id
-             WHERE cr.status = 'pending'
-             AND cr.vehicle_type = $3
-             AND cr.driver_id IS NULL
-             AND ST_DWithin(
-                ST_SetSRID(ST_MakePoint($1, $2),
-                ST_SetSRID(ST_MakePoint(cr.pickup_lng, cr.pickup_lat),
-                $4
-             )
-             ORDER BY cr.created_at ASC
-             LIMIT 20`,
-            [lng, lat, req.vehicleType, radius]
-        );
-
-        res.json({
-            success: true,
-            requests: result.rows
+        const lat = Number(req.query.lat);
+        const lng = Number(req.query.lng);
+        const radius = req.query.radius === undefined ? DEFAULT_SEARCH_RADIUS_METERS : Number(req.query.radius);
+
+        const requests = await findNearbyRequests({
+            lat,
+            lng,
+            radiusMeters: radius,
+            vehicleType: req.user.vehicle_type || null
         });
 
+        respond(res, requests);
+
     } catch (error) {
-        console.error('Nearby requests error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to fetch nearby requests',
-            error: error.message
-        });
+        next(error);
     }
 });
 
-module.exports = router;
\ No newline at end of file
+// Change, forgot and reset password
+router.use(passwordRoutes('driver'));
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authenticateStream } = require('../middleware/auth');
+const { channelsFor, subscribe } = require('../services/events');
+const { issueStreamTicket, isSessionActive } = require('../services/sessions');
+const { validate } = require('../middleware/validate');
+const { respond } = require('../middleware/response');
+const schemas = require('../schemas/auth');
+
+// Keeps proxies from closing an idle stream
+const HEARTBEAT_INTERVAL_MS = 25000;
+// How often an open stream checks that its session was not revoked
+const SESSION_CHECK_INTERVAL_MS = (parseInt(process.env.EVENT_SESSION_CHECK_SECONDS, 10) || 30) * 1000;
+
+// Browsers' EventSource cannot set headers, so it opens the stream with a
+// short-lived ticket from here instead of the access token
+router.post('/ticket', authenticate('user', 'driver', 'admin'), (req, res) => {
+    respond(res, issueStreamTicket(req.user), { status: 201 });
+});
+
+// Server-Sent Events stream of ride and driver updates. Authenticates with a
+// Bearer token or ?ticket=. The stream ends with a session_revoked event once
+// the login session is revoked, e.g. by logout.
+router.get('/', validate(schemas.events), authenticateStream('user', 'driver', 'admin'), (req, res) => {
+    const user = req.user;
+    const channels = channelsFor(user);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const unsubscribe = subscribe(channels, send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    const sessionCheck = setInterval(async () => {
+        try {
+            if (user.sid && !(await isSessionActive(user.sid))) {
+                send('session_revoked', { message: 'Session has been revoked' });
+                res.end();
+            }
+        } catch (error) {
+            console.error('Event stream session check error:', error);
+        }
+    }, SESSION_CHECK_INTERVAL_MS);
+
+    send('connected', { role: user.role, id: user.id });
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clearInterval(sessionCheck);
+        unsubscribe();
+    });
+});
+
+module.exports = router;
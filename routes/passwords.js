@@ -0,0 +1,43 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { changePassword, requestPasswordReset, resetPassword } = require('../services/passwords');
+const { validate } = require('../middleware/validate');
+const { respond } = require('../middleware/response');
+const schemas = require('../schemas/passwords');
+
+// Change/forgot/reset password endpoints, mounted on the user, driver and
+// admin routers with the role they serve
+const passwordRoutes = (role) => {
+    const router = express.Router();
+
+    router.post('/change-password', authenticate(role), validate(schemas.changePassword), async (req, res, next) => {
+        try {
+            await changePassword(req.user, req.body.currentPassword, req.body.newPassword);
+            respond(res, null, { message: 'Password changed successfully' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.post('/forgot-password', validate(schemas.forgotPassword), async (req, res, next) => {
+        try {
+            await requestPasswordReset(role, req.body.identifier?.trim());
+            respond(res, null, { message: 'If the account exists, password reset instructions have been sent' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.post('/reset-password', validate(schemas.resetPassword), async (req, res, next) => {
+        try {
+            await resetPassword(role, req.body.token, req.body.newPassword);
+            respond(res, null, { message: 'Password reset successfully. Please log in again.' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+};
+
+module.exports = passwordRoutes;
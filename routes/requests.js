@@ -1,166 +1,289 @@
 const express = require('express');
 const router = express.Router();
-const pool = require('../config/db');
-const { authenticate } = require('../middleware/auth');
+const repositories = require('../repositories');
+const { authenticate, authorize } = require('../middleware/auth');
+const { STATUS, createRide, transition, runInTransaction } = require('../services/rideLifecycle');
+const { cancelRide } = require('../services/cancellation');
+const { dispatchRide, withdrawOffer } = require('../services/dispatcher');
+const { estimateColumns } = require('../services/fares');
+const { issueQuote, verifyQuote } = require('../services/quotes');
+const { isValidCoordinate } = require('../services/geo');
+const { getTrack } = require('../services/tracking');
+const { rateRide } = require('../services/ratings');
+const { isImmediatePickup, parsePickupTime, listUpcoming, updateScheduledRide } = require('../services/scheduledRides');
+const { validate } = require('../middleware/validate');
+const { respond } = require('../middleware/response');
+const { BadRequestError, NotFoundError } = require('../services/errors');
+const schemas = require('../schemas/requests');
 
-// Create a new cab request
-router.post('/', authenticate('user'), async (req, res) => {
+const COORDINATE_FIELDS = ['pickupLat', 'pickupLng', 'dropoffLat', 'dropoffLng'];
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? NaN : Number(value));
+
+// Pickup/dropoff coordinates and vehicle type from a request body, or null
+// when any coordinate is missing or out of range
+const parseTrip = (body) => {
+    const trip = {
+        pickupLat: toNumber(body.pickupLat),
+        pickupLng: toNumber(body.pickupLng),
+        dropoffLat: toNumber(body.dropoffLat),
+        dropoffLng: toNumber(body.dropoffLng),
+        vehicleType: typeof body.vehicleType === 'string' && body.vehicleType.trim()
+            ? body.vehicleType.trim()
+            : null
+    };
+
+    if (!isValidCoordinate(trip.pickupLat, trip.pickupLng) ||
+        !isValidCoordinate(trip.dropoffLat, trip.dropoffLng)) {
+        return null;
+    }
+    return trip;
+};
+
+const sameTrip = (a, b) =>
+    COORDINATE_FIELDS.every(field => Math.abs(a[field] - b[field]) < 1e-6) &&
+    (!a.vehicleType || a.vehicleType === b.vehicleType);
+
+const formatPoint = (lat, lng) => `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+
+// Price a trip before booking it
+router.post('/quote', authenticate('user'), validate(schemas.quote), async (req, res, next) => {
+    try {
+        const trip = parseTrip(req.body);
+        respond(res, await issueQuote(req.user.id, trip));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Create a new cab request. With a future requestTime the ride is booked in
+// advance and only dispatched shortly before pickup; a missing or current
+// requestTime books an immediate ride.
+router.post('/', authenticate('user'), validate(schemas.create), async (req, res, next) => {
     try {
-        const { pickupLocation, dropoffLocation, requestTime } = req.body;
+        const { pickupLocation, dropoffLocation, requestTime, quoteId } = req.body;
         const userId = req.user.id;
 
-        const result = await pool.query(
-            `INSERT INTO cab_requests 
-             (user_id, pickup_location, dropoff_location, request_time, status) 
-             VALUES ($1, $2, $3, $4, 'PENDING') 
-             RETURNING *`,
-            [userId, pickupLocation, dropoffLocation, requestTime || new Date()]
-        );
-
-        res.status(201).json({
-            success: true,
-            data: result.rows[0]
+        const scheduled = !isImmediatePickup(requestTime);
+        const pickupAt = scheduled ? parsePickupTime(requestTime) : new Date();
+
+        let trip = parseTrip(req.body);
+        const quote = quoteId ? verifyQuote(quoteId, userId) : null;
+
+        if (quote) {
+            // The quote fixes the trip and the price the rider agreed to
+            const sentCoordinates = COORDINATE_FIELDS.some(field => req.body[field] !== undefined);
+            if (sentCoordinates && (!trip || !sameTrip(trip, quote.trip))) {
+                throw new BadRequestError('Trip does not match the quote');
+            }
+            trip = quote.trip;
+        }
+
+        // The free-text addresses are kept as display labels
+        const fields = {
+            user_id: userId,
+            pickup_location: pickupLocation?.trim() || formatPoint(trip.pickupLat, trip.pickupLng),
+            dropoff_location: dropoffLocation?.trim() || formatPoint(trip.dropoffLat, trip.dropoffLng),
+            pickup_lat: trip.pickupLat,
+            pickup_lng: trip.pickupLng,
+            dropoff_lat: trip.dropoffLat,
+            dropoff_lng: trip.dropoffLng,
+            vehicle_type: trip.vehicleType,
+            request_time: pickupAt
+        };
+
+        let pricing;
+        if (quote) {
+            pricing = {
+                quoted_fare: quote.fare,
+                estimated_fare: quote.fare,
+                estimated_distance_meters: quote.distanceMeters,
+                estimated_duration_seconds: quote.durationSeconds,
+                fare_breakdown: JSON.stringify(quote.breakdown)
+            };
+        } else {
+            pricing = await estimateColumns(trip);
+        }
+
+        const ride = await createRide({ ...fields, ...pricing }, {
+            actor: req.user,
+            status: scheduled ? STATUS.SCHEDULED : STATUS.REQUESTED
         });
+
+        if (scheduled) {
+            return respond(res, ride, { status: 201 });
+        }
+
+        // A dispatch failure must not lose the booking; the sweep retries it
+        let dispatched = null;
+        try {
+            dispatched = await dispatchRide(ride.id);
+        } catch (dispatchError) {
+            console.error('Error dispatching request:', dispatchError);
+        }
+
+        respond(res, dispatched || ride, { status: 201 });
     } catch (error) {
-        console.error('Error creating request:', error);
-        res.status(400).json({ 
-            success: false,
-            message: error.message 
-        });
+        next(error);
     }
 });
 
 // Get user's cab requests
-router.get('/', authenticate('user'), async (req, res) => {
+router.get('/', authenticate('user'), async (req, res, next) => {
     try {
         const userId = req.user.id;
         
-        const result = await pool.query(
-            `SELECT cr.*, 
-                    d.id as driver_id, 
-                    d.name as driver_name,
-                    d.vehicle_type,
-                    d.vehicle_number,
-                    d.phone,
-                    d.current_latitude as latitude,
-                    d.current_longitude as longitude
-             FROM cab_requests cr
-             LEFT JOIN drivers d ON cr.driver_id = d.id
-             WHERE cr.user_id = $1
-             ORDER BY cr.request_time DESC`,
-            [userId]
-        );
-
-        res.json({
-            success: true,
-            data: result.rows.map(row => ({
-                id: row.id,
-                pickup_location: row.pickup_location,
-                dropoff_location: row.dropoff_location,
-                request_time: row.request_time,
-                status: row.status,
-                fare_amount: row.fare_amount,
-                driver: row.driver_id ? {
-                    id: row.driver_id,
-                    name: row.driver_name,
-                    vehicle_type: row.vehicle_type,
-                    vehicle_number: row.vehicle_number,
-                    phone: row.phone,
-                    latitude: row.latitude,
-                    longitude: row.longitude
-                } : null
-            }))
-        });
+        const rides = await repositories.rides.listForUser(userId);
+
+        respond(res, rides.map(row => ({
+            id: row.id,
+            pickup_location: row.pickup_location,
+            dropoff_location: row.dropoff_location,
+            pickup_lat: row.pickup_lat,
+            pickup_lng: row.pickup_lng,
+            dropoff_lat: row.dropoff_lat,
+            dropoff_lng: row.dropoff_lng,
+            vehicle_type: row.vehicle_type,
+            request_time: row.request_time,
+            status: row.status,
+            fare_amount: row.fare_amount,
+            estimated_fare: row.estimated_fare,
+            quoted_fare: row.quoted_fare,
+            fare_breakdown: row.fare_breakdown,
+            driver: row.driver
+        })));
     } catch (error) {
-        console.error('Error fetching requests:', error);
-        res.status(500).json({ 
-            success: false,
-            message: 'Error fetching requests' 
-        });
+        next(error);
+    }
+});
+
+// The user's upcoming scheduled rides, soonest first
+router.get('/scheduled', authenticate('user'), async (req, res, next) => {
+    try {
+        respond(res, await listUpcoming(req.user.id));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Change a scheduled ride before it is released to dispatch. Accepts
+// requestTime, pickupLocation, dropoffLocation, coordinates and vehicleType.
+router.put('/:id', authenticate('user'), validate(schemas.updateScheduled), async (req, res, next) => {
+    try {
+        const ride = await updateScheduledRide(req.params.id, req.user.id, req.body);
+        respond(res, ride, { message: 'Scheduled ride updated' });
+    } catch (error) {
+        next(error);
     }
 });
 
 // Get all requests for admin
-router.get('/all', authenticate('admin'), async (req, res) => {
+router.get('/all', authenticate('admin'), authorize('rides:read'), async (req, res, next) => {
+    try {
+        const rides = await repositories.rides.listWithParties({ sort: '-request_time' });
+
+        respond(res, rides.map(({ user_gender, driver_phone, driver_latitude, driver_longitude, ...ride }) => ({
+            ...ride,
+            driver_name: ride.driver_id ? ride.driver_name : null,
+            phone: driver_phone,
+            latitude: driver_latitude,
+            longitude: driver_longitude
+        })));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Recorded route of one of the user's trips
+router.get('/:id/track', authenticate('user'), validate(schemas.track), async (req, res, next) => {
+    try {
+        const ride = await repositories.rides.findById(req.params.id);
+        if (!ride || ride.user_id !== req.user.id) {
+            throw new NotFoundError('Ride request not found');
+        }
+
+        respond(res, await getTrack(req.params.id));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Cancel one of the user's own requests
+router.post('/:id/cancel', authenticate('user'), validate(schemas.cancel), async (req, res, next) => {
     try {
-        const result = await pool.query(
-            `SELECT cr.*, 
-                    u.username as user_name,
-                    d.name as driver_name,
-                    d.phone,
-                    d.current_latitude as latitude,
-                    d.current_longitude as longitude
-             FROM cab_requests cr
-             JOIN users u ON cr.user_id = u.id
-             LEFT JOIN drivers d ON cr.driver_id = d.id
-             ORDER BY cr.request_time DESC`
-        );
-
-        res.json({
-            success: true,
-            data: result.rows
+        const { reason } = req.body;
+
+        const ride = await cancelRide(req.params.id, {
+            actor: req.user,
+            reason: reason?.trim(),
+            userId: req.user.id
+        });
+
+        respond(res, ride, {
+            message: ride.cancellation_fee > 0
+                ? `Ride cancelled. A cancellation fee of ${ride.cancellation_fee} applies.`
+                : 'Ride cancelled successfully'
         });
     } catch (error) {
-        console.error('Error fetching all requests:', error);
-        res.status(500).json({ 
-            success: false,
-            message: 'Error fetching requests' 
+        next(error);
+    }
+});
+
+// Rate the driver of one of the user's completed rides
+router.post('/:id/rating', authenticate('user'), validate(schemas.rate), async (req, res, next) => {
+    try {
+        const { stars, tags, comment } = req.body;
+
+        const rating = await rateRide(req.params.id, req.user, {
+            stars: Number(stars),
+            tags,
+            comment
         });
+
+        respond(res, rating, { status: 201, message: 'Thanks for rating your driver' });
+    } catch (error) {
+        next(error);
     }
 });
 
 // Assign driver to request
-router.put('/:id/assign', authenticate('admin'), async (req, res) => {
+router.put('/:id/assign', authenticate('admin'), authorize('rides:dispatch'), validate(schemas.assign), async (req, res, next) => {
     try {
         const { driverId } = req.body;
         const requestId = req.params.id;
 
-        await pool.query('BEGIN');
-
-        // Assign driver
-        const result = await pool.query(
-            `UPDATE cab_requests 
-             SET driver_id = $1, status = 'ASSIGNED' 
-             WHERE id = $2 
-             RETURNING *`,
-            [driverId, requestId]
-        );
-
-        // Fetch driver details to include in response
-        const driverResult = await pool.query(
-            `SELECT id, name, vehicle_type, vehicle_number, phone, current_latitude as latitude, current_longitude as longitude 
-             FROM drivers 
-             WHERE id = $1`,
-            [driverId]
-        );
-
-        await pool.query('COMMIT');
-
-        const request = result.rows[0];
-        res.json({
-            success: true,
-            message: 'Driver assigned successfully',
-            data: {
-                ...request,
-                driver: driverResult.rows[0] ? {
-                    id: driverResult.rows[0].id,
-                    name: driverResult.rows[0].name,
-                    vehicle_type: driverResult.rows[0].vehicle_type,
-                    vehicle_number: driverResult.rows[0].vehicle_number,
-                    phone: driverResult.rows[0].phone,
-                    latitude: driverResult.rows[0].latitude,
-                    longitude: driverResult.rows[0].longitude
-                } : null
+        const { request, driver } = await runInTransaction(async (db) => {
+            // Checked here rather than left to the foreign key, which the
+            // memory backend does not have
+            const assignee = await db.drivers.findById(driverId, { forUpdate: true });
+            if (!assignee) {
+                throw new NotFoundError('Driver not found');
             }
+
+            await withdrawOffer(requestId, { actor: req.user, db });
+            const { ride } = await transition(requestId, STATUS.ASSIGNED, {
+                actor: req.user,
+                changes: { driver_id: driverId },
+                db
+            });
+            return { request: ride, driver: assignee };
         });
+
+        respond(res, {
+            ...request,
+            driver: {
+                id: driver.id,
+                name: driver.name,
+                vehicle_type: driver.vehicle_type,
+                vehicle_number: driver.vehicle_number,
+                phone: driver.phone,
+                latitude: driver.current_latitude,
+                longitude: driver.current_longitude
+            }
+        }, { message: 'Driver assigned successfully' });
     } catch (error) {
-        await pool.query('ROLLBACK');
-        console.error('Error assigning driver:', error);
-        res.status(500).json({ 
-            success: false,
-            message: 'Error assigning driver' 
-        });
+        next(error);
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,98 +1,63 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-const pool = require('../config/db');
-
-// Middleware for authentication
-const authMiddleware = (req, res, next) => {
-    try {
-        const token = req.headers.authorization?.split(' ')[1];
-        if (!token) {
-            return res.status(401).json({ message: 'No token provided' });
-        }
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-        next();
-    } catch (error) {
-        console.error('Authentication error:', error);
-        res.status(401).json({ message: 'Invalid token' });
-    }
-};
-
-router.post('/register', async (req, res) => {
+const repositories = require('../repositories');
+const { authenticate } = require('../middleware/auth');
+const { issueSession } = require('../services/sessions');
+const { guardLogin } = require('../services/loginGuard');
+const { submitRegistration, getRegistrationStatus } = require('../services/registrations');
+const { validate } = require('../middleware/validate');
+const { respond } = require('../middleware/response');
+const { ConflictError, UnauthorizedError } = require('../services/errors');
+const schemas = require('../schemas/user');
+const passwordRoutes = require('./passwords');
+
+router.post('/register', validate(schemas.register), async (req, res, next) => {
     const { username, email, password, phone } = req.body;
     try {
-        // Validate required fields (email optional)
-        if (!username || !password) {
-            return res.status(400).json({ message: 'Username and password are required' });
-        }
-
         // Check if username already exists
-        const userExists = await pool.query(
-            'SELECT * FROM users WHERE username = $1',
-            [username]
-        );
-        if (userExists.rows.length > 0) {
-            return res.status(400).json({ message: 'Username already exists' });
+        if (await repositories.users.findByUsername(username)) {
+            throw new ConflictError('Username already exists');
         }
 
         // If email is provided, check uniqueness in users
-        if (email) {
-            const emailExists = await pool.query(
-                'SELECT * FROM users WHERE email = $1',
-                [email]
-            );
-            if (emailExists.rows.length > 0) {
-                return res.status(400).json({ message: 'Email already exists' });
-            }
+        if (email && await repositories.users.findByEmail(email)) {
+            throw new ConflictError('Email already exists');
         }
 
         // Check pending requests
-        const pendingUsernameExists = await pool.query(
-            'SELECT * FROM pending_users WHERE username = $1',
-            [username]
-        );
-        if (pendingUsernameExists.rows.length > 0) {
-            return res.status(400).json({ message: 'Registration request already pending admin approval' });
-        }
-
-        if (email) {
-            const pendingEmailExists = await pool.query(
-                'SELECT * FROM pending_users WHERE email = $1',
-                [email]
-            );
-            if (pendingEmailExists.rows.length > 0) {
-                return res.status(400).json({ message: 'Registration request already pending admin approval' });
-            }
-        }
-
-        // Validate phone number if provided
-        if (phone && !/^\+?\d{10,15}$/.test(phone.replace(/[\s-]/g, ''))) {
-            return res.status(400).json({
-                message: 'Invalid phone number format (must be 10-15 digits, optional + prefix)'
-            });
+        if (await repositories.users.findPendingRegistration(username, email || null)) {
+            throw new ConflictError('Registration request already pending admin approval');
         }
 
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 10);
 
         // Insert into pending_users (email can be null)
-        const result = await pool.query(
-            'INSERT INTO pending_users (username, email, password, phone, role) VALUES ($1, $2, $3, $4, $5) RETURNING id',
-            [username, email || null, hashedPassword, phone || null, 'passenger']
-        );
-
-        res.status(201).json({
-            message: 'Registration request submitted. Waiting for admin approval.',
-            pendingUserId: result.rows[0].id
+        const registration = await submitRegistration({
+            username,
+            email: email || null,
+            password: hashedPassword,
+            phone: phone || null,
+            role: 'passenger'
         });
-    } catch (error) {
-        console.error('Error creating registration request:', error);
-        res.status(500).json({
-            message: 'Error creating registration request',
-            error: error.message
+
+        respond(res, registration, {
+            status: 201,
+            message: 'Registration request submitted. Waiting for admin approval.'
         });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Lets an applicant see whether their registration was approved or rejected;
+// ?token= is the statusToken returned by /register
+router.get('/registration-status/:pendingUserId', validate(schemas.registrationStatus), async (req, res, next) => {
+    try {
+        respond(res, await getRegistrationStatus(req.params.pendingUserId, req.query.token));
+    } catch (error) {
+        next(error);
     }
 });
 
@@ -157,49 +122,41 @@ router.post('/register', async (req, res) => {
 // });
 
 // Login remains the same (only checks users table, not pending_users)
-router.post('/login', async (req, res) => {
+router.post('/login', validate(schemas.login), guardLogin('user', 'email'), async (req, res, next) => {
     const { email, password } = req.body;
     try {
         // Modified query to check both email and phone fields
-        const result = await pool.query('SELECT * FROM users WHERE email = $1 OR phone = $1', [email]);
-        const user = result.rows[0];
+        const user = await repositories.users.findByLogin(email);
         if (!user) {
-            return res.status(401).json({ message: 'Invalid email/phone or password' });
+            await req.loginAttempt.failed('unknown_account');
+            throw new UnauthorizedError('Invalid email/phone or password');
         }
         const isValidPassword = await bcrypt.compare(password, user.password);
         if (!isValidPassword) {
-            return res.status(401).json({ message: 'Invalid email/phone or password' });
+            await req.loginAttempt.failed('invalid_password');
+            throw new UnauthorizedError('Invalid email/phone or password');
         }
-        const token = jwt.sign({ id: user.id, role: 'user' }, process.env.JWT_SECRET, { expiresIn: '1h' });
-        res.json({ token, message: 'Login successful' });
+        await req.loginAttempt.succeeded();
+        const { token, refreshToken } = await issueSession('user', user.id, {}, req);
+        respond(res, { token, refreshToken }, { message: 'Login successful' });
     } catch (error) {
-        res.status(500).json({ message: 'Error logging in', error: error.message });
+        next(error);
     }
 });
 
 // Cab request history
-router.get('/api/requests', authMiddleware, async (req, res) => {
+router.get('/api/requests', authenticate('user'), async (req, res, next) => {
     try {
         const userId = req.user.id;
-        const result = await pool.query(
-            'SELECT * FROM cab_requests WHERE user_id = $1 ORDER BY request_time DESC',
-            [userId]
-        );
-        const requests = result.rows;
-
-        res.status(200).json({
-            success: true,
-            data: requests
-        });
+        respond(res, await repositories.rides.list({ userId, sort: '-request_time' }));
     } catch (error) {
-        console.error('Error fetching requests:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Error fetching requests'
-        });
+        next(error);
     }
 });
 
+// Change, forgot and reset password
+router.use(passwordRoutes('user'));
+
 module.exports = router;
 
 // const express = require('express');
@@ -0,0 +1,164 @@
+const { rules } = require('../middleware/validate');
+const { REGISTRATION_STATUS } = require('../services/registrations');
+const { MAX_REASON_LENGTH } = require('./requests');
+
+// Request schemas for routes/admin.js
+
+const GENDERS = ['men', 'women', 'other'];
+
+const byId = { params: { id: rules.id() } };
+
+const price = (options) => rules.number({ min: 0, ...options });
+
+const login = {
+    body: {
+        username: rules.string({ required: true, maxLength: 100 }),
+        password: rules.string({ required: true })
+    }
+};
+
+const logout = {
+    body: { allDevices: rules.boolean() }
+};
+
+const assignRide = {
+    ...byId,
+    body: { driver_id: rules.id() }
+};
+
+const cancelRide = {
+    ...byId,
+    body: {
+        reason: rules.string({ required: true, maxLength: MAX_REASON_LENGTH }),
+        waive_fee: rules.boolean()
+    }
+};
+
+const listDrivers = {
+    query: { available: rules.boolean() }
+};
+
+// Fields an admin may set on a driver; `required` only applies on create
+const driverFields = (required) => ({
+    name: rules.string({ required, maxLength: 100 }),
+    email: rules.email({ required }),
+    phone: rules.phone({ required }),
+    vehicle_type: rules.string({ required, maxLength: 50 }),
+    vehicle_number: rules.string({ required, maxLength: 50 }),
+    available: rules.boolean(),
+    gender: rules.oneOf(GENDERS)
+});
+
+const createDriver = {
+    body: driverFields(true)
+};
+
+const updateDriver = {
+    ...byId,
+    body: driverFields(false)
+};
+
+const pricing = {
+    body: {
+        base_fare: price({ required: true }),
+        price_per_mile: price({ required: true }),
+        price_per_minute: price({ required: true }),
+        minimum_fare: price()
+    }
+};
+
+const rateCard = {
+    params: { vehicleType: rules.string({ required: true, maxLength: 50 }) }
+};
+
+const saveRateCard = {
+    ...rateCard,
+    body: {
+        base_fare: price(),
+        price_per_mile: price(),
+        price_per_minute: price(),
+        minimum_fare: price()
+    }
+};
+
+const cancellationPolicy = {
+    body: {
+        cancellation_fee: price({ required: true }),
+        cancellation_grace_minutes: rules.integer({ required: true, min: 0 })
+    }
+};
+
+const systemSettings = {
+    body: {
+        maintenance_mode: rules.boolean({ required: true }),
+        enable_notifications: rules.boolean({ required: true }),
+        maintenance_message: rules.string({ maxLength: 500 }),
+        maintenance_retry_after_seconds: rules.integer({ min: 0, max: 86400 }),
+        maintenance_allow_active_trips: rules.boolean()
+    }
+};
+
+const listRegistrations = {
+    query: { status: rules.oneOf([...Object.values(REGISTRATION_STATUS), 'all']) }
+};
+
+const rejectRegistration = {
+    ...byId,
+    body: { reason: rules.string({ required: true, maxLength: MAX_REASON_LENGTH }) }
+};
+
+const approveDocument = {
+    ...byId,
+    body: { expires_at: rules.date({ required: true }) }
+};
+
+const rejectDocument = {
+    ...byId,
+    body: { reason: rules.string({ required: true, maxLength: MAX_REASON_LENGTH }) }
+};
+
+const documentExpiryReport = {
+    query: {
+        days: rules.integer({ min: 0, max: 365 }),
+        format: rules.oneOf(['json', 'csv'])
+    }
+};
+
+const lowRated = {
+    query: {
+        role: rules.oneOf(['driver', 'user']),
+        threshold: rules.number({ min: 1, max: 5 }),
+        min_ratings: rules.integer({ min: 1 })
+    }
+};
+
+const failedLogins = {
+    query: {
+        ip: rules.string({ maxLength: 64 }),
+        identifier: rules.string({ maxLength: 255 }),
+        limit: rules.integer({ min: 1, max: 500 })
+    }
+};
+
+module.exports = {
+    byId,
+    login,
+    logout,
+    assignRide,
+    cancelRide,
+    listDrivers,
+    createDriver,
+    updateDriver,
+    pricing,
+    rateCard,
+    saveRateCard,
+    cancellationPolicy,
+    systemSettings,
+    listRegistrations,
+    rejectRegistration,
+    approveDocument,
+    rejectDocument,
+    documentExpiryReport,
+    lowRated,
+    failedLogins
+};
@@ -0,0 +1,17 @@
+const { rules } = require('../middleware/validate');
+
+// Request schemas for routes/auth.js and routes/events.js
+
+const refresh = {
+    body: { refreshToken: rules.string({ required: true }) }
+};
+
+const logout = {
+    body: { allDevices: rules.boolean() }
+};
+
+const events = {
+    query: { ticket: rules.string() }
+};
+
+module.exports = { refresh, logout, events };
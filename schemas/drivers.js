@@ -0,0 +1,91 @@
+const { rules } = require('../middleware/validate');
+const { MIN_PASSWORD_LENGTH } = require('../services/passwords');
+const { RATING_TAGS, MAX_COMMENT_LENGTH } = require('../services/ratings');
+const { DOCUMENT_TYPES } = require('../services/driverVerification');
+const { MAX_REASON_LENGTH } = require('./requests');
+
+// Request schemas for routes/drivers.js
+
+// Upper bound of ?radius for /nearby-requests, in meters
+const MAX_SEARCH_RADIUS_METERS = 50000;
+
+const register = {
+    body: {
+        name: rules.string({ required: true, maxLength: 100 }),
+        email: rules.email({ required: true }),
+        phone: rules.phone({ required: true }),
+        vehicle_type: rules.string({ required: true, maxLength: 50 }),
+        vehicle_number: rules.string({ required: true, maxLength: 50 }),
+        license_number: rules.string({ maxLength: 100 }),
+        password: rules.string({ required: true, minLength: MIN_PASSWORD_LENGTH })
+    }
+};
+
+const login = {
+    body: {
+        email: rules.string({ required: true, maxLength: 255 }),
+        password: rules.string({ required: true })
+    }
+};
+
+const location = {
+    body: {
+        current_latitude: rules.latitude({ required: true }),
+        current_longitude: rules.longitude({ required: true }),
+        location_accuracy: rules.number({ min: 0 }),
+        is_online: rules.boolean()
+    }
+};
+
+const status = {
+    body: { is_online: rules.boolean({ required: true }) }
+};
+
+// Multipart form fields; the file itself is checked by the upload middleware
+const uploadDocument = {
+    body: {
+        type: rules.oneOf(DOCUMENT_TYPES, { required: true }),
+        document_number: rules.string({ maxLength: 100 })
+    }
+};
+
+// accept-request, arrived, start-trip and complete-request
+const rideAction = {
+    body: { requestId: rules.id() }
+};
+
+const declineRide = {
+    body: {
+        requestId: rules.id(),
+        reason: rules.string({ required: true, maxLength: MAX_REASON_LENGTH })
+    }
+};
+
+const rateRider = {
+    body: {
+        requestId: rules.id(),
+        stars: rules.integer({ required: true, min: 1, max: 5 }),
+        tags: rules.array({ maxItems: RATING_TAGS.user.length, items: rules.oneOf(RATING_TAGS.user) }),
+        comment: rules.string({ maxLength: MAX_COMMENT_LENGTH })
+    }
+};
+
+const nearbyRequests = {
+    query: {
+        lat: rules.latitude({ required: true }),
+        lng: rules.longitude({ required: true }),
+        radius: rules.number({ min: 1, max: MAX_SEARCH_RADIUS_METERS })
+    }
+};
+
+module.exports = {
+    register,
+    login,
+    location,
+    status,
+    uploadDocument,
+    rideAction,
+    declineRide,
+    rateRider,
+    nearbyRequests
+};
@@ -0,0 +1,26 @@
+const { rules } = require('../middleware/validate');
+const { MIN_PASSWORD_LENGTH } = require('../services/passwords');
+
+// Request schemas for routes/passwords.js, shared by every role
+
+const newPassword = rules.string({ required: true, minLength: MIN_PASSWORD_LENGTH });
+
+const changePassword = {
+    body: {
+        currentPassword: rules.string({ required: true }),
+        newPassword
+    }
+};
+
+const forgotPassword = {
+    body: { identifier: rules.string({ required: true, maxLength: 255 }) }
+};
+
+const resetPassword = {
+    body: {
+        token: rules.string({ required: true }),
+        newPassword
+    }
+};
+
+module.exports = { changePassword, forgotPassword, resetPassword };
@@ -0,0 +1,71 @@
+const { rules } = require('../middleware/validate');
+const { RATING_TAGS, MAX_COMMENT_LENGTH } = require('../services/ratings');
+
+// Request schemas for routes/requests.js
+
+const MAX_REASON_LENGTH = 500;
+
+const rideId = { id: rules.id() };
+
+const label = rules.string({ maxLength: 255 });
+const vehicleType = rules.string({ maxLength: 50 });
+
+// Pickup and dropoff coordinates; `required` may be a function (see validate)
+const tripFields = (required) => ({
+    pickupLat: rules.latitude({ required }),
+    pickupLng: rules.longitude({ required }),
+    dropoffLat: rules.latitude({ required }),
+    dropoffLng: rules.longitude({ required }),
+    vehicleType
+});
+
+const quote = {
+    body: tripFields(true)
+};
+
+// A quote fixes the trip, so the coordinates are only needed without one
+const create = {
+    body: {
+        ...tripFields(body => !body.quoteId),
+        quoteId: rules.string({ maxLength: 2000 }),
+        pickupLocation: label,
+        dropoffLocation: label,
+        requestTime: rules.date()
+    }
+};
+
+const updateScheduled = {
+    params: rideId,
+    body: {
+        ...tripFields(false),
+        pickupLocation: label,
+        dropoffLocation: label,
+        requestTime: rules.date()
+    }
+};
+
+const track = {
+    params: rideId
+};
+
+const cancel = {
+    params: rideId,
+    body: { reason: rules.string({ maxLength: MAX_REASON_LENGTH }) }
+};
+
+// Riders rate their driver
+const rate = {
+    params: rideId,
+    body: {
+        stars: rules.integer({ required: true, min: 1, max: 5 }),
+        tags: rules.array({ maxItems: RATING_TAGS.driver.length, items: rules.oneOf(RATING_TAGS.driver) }),
+        comment: rules.string({ maxLength: MAX_COMMENT_LENGTH })
+    }
+};
+
+const assign = {
+    params: rideId,
+    body: { driverId: rules.id() }
+};
+
+module.exports = { MAX_REASON_LENGTH, quote, create, updateScheduled, track, cancel, rate, assign };
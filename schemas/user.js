@@ -0,0 +1,29 @@
+const { rules } = require('../middleware/validate');
+const { MIN_PASSWORD_LENGTH } = require('../services/passwords');
+
+// Request schemas for routes/user.js
+
+const register = {
+    body: {
+        username: rules.string({ required: true, maxLength: 100 }),
+        email: rules.email(),
+        password: rules.string({ required: true, minLength: MIN_PASSWORD_LENGTH }),
+        phone: rules.phone()
+    }
+};
+
+// `token` is the statusToken handed out at registration
+const registrationStatus = {
+    params: { pendingUserId: rules.id() },
+    query: { token: rules.string({ required: true, maxLength: 100 }) }
+};
+
+// Riders log in with their e-mail address or phone number in `email`
+const login = {
+    body: {
+        email: rules.string({ required: true, maxLength: 255 }),
+        password: rules.string({ required: true })
+    }
+};
+
+module.exports = { register, registrationStatus, login };
@@ -0,0 +1,44 @@
+const { STATUS, COMMITTED_STATUSES, RideNotFoundError, transition, withTransaction } = require('./rideLifecycle');
+const { getSettings } = require('./settings');
+
+// A fee is due once a driver has accepted, or once the grace window after
+// booking has passed even if nobody accepted yet. Scheduled rides are free to
+// cancel until they are released to dispatch, which restarts the window.
+const calculateCancellationFee = (ride, settings, now = new Date()) => {
+    if (ride.status === STATUS.SCHEDULED) return 0;
+
+    const minutesSinceRequest = (now - new Date(ride.released_at || ride.created_at)) / 60000;
+    const chargeable = COMMITTED_STATUSES.includes(ride.status) ||
+        minutesSinceRequest > settings.cancellation_grace_minutes;
+
+    return chargeable ? settings.cancellation_fee : 0;
+};
+
+// Cancels a ride on behalf of a rider (pass userId to enforce ownership) or an
+// admin (pass waiveFee to skip the fee).
+const cancelRide = (rideId, { actor, reason, userId, waiveFee = false, db } = {}) =>
+    withTransaction(db, async (tx) => {
+        const ride = await tx.rides.findById(rideId, { forUpdate: true });
+
+        if (!ride || (userId !== undefined && ride.user_id !== userId)) {
+            throw new RideNotFoundError(rideId);
+        }
+
+        const settings = await getSettings(tx);
+        const fee = waiveFee ? 0 : calculateCancellationFee(ride, settings);
+
+        const { ride: cancelled } = await transition(rideId, STATUS.CANCELLED, {
+            actor,
+            reason,
+            db: tx,
+            changes: {
+                cancelled_by_role: actor.role,
+                cancelled_by_id: actor.id,
+                cancellation_reason: reason || null,
+                cancellation_fee: fee
+            }
+        });
+        return cancelled;
+    });
+
+module.exports = { calculateCancellationFee, cancelRide };
@@ -0,0 +1,167 @@
+const repositories = require('../repositories');
+const { STATUS, ACTIVE_STATUSES, transition, withTransaction, runInTransaction } = require('./rideLifecycle');
+
+const OFFER_TIMEOUT_SECONDS = parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS, 10) || 30;
+const MAX_RADIUS_METERS = parseInt(process.env.DISPATCH_MAX_RADIUS_METERS, 10) || 10000;
+const SWEEP_INTERVAL_SECONDS = parseInt(process.env.DISPATCH_SWEEP_INTERVAL_SECONDS, 10) || 10;
+
+const DISPATCHER = Object.freeze({ role: 'system', id: null });
+
+const OFFER_STATUS = Object.freeze({
+    OFFERED: 'offered',
+    ACCEPTED: 'accepted',
+    DECLINED: 'declined',
+    EXPIRED: 'expired',
+    WITHDRAWN: 'withdrawn'
+});
+
+// Nearest online, available driver of the right vehicle type who is not busy
+// with another ride and has not already turned this ride down.
+const findCandidate = (db, ride) => db.drivers.findDispatchCandidate({
+    rideId: ride.id,
+    lat: ride.pickup_lat,
+    lng: ride.pickup_lng,
+    vehicleType: ride.vehicle_type || null,
+    busyStatuses: ACTIVE_STATUSES,
+    maxDistanceMeters: MAX_RADIUS_METERS
+});
+
+// Offers a waiting ride to the best candidate. Returns the assigned ride, or
+// null when the ride is not waiting or nobody suitable is nearby.
+const dispatchRide = (rideId, { db } = {}) => withTransaction(db, async (tx) => {
+    const ride = await tx.rides.findById(rideId, { forUpdate: true });
+
+    if (!ride || ride.status !== STATUS.REQUESTED || ride.pickup_lat === null || ride.pickup_lng === null) {
+        return null;
+    }
+
+    const candidate = await findCandidate(tx, ride);
+    if (!candidate) return null;
+
+    const { ride: assigned } = await transition(rideId, STATUS.ASSIGNED, {
+        actor: DISPATCHER,
+        reason: 'Automatic dispatch',
+        changes: { driver_id: candidate.id },
+        db: tx
+    });
+
+    await tx.rides.createOffer({
+        ride_id: rideId,
+        driver_id: candidate.id,
+        status: OFFER_STATUS.OFFERED,
+        distance_meters: Math.round(candidate.distance_meters),
+        expires_at: new Date(Date.now() + OFFER_TIMEOUT_SECONDS * 1000)
+    });
+    return assigned;
+});
+
+// Records a driver's answer to an offer. Declines of manually assigned rides
+// are stored too, so the dispatcher does not offer the ride to them again.
+const respondToOffer = async (rideId, driverId, status, { db = repositories } = {}) => {
+    const answered = await db.rides.resolveOffers({ rideId, driverId, from: OFFER_STATUS.OFFERED, to: status });
+    if (answered.length === 0 && status === OFFER_STATUS.DECLINED) {
+        const now = new Date();
+        await db.rides.createOffer({
+            ride_id: rideId,
+            driver_id: driverId,
+            status,
+            expires_at: now,
+            responded_at: now
+        });
+    }
+};
+
+// Pulls back an unanswered automatic offer so an admin can assign manually
+const withdrawOffer = (rideId, { actor, db } = {}) => withTransaction(db, async (tx) => {
+    const pending = await tx.rides.resolveOffers({
+        rideId,
+        from: OFFER_STATUS.OFFERED,
+        to: OFFER_STATUS.WITHDRAWN
+    });
+    if (pending.length === 0) return;
+
+    await transition(rideId, STATUS.REQUESTED, {
+        actor,
+        reason: 'Automatic offer withdrawn for manual assignment',
+        expect: [STATUS.ASSIGNED],
+        changes: { driver_id: null },
+        db: tx
+    });
+});
+
+// Returns timed-out offers to the pool and hands them to the next driver
+const expireOffers = async () => {
+    const expired = await repositories.rides.listExpiredOffers(OFFER_STATUS.OFFERED, new Date());
+
+    for (const offer of expired) {
+        await runInTransaction(async (tx) => {
+            let outcome = OFFER_STATUS.EXPIRED;
+            try {
+                await transition(offer.ride_id, STATUS.REQUESTED, {
+                    actor: DISPATCHER,
+                    reason: 'Driver did not respond to offer',
+                    expect: [STATUS.ASSIGNED],
+                    driverId: offer.driver_id,
+                    changes: { driver_id: null },
+                    db: tx
+                });
+            } catch (error) {
+                // The ride moved on (cancelled, reassigned) while the offer was open
+                if (!error.status) throw error;
+                outcome = OFFER_STATUS.WITHDRAWN;
+            }
+            await respondToOffer(offer.ride_id, offer.driver_id, outcome, { db: tx });
+        });
+        await dispatchRide(offer.ride_id);
+    }
+};
+
+const dispatchWaitingRides = async () => {
+    const waiting = await repositories.rides.list({
+        statuses: [STATUS.REQUESTED],
+        hasPickup: true,
+        sort: 'created_at',
+        limit: 50
+    });
+    for (const ride of waiting) {
+        await dispatchRide(ride.id);
+    }
+};
+
+let sweepTimer = null;
+
+// Periodically expires stale offers and retries rides nobody has taken yet.
+// Running off stored offers keeps them alive across server restarts.
+const startDispatcher = () => {
+    if (sweepTimer) return;
+
+    let running = false;
+    sweepTimer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await expireOffers();
+            await dispatchWaitingRides();
+        } catch (error) {
+            console.error('Dispatch sweep error:', error);
+        } finally {
+            running = false;
+        }
+    }, SWEEP_INTERVAL_SECONDS * 1000);
+    sweepTimer.unref();
+};
+
+const stopDispatcher = () => {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+};
+
+module.exports = {
+    OFFER_STATUS,
+    dispatchRide,
+    respondToOffer,
+    withdrawOffer,
+    expireOffers,
+    startDispatcher,
+    stopDispatcher
+};
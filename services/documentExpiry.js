@@ -0,0 +1,180 @@
+const repositories = require('../repositories');
+const { notify } = require('./notifier');
+const { VERIFICATION_STATUS, refreshVerification } = require('./driverVerification');
+
+// Days before expiry at which a driver is reminded, e.g. "30,7,1"
+const WARNING_DAYS = (process.env.DOCUMENT_EXPIRY_WARNING_DAYS || '30,7,1')
+    .split(',')
+    .map(day => parseInt(day, 10))
+    .filter(day => day > 0)
+    .sort((a, b) => a - b);
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.DOCUMENT_EXPIRY_CHECK_INTERVAL_MINUTES, 10) || 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = () => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Whole days from today until the expiry date; negative once it has passed
+const daysUntil = (expiresAt) => {
+    const date = new Date(expiresAt);
+    return Math.round((new Date(date.getFullYear(), date.getMonth(), date.getDate()) - today()) / DAY_MS);
+};
+
+// Smallest warning threshold the remaining days fall within
+const warningThreshold = (daysRemaining) => WARNING_DAYS.find(day => daysRemaining <= day) ?? null;
+
+// Sends one reminder per document and threshold
+const sendExpiryWarnings = async () => {
+    if (WARNING_DAYS.length === 0) return 0;
+
+    const documents = await repositories.drivers.listDocumentsInForce({
+        expiresBy: addDays(today(), WARNING_DAYS[WARNING_DAYS.length - 1])
+    });
+
+    let sent = 0;
+    for (const doc of documents) {
+        const daysRemaining = daysUntil(doc.expires_at);
+        if (daysRemaining < 0) continue;
+
+        const claimed = await repositories.drivers.claimExpiryWarning(doc.id, warningThreshold(daysRemaining));
+        if (!claimed) continue;
+
+        const when = daysRemaining === 0 ? 'today' : `in ${daysRemaining} day(s)`;
+        await notify({
+            kind: 'document_expiry_warning',
+            to: doc.email,
+            subject: `Your ${doc.doc_type} expires ${when}`,
+            body: `Hi ${doc.name}, your ${doc.doc_type} on file expires ${when}. ` +
+                'Upload a renewed copy to stay on the road; you will be taken offline once it lapses.'
+        });
+        sent++;
+    }
+    return sent;
+};
+
+// Takes drivers off the road once a document in force has lapsed
+const suspendLapsedDrivers = async () => {
+    const lapsed = await repositories.drivers.listDocumentsInForce({ expiresBy: addDays(today(), -1) });
+    const driverIds = new Set(lapsed
+        .filter(doc => doc.verification_status === VERIFICATION_STATUS.VERIFIED)
+        .map(doc => doc.driver_id));
+
+    const suspended = [];
+    for (const id of driverIds) {
+        const driver = await refreshVerification(id);
+        if (driver?.verification_status !== VERIFICATION_STATUS.SUSPENDED) continue;
+
+        suspended.push(driver.id);
+        console.warn(`Driver ${driver.id} suspended: document expired`);
+        await notify({
+            kind: 'document_expired',
+            to: driver.email,
+            subject: 'You have been taken offline',
+            body: `Hi ${driver.name}, one of your documents has expired, so your account is suspended. ` +
+                'Upload a renewed copy and you can go online again once it is approved.'
+        });
+    }
+    return suspended;
+};
+
+// Re-checks grandfathered drivers whose verification deadline has passed.
+// Those without approved documents by then are taken offline.
+const endGracePeriods = async () => {
+    const due = await repositories.drivers.listGraceExpired(new Date());
+
+    const unverified = [];
+    for (const { id } of due) {
+        const driver = await refreshVerification(id);
+        if (!driver || driver.verification_status === VERIFICATION_STATUS.VERIFIED) continue;
+
+        unverified.push(driver.id);
+        console.warn(`Driver ${driver.id} taken offline: verification deadline passed`);
+        await notify({
+            kind: 'verification_deadline',
+            to: driver.email,
+            subject: 'You have been taken offline',
+            body: `Hi ${driver.name}, the deadline to have your documents verified has passed. ` +
+                'Upload your license, registration and insurance and you can go online again once they are approved.'
+        });
+    }
+    return unverified;
+};
+
+// Drivers whose documents in force have expired or expire within `days`
+const getExpiryReport = async ({ days = 30 } = {}) => {
+    const documents = await repositories.drivers.listDocumentsInForce({ expiresBy: addDays(today(), days) });
+
+    return documents.map(doc => {
+        const daysRemaining = daysUntil(doc.expires_at);
+        return {
+            driver_id: doc.driver_id,
+            name: doc.name,
+            email: doc.email,
+            phone: doc.phone,
+            verification_status: doc.verification_status,
+            document_id: doc.id,
+            doc_type: doc.doc_type,
+            document_number: doc.document_number,
+            expires_at: doc.expires_at,
+            days_remaining: daysRemaining,
+            state: daysRemaining < 0 ? 'expired' : 'expiring'
+        };
+    });
+};
+
+// Expiry date in force per document type, e.g. { license: Date, insurance: Date }
+const getDocumentExpiries = async (driverId) => {
+    const documents = await repositories.drivers.listDocumentsInForce({ driverId });
+    return Object.fromEntries(documents.map(doc => [doc.doc_type, doc.expires_at]));
+};
+
+let checkTimer = null;
+
+const runExpiryCheck = async () => {
+    await endGracePeriods();
+    await suspendLapsedDrivers();
+    await sendExpiryWarnings();
+};
+
+const startExpiryMonitor = () => {
+    if (checkTimer) return;
+
+    let running = false;
+    const check = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await runExpiryCheck();
+        } catch (error) {
+            console.error('Document expiry check error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    checkTimer = setInterval(check, CHECK_INTERVAL_MINUTES * 60 * 1000);
+    checkTimer.unref();
+    check();
+};
+
+const stopExpiryMonitor = () => {
+    clearInterval(checkTimer);
+    checkTimer = null;
+};
+
+module.exports = {
+    WARNING_DAYS,
+    sendExpiryWarnings,
+    suspendLapsedDrivers,
+    endGracePeriods,
+    getExpiryReport,
+    getDocumentExpiries,
+    runExpiryCheck,
+    startExpiryMonitor,
+    stopExpiryMonitor
+};
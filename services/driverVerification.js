@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const repositories = require('../repositories');
+const { notify } = require('./notifier');
+const { AppError, ValidationError } = require('./errors');
+
+// Documents a driver must have approved and unexpired before going online
+const REQUIRED_DOCUMENT_TYPES = Object.freeze(['license', 'registration', 'insurance']);
+
+// Permits are optional, but once one has been approved it has to be kept valid
+const DOCUMENT_TYPES = Object.freeze([...REQUIRED_DOCUMENT_TYPES, 'permit']);
+
+const DOCUMENT_STATUS = Object.freeze({
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+});
+
+const VERIFICATION_STATUS = Object.freeze({
+    PENDING: 'pending',
+    VERIFIED: 'verified',
+    REJECTED: 'rejected',
+    SUSPENDED: 'suspended'
+});
+
+const DOCUMENT_DIR = path.resolve(process.env.DRIVER_DOCUMENT_DIR || path.join(__dirname, '..', 'uploads', 'driver-documents'));
+
+class VerificationError extends AppError {
+    constructor(message, status = 400) {
+        super(message, status);
+        this.name = 'VerificationError';
+    }
+}
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// A document stays valid through its expiry date
+const isLapsed = (expiresAt, now = new Date()) => new Date(expiresAt) < startOfDay(now);
+
+// Verified when every required type, and any permit held, has an approved,
+// unexpired document. Suspended when one of those lapsed without a valid
+// replacement. Rejected when a required type is still missing and its latest
+// upload was rejected.
+const computeVerificationStatus = (documents, now = new Date()) => {
+    const approved = (doc) => doc.status === DOCUMENT_STATUS.APPROVED && doc.expires_at;
+    const valid = (doc) => approved(doc) && !isLapsed(doc.expires_at, now);
+
+    const docsOf = (type) => documents
+        .filter(doc => doc.doc_type === type)
+        .sort((a, b) => new Date(b.uploaded_at) - new Date(a.uploaded_at));
+    const byType = DOCUMENT_TYPES
+        .map(type => ({ type, docs: docsOf(type) }))
+        .filter(({ type, docs }) => REQUIRED_DOCUMENT_TYPES.includes(type) || docs.some(approved));
+
+    if (byType.every(({ docs }) => docs.some(valid))) return VERIFICATION_STATUS.VERIFIED;
+    if (byType.some(({ docs }) => docs.some(approved) && !docs.some(valid))) return VERIFICATION_STATUS.SUSPENDED;
+    if (byType.some(({ docs }) => !docs.some(valid) && docs[0]?.status === DOCUMENT_STATUS.REJECTED)) {
+        return VERIFICATION_STATUS.REJECTED;
+    }
+    return VERIFICATION_STATUS.PENDING;
+};
+
+// Drivers who were on the road before verification existed (migration 019)
+// stay verified until their deadline while their documents are still missing
+// or being sorted out. A lapsed approved document suspends them as usual.
+const GRACE_STATUSES = [VERIFICATION_STATUS.PENDING, VERIFICATION_STATUS.REJECTED];
+
+const inGracePeriod = (driver, now = new Date()) =>
+    Boolean(driver.verification_grace_until) && new Date(driver.verification_grace_until) > now;
+
+// Recomputes drivers.verification_status. A driver who loses verification is
+// taken offline and made unavailable; regaining it makes them available again.
+// The returned row carries previous_status so callers can spot the change.
+// Pass the caller's transaction repositories as `db` to join its transaction.
+const refreshVerification = async (driverId, db = null) => {
+    if (!db) return repositories.transaction(tx => refreshVerification(driverId, tx));
+
+    const driver = await db.drivers.findById(driverId, { forUpdate: true });
+    if (!driver) return null;
+
+    const documented = computeVerificationStatus(await db.drivers.listDocuments(driverId));
+    const grandfathered = inGracePeriod(driver) && GRACE_STATUSES.includes(documented);
+    const status = grandfathered ? VERIFICATION_STATUS.VERIFIED : documented;
+    const verified = status === VERIFICATION_STATUS.VERIFIED;
+    const wasVerified = driver.verification_status === VERIFICATION_STATUS.VERIFIED;
+
+    await db.drivers.update(driverId, {
+        verification_status: status,
+        verified_at: verified ? driver.verified_at || new Date() : null,
+        verification_grace_until: grandfathered ? driver.verification_grace_until : null,
+        is_online: verified ? driver.is_online : false,
+        available: verified && (wasVerified ? driver.available : true)
+    });
+    return {
+        id: driver.id,
+        name: driver.name,
+        email: driver.email,
+        verification_status: status,
+        previous_status: driver.verification_status
+    };
+};
+
+const removeFile = (file) => {
+    if (file) fs.promises.unlink(file.path).catch(() => {});
+};
+
+// Stores an uploaded document for review. `file` is the multer upload.
+const submitDocument = async (driverId, { type, documentNumber, file }) => {
+    if (!DOCUMENT_TYPES.includes(type)) {
+        removeFile(file);
+        throw ValidationError.forField('type', `must be one of: ${DOCUMENT_TYPES.join(', ')}`,
+            `Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`);
+    }
+    if (!file) throw ValidationError.forField('file', 'is required', 'A document file is required');
+
+    const doc = await repositories.drivers.createDocument({
+        driver_id: driverId,
+        doc_type: type,
+        document_number: documentNumber?.trim() || null,
+        file_name: file.filename,
+        original_name: file.originalname,
+        mime_type: file.mimetype,
+        size_bytes: file.size
+    });
+    await refreshVerification(driverId);
+    return doc;
+};
+
+// What a driver sees of their own uploads
+const LISTED_FIELDS = [
+    'id', 'doc_type', 'document_number', 'original_name', 'mime_type', 'size_bytes', 'status',
+    'rejection_reason', 'expires_at', 'reviewed_at', 'uploaded_at'
+];
+
+const listDocuments = async (driverId) => {
+    const documents = await repositories.drivers.listDocuments(driverId);
+    return documents.map(doc => Object.fromEntries(LISTED_FIELDS.map(field => [field, doc[field]])));
+};
+
+const getDocument = async (documentId) => {
+    const doc = await repositories.drivers.findDocument(documentId);
+    if (!doc) throw new VerificationError('Document not found', 404);
+    return doc;
+};
+
+const documentPath = (doc) => path.join(DOCUMENT_DIR, doc.file_name);
+
+const notifyDriver = (driver, subject, body) =>
+    notify({ kind: 'driver_verification', to: driver.email, subject, body })
+        .catch(error => console.error('Error notifying driver:', error));
+
+// Approves or rejects one document and updates the driver's verification.
+// decision: { approve: true, expiresAt } or { approve: false, reason }
+const reviewDocument = async (documentId, admin, decision) => {
+    let expiresAt = null;
+    if (decision.approve) {
+        expiresAt = new Date(decision.expiresAt);
+        if (!decision.expiresAt || Number.isNaN(expiresAt.getTime())) {
+            throw ValidationError.forField('expires_at', 'must be a valid date',
+                'A valid expiry date is required to approve a document');
+        }
+        if (expiresAt <= new Date()) {
+            throw ValidationError.forField('expires_at', 'must be in the future', 'Expiry date must be in the future');
+        }
+    } else if (typeof decision.reason !== 'string' || !decision.reason.trim()) {
+        throw ValidationError.forField('reason', 'is required', 'A rejection reason is required');
+    }
+
+    const { doc, driver } = await repositories.transaction(async (tx) => {
+        const current = await tx.drivers.findDocument(documentId, { forUpdate: true });
+        if (!current) throw new VerificationError('Document not found', 404);
+        if (current.status !== DOCUMENT_STATUS.PENDING) {
+            throw new VerificationError(`Document was already ${current.status}`, 409);
+        }
+
+        const reviewed = await tx.drivers.reviewDocument(documentId, {
+            status: decision.approve ? DOCUMENT_STATUS.APPROVED : DOCUMENT_STATUS.REJECTED,
+            expiresAt,
+            rejectionReason: decision.approve ? null : decision.reason.trim(),
+            reviewedBy: admin.id
+        });
+
+        // The approved license is the one on record for the driver
+        if (decision.approve && reviewed.doc_type === 'license' && reviewed.document_number) {
+            await tx.drivers.update(reviewed.driver_id, { license_number: reviewed.document_number });
+        }
+
+        return { doc: reviewed, driver: await refreshVerification(reviewed.driver_id, tx) };
+    });
+
+    if (decision.approve) {
+        await notifyDriver(driver, `Your ${doc.doc_type} document was approved`,
+            driver.verification_status === VERIFICATION_STATUS.VERIFIED
+                ? 'All your documents are verified. You can now go online.'
+                : 'We are still reviewing the rest of your documents.');
+    } else {
+        await notifyDriver(driver, `Your ${doc.doc_type} document was rejected`,
+            `Reason: ${doc.rejection_reason}\nPlease upload a new copy.`);
+    }
+
+    return { document: doc, driver };
+};
+
+// Drivers waiting on review: pending verification with at least one upload
+// that has not been looked at yet
+const listVerificationQueue = () => repositories.drivers.listVerificationQueue();
+
+// Throws unless the driver is verified; used before a driver goes online
+const assertVerified = async (driverId) => {
+    const driver = await repositories.drivers.findById(driverId);
+    if (!driver) throw new VerificationError('Driver not found', 404);
+    if (driver.verification_status === VERIFICATION_STATUS.SUSPENDED) {
+        throw new VerificationError('Your account is suspended because a document has expired', 403);
+    }
+    if (driver.verification_status !== VERIFICATION_STATUS.VERIFIED) {
+        throw new VerificationError('Your documents must be verified before you can go online', 403);
+    }
+};
+
+module.exports = {
+    REQUIRED_DOCUMENT_TYPES,
+    DOCUMENT_TYPES,
+    DOCUMENT_STATUS,
+    VERIFICATION_STATUS,
+    DOCUMENT_DIR,
+    VerificationError,
+    isLapsed,
+    inGracePeriod,
+    computeVerificationStatus,
+    refreshVerification,
+    submitDocument,
+    listDocuments,
+    getDocument,
+    documentPath,
+    reviewDocument,
+    listVerificationQueue,
+    assertVerified
+};
@@ -0,0 +1,96 @@
+// Application errors. Each one carries an HTTP status and a stable `code`
+// for the response envelope, and its message is safe to show to the client.
+// Any other error is treated as internal: the error handler logs it and the
+// client only sees a generic 500.
+
+const ERROR_CODES = Object.freeze({
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    422: 'VALIDATION_FAILED',
+    429: 'TOO_MANY_REQUESTS',
+    500: 'INTERNAL_ERROR',
+    503: 'SERVICE_UNAVAILABLE'
+});
+
+class AppError extends Error {
+    // options: { code, details } where details is extra data for the client
+    constructor(message, status = 400, { code, details } = {}) {
+        super(message);
+        this.name = 'AppError';
+        this.status = status;
+        this.code = code || ERROR_CODES[status] || ERROR_CODES[500];
+        this.details = details;
+    }
+}
+
+class BadRequestError extends AppError {
+    constructor(message, options) {
+        super(message, 400, options);
+        this.name = 'BadRequestError';
+    }
+}
+
+class UnauthorizedError extends AppError {
+    constructor(message = 'Authentication required', options) {
+        super(message, 401, options);
+        this.name = 'UnauthorizedError';
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message = 'Access denied', options) {
+        super(message, 403, options);
+        this.name = 'ForbiddenError';
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message = 'Not found', options) {
+        super(message, 404, options);
+        this.name = 'NotFoundError';
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message, options) {
+        super(message, 409, options);
+        this.name = 'ConflictError';
+    }
+}
+
+// `errors` lists the invalid fields as { location, field, message }
+class ValidationError extends AppError {
+    constructor(errors, message = 'Validation failed') {
+        super(message, 422, { details: errors });
+        this.name = 'ValidationError';
+    }
+
+    // One invalid field caught past the request schema, e.g. in a service.
+    // `summary` is the top-level message, readable without the details.
+    static forField(field, message, summary, location = 'body') {
+        return new ValidationError([{ location, field, message }], summary);
+    }
+}
+
+class ServiceUnavailableError extends AppError {
+    constructor(message = 'Service unavailable', options) {
+        super(message, 503, options);
+        this.name = 'ServiceUnavailableError';
+    }
+}
+
+module.exports = {
+    ERROR_CODES,
+    AppError,
+    BadRequestError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    ValidationError,
+    ServiceUnavailableError
+};
@@ -0,0 +1,82 @@
+const repositories = require('../repositories');
+const { STATUS, COMMITTED_STATUSES, rideEvents } = require('./rideLifecycle');
+
+// In-process fan-out of live updates to connected clients. Each subscriber
+// listens on channels named after who it is: `user:<id>`, `driver:<id>` or
+// `admins`. Running several server instances would need a shared broker.
+const subscribers = new Map();
+
+const ADMIN_CHANNEL = 'admins';
+const userChannel = (id) => `user:${id}`;
+const driverChannel = (id) => `driver:${id}`;
+
+// Channels a token holder may listen on, or null for an unknown role
+const channelsFor = (user) => {
+    switch (user.role) {
+        case 'user': return [userChannel(user.id)];
+        case 'driver': return [driverChannel(user.id)];
+        case 'admin': return [ADMIN_CHANNEL];
+        default: return null;
+    }
+};
+
+const subscribe = (channels, send) => {
+    for (const channel of channels) {
+        if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+        subscribers.get(channel).add(send);
+    }
+    return () => {
+        for (const channel of channels) {
+            const listeners = subscribers.get(channel);
+            if (!listeners) continue;
+            listeners.delete(send);
+            if (listeners.size === 0) subscribers.delete(channel);
+        }
+    };
+};
+
+const publish = (channel, event, data) => {
+    for (const send of subscribers.get(channel) || []) {
+        try {
+            send(event, data);
+        } catch (error) {
+            console.error(`Error pushing ${event} to ${channel}:`, error);
+        }
+    }
+};
+
+const hasSubscribers = (channel) => subscribers.has(channel);
+
+rideEvents.on('created', ({ ride }) => {
+    publish(ADMIN_CHANNEL, 'ride.created', { ride });
+});
+
+rideEvents.on('transition', ({ ride, from, to, previousDriverId, reason }) => {
+    const payload = { ride_id: ride.id, status: to, previous_status: from, reason: reason || null, ride };
+
+    publish(userChannel(ride.user_id), 'ride.status', payload);
+    publish(ADMIN_CHANNEL, 'ride.status', payload);
+
+    if (ride.driver_id) {
+        publish(driverChannel(ride.driver_id), to === STATUS.ASSIGNED ? 'ride.assigned' : 'ride.status', payload);
+    }
+    if (previousDriverId && previousDriverId !== ride.driver_id) {
+        publish(driverChannel(previousDriverId), 'ride.unassigned', payload);
+    }
+});
+
+// Sends a driver's position to admin dashboards and to the rider of any trip
+// the driver is currently committed to
+const publishDriverLocation = async (driverId, location) => {
+    const payload = { driver_id: driverId, ...location, updated_at: new Date() };
+    publish(ADMIN_CHANNEL, 'driver.location', payload);
+
+    const rides = await repositories.rides.list({ driverId, statuses: COMMITTED_STATUSES });
+    for (const ride of rides) {
+        if (hasSubscribers(userChannel(ride.user_id))) {
+            publish(userChannel(ride.user_id), 'driver.location', { ...payload, ride_id: ride.id });
+        }
+    }
+};
+
+module.exports = { channelsFor, subscribe, publish, publishDriverLocation };
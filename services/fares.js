@@ -0,0 +1,153 @@
+const repositories = require('../repositories');
+const { getSettings } = require('./settings');
+const { haversineMeters } = require('./geo');
+
+const METERS_PER_MILE = 1609.344;
+
+// Straight-line distance is stretched by this factor to approximate the road
+// distance, and duration is derived from an average city speed.
+const ROUTE_FACTOR = parseFloat(process.env.FARE_ROUTE_FACTOR) || 1.3;
+const AVERAGE_SPEED_MPH = parseFloat(process.env.FARE_AVERAGE_SPEED_MPH) || 20;
+
+const RATE_FIELDS = ['base_fare', 'price_per_mile', 'price_per_minute', 'minimum_fare'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Rate card for a vehicle type, falling back to the global pricing settings
+// for any value the card does not override.
+const getRates = async (vehicleType, { db = repositories, settings } = {}) => {
+    const global = settings || await getSettings(db);
+    const rates = { vehicle_type: vehicleType || null };
+    for (const field of RATE_FIELDS) rates[field] = global[field];
+
+    if (!vehicleType) return rates;
+
+    const card = await db.settings.findRateCard(vehicleType);
+    if (card) {
+        for (const field of RATE_FIELDS) {
+            if (card[field] !== null) rates[field] = parseFloat(card[field]);
+        }
+    }
+    return rates;
+};
+
+// Pure fare calculation. Returns the total and the line items that make it up.
+const calculateFare = ({ distanceMeters = 0, durationSeconds = 0 }, rates) => {
+    const miles = distanceMeters / METERS_PER_MILE;
+    const minutes = durationSeconds / 60;
+
+    const breakdown = [
+        { code: 'base_fare', label: 'Base fare', amount: roundCurrency(rates.base_fare) },
+        {
+            code: 'distance',
+            label: `Distance (${miles.toFixed(2)} mi)`,
+            amount: roundCurrency(miles * rates.price_per_mile)
+        },
+        {
+            code: 'time',
+            label: `Time (${minutes.toFixed(1)} min)`,
+            amount: roundCurrency(minutes * rates.price_per_minute)
+        }
+    ];
+
+    let total = roundCurrency(breakdown.reduce((sum, item) => sum + item.amount, 0));
+    if (total < rates.minimum_fare) {
+        breakdown.push({
+            code: 'minimum_fare',
+            label: 'Minimum fare adjustment',
+            amount: roundCurrency(rates.minimum_fare - total)
+        });
+        total = roundCurrency(rates.minimum_fare);
+    }
+
+    return { total, breakdown };
+};
+
+// Approximate driving time over a straight-line distance
+const estimateTravelSeconds = (straightLineMeters) =>
+    Math.round((straightLineMeters * ROUTE_FACTOR / METERS_PER_MILE) / AVERAGE_SPEED_MPH * 3600);
+
+// Approximate road distance and travel time between two points
+const estimateTrip = ({ pickupLat, pickupLng, dropoffLat, dropoffLng }) => {
+    const straightLineMeters = haversineMeters(pickupLat, pickupLng, dropoffLat, dropoffLng);
+
+    return {
+        distanceMeters: Math.round(straightLineMeters * ROUTE_FACTOR),
+        durationSeconds: estimateTravelSeconds(straightLineMeters)
+    };
+};
+
+const hasCoordinates = (trip) =>
+    [trip.pickupLat, trip.pickupLng, trip.dropoffLat, trip.dropoffLng]
+        .every((value) => value !== null && value !== undefined);
+
+const tripOf = (ride) => ({
+    pickupLat: ride.pickup_lat,
+    pickupLng: ride.pickup_lng,
+    dropoffLat: ride.dropoff_lat,
+    dropoffLng: ride.dropoff_lng
+});
+
+// Upfront estimate for a trip, or null when the coordinates are not known
+const estimateFare = async (trip, { db = repositories } = {}) => {
+    if (!hasCoordinates(trip)) return null;
+
+    const estimate = estimateTrip(trip);
+    const rates = await getRates(trip.vehicleType, { db });
+    const fare = calculateFare(estimate, rates);
+
+    return { ...estimate, fare: fare.total, breakdown: fare.breakdown, rates };
+};
+
+// cab_requests columns holding the upfront estimate for a new ride
+const estimateColumns = async (trip, options) => {
+    const estimate = await estimateFare(trip, options);
+    if (!estimate) return {};
+
+    return {
+        estimated_fare: estimate.fare,
+        estimated_distance_meters: estimate.distanceMeters,
+        estimated_duration_seconds: estimate.durationSeconds,
+        fare_breakdown: JSON.stringify(estimate.breakdown)
+    };
+};
+
+// Final fare for a completed ride, written back to cab_requests. Uses the
+// recorded trip distance when there is one and the estimate otherwise. Rides
+// booked from a quote are charged the quoted price.
+const finalizeFare = async (ride, { db = repositories } = {}) => {
+    let distanceMeters = ride.trip_distance_meters ?? ride.estimated_distance_meters;
+    if (distanceMeters === null || distanceMeters === undefined) {
+        distanceMeters = hasCoordinates(tripOf(ride)) ? estimateTrip(tripOf(ride)).distanceMeters : 0;
+    }
+
+    const startedAt = ride.started_at || ride.accepted_at || ride.created_at;
+    const completedAt = ride.completed_at || new Date();
+    const durationSeconds = Math.max(0, Math.round((new Date(completedAt) - new Date(startedAt)) / 1000));
+
+    let fare;
+    if (ride.quoted_fare !== null && ride.quoted_fare !== undefined) {
+        fare = { total: parseFloat(ride.quoted_fare), breakdown: ride.fare_breakdown };
+    } else {
+        const rates = await getRates(ride.vehicle_type, { db });
+        fare = calculateFare({ distanceMeters, durationSeconds }, rates);
+    }
+
+    return db.rides.update(ride.id, {
+        fare_amount: fare.total,
+        fare_breakdown: JSON.stringify(fare.breakdown),
+        trip_distance_meters: Math.round(distanceMeters),
+        trip_duration_seconds: durationSeconds
+    });
+};
+
+module.exports = {
+    METERS_PER_MILE,
+    getRates,
+    calculateFare,
+    estimateTravelSeconds,
+    estimateTrip,
+    estimateFare,
+    estimateColumns,
+    finalizeFare
+};
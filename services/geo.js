@@ -0,0 +1,45 @@
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_PER_DEGREE_LAT = 111320;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two points in meters
+const haversineMeters = (lat1, lng1, lat2, lng2) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// SQL expression for the same distance, so it can be used in WHERE/ORDER BY
+// without PostGIS. The arguments are SQL fragments (columns or placeholders).
+const haversineSql = (latA, lngA, latB, lngB) => `(
+    ${2 * EARTH_RADIUS_METERS} * ASIN(LEAST(1, SQRT(
+        POWER(SIN(RADIANS((${latB}) - (${latA})) / 2), 2) +
+        COS(RADIANS(${latA})) * COS(RADIANS(${latB})) *
+        POWER(SIN(RADIANS((${lngB}) - (${lngA})) / 2), 2)
+    )))
+)`;
+
+// Lat/lng box around a point that contains every point within the radius.
+// Longitude is left unbounded near the poles and across the antimeridian.
+const boundingBox = (lat, lng, radiusMeters) => {
+    const dLat = radiusMeters / METERS_PER_DEGREE_LAT;
+    const cosLat = Math.cos(lat * Math.PI / 180);
+    const dLng = cosLat > 0.01 ? radiusMeters / (METERS_PER_DEGREE_LAT * cosLat) : 360;
+
+    const box = { minLat: lat - dLat, maxLat: lat + dLat, minLng: -180, maxLng: 180 };
+    if (lng - dLng >= -180 && lng + dLng <= 180) {
+        box.minLng = lng - dLng;
+        box.maxLng = lng + dLng;
+    }
+    return box;
+};
+
+const isValidCoordinate = (lat, lng) =>
+    Number.isFinite(lat) && Number.isFinite(lng) &&
+    lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+
+module.exports = { EARTH_RADIUS_METERS, haversineMeters, haversineSql, boundingBox, isValidCoordinate };
@@ -0,0 +1,140 @@
+const repositories = require('../repositories');
+const { AppError } = require('./errors');
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const MAX_ACCOUNT_FAILURES = envInt('LOGIN_MAX_ACCOUNT_FAILURES', 5);
+const MAX_IP_FAILURES = envInt('LOGIN_MAX_IP_FAILURES', 20);
+const FAILURE_WINDOW_MINUTES = envInt('LOGIN_FAILURE_WINDOW_MINUTES', 15);
+const LOCKOUT_MINUTES = envInt('LOGIN_LOCKOUT_MINUTES', 15);
+// Failures tolerated before each further attempt has to wait 1s, 2s, 4s, ...
+const DELAY_AFTER_FAILURES = envInt('LOGIN_DELAY_AFTER_FAILURES', 3);
+const MAX_DELAY_SECONDS = 60;
+
+class LoginBlockedError extends AppError {
+    constructor(message, retryAfterSeconds) {
+        const retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+        super(message, 429, { code: 'LOGIN_BLOCKED', details: { retryAfter } });
+        this.name = 'LoginBlockedError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+const normalize = (identifier) => String(identifier || '').trim().toLowerCase();
+
+const activeLockout = (scope, key) => repositories.logins.findActiveLockout(scope, key);
+
+// Failures within the window since the last cleared lockout. A successful
+// login resets its account's count but never its IP's.
+// An account key is `<role>:<identifier>`; an IP key is the address.
+const recentFailures = (scope, key) => repositories.logins.countRecentFailures(scope, key, FAILURE_WINDOW_MINUTES);
+
+const progressiveDelaySeconds = (failures) =>
+    failures < DELAY_AFTER_FAILURES ? 0 : Math.min(MAX_DELAY_SECONDS, 2 ** (failures - DELAY_AFTER_FAILURES));
+
+// Throws LoginBlockedError when the account or IP is locked out, or when the
+// caller retries sooner than the progressive delay allows
+const checkLoginAllowed = async (role, identifier, ip) => {
+    const accountKey = `${role}:${normalize(identifier)}`;
+
+    for (const [scope, key] of [['ip', ip], ['account', accountKey]]) {
+        if (!key) continue;
+        const lockout = await activeLockout(scope, key);
+        if (lockout) {
+            const seconds = (new Date(lockout.locked_until) - Date.now()) / 1000;
+            throw new LoginBlockedError('Too many failed login attempts. Try again later.', seconds);
+        }
+    }
+
+    const { failures, last_failure: lastFailure } = await recentFailures('account', accountKey);
+    const wait = progressiveDelaySeconds(failures) - (Date.now() - new Date(lastFailure)) / 1000;
+    if (lastFailure && wait > 0) {
+        throw new LoginBlockedError('Please wait before trying to log in again.', wait);
+    }
+};
+
+const lock = (scope, key, role, failures) =>
+    repositories.logins.createLockout({
+        scope,
+        lock_key: key,
+        role,
+        failed_count: failures,
+        locked_until: new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000)
+    });
+
+const recordAttempt = (role, identifier, ip, succeeded, { reason = null, userAgent = null } = {}) =>
+    repositories.logins.recordAttempt({
+        role,
+        identifier: normalize(identifier),
+        account_key: `${role}:${normalize(identifier)}`,
+        ip_address: ip || null,
+        succeeded,
+        failure_reason: reason,
+        user_agent: userAgent
+    });
+
+// Records a failed login and locks the account or IP once it crosses its limit
+const recordLoginFailure = async (role, identifier, ip, details = {}) => {
+    await recordAttempt(role, identifier, ip, false, details);
+    console.warn(`Failed ${role} login for "${normalize(identifier)}" from ${ip || 'unknown IP'}: ${details.reason}`);
+
+    const accountKey = `${role}:${normalize(identifier)}`;
+    const account = await recentFailures('account', accountKey);
+    if (account.failures >= MAX_ACCOUNT_FAILURES && !(await activeLockout('account', accountKey))) {
+        await lock('account', accountKey, role, account.failures);
+    }
+
+    if (ip) {
+        const byIp = await recentFailures('ip', ip);
+        if (byIp.failures >= MAX_IP_FAILURES && !(await activeLockout('ip', ip))) {
+            await lock('ip', ip, null, byIp.failures);
+        }
+    }
+};
+
+const recordLoginSuccess = (role, identifier, ip, details = {}) =>
+    recordAttempt(role, identifier, ip, true, details);
+
+// Middleware for login routes. Rejects blocked attempts with 429 and gives
+// the handler req.loginAttempt.failed(reason) / .succeeded() to report back.
+const guardLogin = (role, identifierField) => async (req, res, next) => {
+    const identifier = req.body?.[identifierField];
+    const details = { userAgent: req.get('user-agent') || null };
+
+    try {
+        await checkLoginAllowed(role, identifier, req.ip);
+    } catch (error) {
+        if (error instanceof LoginBlockedError) res.set('Retry-After', String(error.retryAfter));
+        return next(error);
+    }
+
+    req.loginAttempt = {
+        failed: (reason) => recordLoginFailure(role, identifier, req.ip, { ...details, reason }),
+        succeeded: () => recordLoginSuccess(role, identifier, req.ip, details)
+    };
+    next();
+};
+
+const listActiveLockouts = () => repositories.logins.listActiveLockouts();
+
+const clearLockout = (id, adminId) => repositories.logins.clearLockout(id, adminId);
+
+// Recent failed logins for the audit view, optionally narrowed to one IP
+// or identifier
+const listFailedLogins = ({ ip, identifier, limit = 100 } = {}) =>
+    repositories.logins.listFailedAttempts({
+        ip: ip || null,
+        identifier: identifier ? normalize(identifier) : null,
+        limit
+    });
+
+module.exports = {
+    LoginBlockedError,
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    guardLogin,
+    listActiveLockouts,
+    clearLockout,
+    listFailedLogins
+};
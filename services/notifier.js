@@ -0,0 +1,57 @@
+const fs = require('fs');
+
+// Delivers account messages (password resets, approvals, expiry warnings).
+// NOTIFIER picks the sink: 'console' or 'file', which appends one JSON line
+// per message to NOTIFIER_FILE. Real e-mail/SMS providers can be plugged in
+// with setNotifier().
+const sinks = {
+    console: async (message) => {
+        console.log(`[notify] to=${message.to} subject="${message.subject}"\n${message.body}`);
+    },
+    file: async (message) => {
+        const file = process.env.NOTIFIER_FILE || 'notifications.log';
+        await fs.promises.appendFile(file, `${JSON.stringify({ ...message, sent_at: new Date() })}\n`);
+    }
+};
+
+// The console sink prints message bodies, password reset codes included, so
+// it is only the default while developing or testing
+const CONSOLE_DEFAULT_ENVIRONMENTS = ['development', 'test'];
+
+let activeSink = null;
+
+const setNotifier = (sink) => {
+    activeSink = sink;
+};
+
+const configuredSink = () => {
+    const name = process.env.NOTIFIER ||
+        (CONSOLE_DEFAULT_ENVIRONMENTS.includes(process.env.NODE_ENV) ? 'console' : null);
+    if (!name) {
+        throw new Error('NOTIFIER must be set (console or file) unless NODE_ENV is development or test');
+    }
+    if (!sinks[name]) {
+        throw new Error(`Unknown NOTIFIER "${name}"; expected one of: ${Object.keys(sinks).join(', ')}`);
+    }
+    return sinks[name];
+};
+
+const currentSink = () => activeSink || configuredSink();
+
+// Called at startup so a missing setting stops the boot instead of the
+// first password reset
+const assertNotifierConfigured = () => {
+    currentSink();
+};
+
+// message: { to, subject, body, kind }
+const notify = async (message) => {
+    if (!message.to) {
+        console.warn(`Notification "${message.subject}" dropped: no recipient address`);
+        return false;
+    }
+    await currentSink()(message);
+    return true;
+};
+
+module.exports = { notify, setNotifier, assertNotifierConfigured, sinks };
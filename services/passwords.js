@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const repositories = require('../repositories');
+const { notify } = require('./notifier');
+const { revokeAllSessions } = require('./sessions');
+const { AppError, ValidationError } = require('./errors');
+
+const MIN_PASSWORD_LENGTH = 8;
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+
+// Repository holding each account type (looked up by the identifier it logs
+// in with), and where its reset messages are delivered
+const ACCOUNTS = Object.freeze({
+    user: {
+        repository: 'users',
+        contact: (row) => row.email || row.phone
+    },
+    driver: {
+        repository: 'drivers',
+        contact: (row) => row.email
+    },
+    admin: {
+        repository: 'admins',
+        contact: (row) => row.email
+    }
+});
+
+class PasswordError extends AppError {
+    constructor(message, status = 400) {
+        super(message, status);
+        this.name = 'PasswordError';
+    }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const checkStrength = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw ValidationError.forField('newPassword', `must be at least ${MIN_PASSWORD_LENGTH} characters`,
+            `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+};
+
+const setPassword = async (db, role, id, password) => {
+    const hashed = await bcrypt.hash(password, 10);
+    await db[ACCOUNTS[role].repository].updatePassword(id, hashed);
+};
+
+// Changes the password of a logged-in account and signs out its other sessions
+const changePassword = async (user, currentPassword, newPassword) => {
+    const row = await repositories[ACCOUNTS[user.role].repository].findById(user.id);
+
+    if (!row) throw new PasswordError('Account not found', 404);
+    if (!currentPassword || !row.password || !(await bcrypt.compare(currentPassword, row.password))) {
+        throw new PasswordError('Current password is incorrect', 401);
+    }
+    checkStrength(newPassword);
+    if (currentPassword === newPassword) {
+        throw ValidationError.forField('newPassword', 'must differ from the current password',
+            'New password must differ from the current one');
+    }
+
+    await setPassword(repositories, user.role, user.id, newPassword);
+    await revokeAllSessions(user.role, user.id, { exceptSessionId: user.sid });
+};
+
+// Sends a single-use reset link. Resolves the same way whether or not the
+// account exists so the endpoint cannot be used to probe for accounts.
+const requestPasswordReset = async (role, identifier) => {
+    if (!identifier) {
+        throw ValidationError.forField('identifier', 'is required', 'An e-mail address or username is required');
+    }
+
+    const account = ACCOUNTS[role];
+    const row = await repositories[account.repository].findByLogin(identifier);
+    if (!row) return;
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    // Only the newest link works
+    await repositories.passwordResets.invalidate(role, row.id);
+    await repositories.passwordResets.create({
+        subject_role: role,
+        subject_id: row.id,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+    });
+
+    await notify({
+        kind: 'password_reset',
+        to: account.contact(row),
+        subject: 'Reset your password',
+        body: `Use this code to reset your password: ${token}\n` +
+            `It expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can be used once.`
+    });
+};
+
+// Consumes a reset token and signs the account out everywhere
+const resetPassword = async (role, token, newPassword) => {
+    if (!token) throw ValidationError.forField('token', 'is required', 'Reset token is required');
+    checkStrength(newPassword);
+
+    const accountId = await repositories.transaction(async (tx) => {
+        const subjectId = await tx.passwordResets.consume(role, hashToken(token));
+        if (subjectId === null) {
+            throw new PasswordError('Reset token is invalid or has expired');
+        }
+
+        await setPassword(tx, role, subjectId, newPassword);
+        return subjectId;
+    });
+
+    await revokeAllSessions(role, accountId);
+};
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    PasswordError,
+    changePassword,
+    requestPasswordReset,
+    resetPassword
+};
@@ -0,0 +1,74 @@
+const jwt = require('jsonwebtoken');
+const { estimateFare } = require('./fares');
+const { BadRequestError } = require('./errors');
+
+const QUOTE_TTL_SECONDS = parseInt(process.env.QUOTE_TTL_SECONDS, 10) || 600;
+
+// Actual fares can drift from the estimate with traffic and routing; the
+// range shown to riders reflects that, while the quoted fare itself is locked.
+const RANGE_LOW = 0.9;
+const RANGE_HIGH = 1.25;
+
+class InvalidQuoteError extends BadRequestError {
+    constructor(message) {
+        super(message, { code: 'INVALID_QUOTE' });
+        this.name = 'InvalidQuoteError';
+    }
+}
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Prices a trip and signs the result so the booking call can reference it
+const issueQuote = async (userId, trip) => {
+    const estimate = await estimateFare(trip);
+    const expiresAt = new Date(Date.now() + QUOTE_TTL_SECONDS * 1000);
+
+    const quoteId = jwt.sign(
+        {
+            typ: 'fare_quote',
+            sub: userId,
+            trip: {
+                pickupLat: trip.pickupLat,
+                pickupLng: trip.pickupLng,
+                dropoffLat: trip.dropoffLat,
+                dropoffLng: trip.dropoffLng,
+                vehicleType: trip.vehicleType || null
+            },
+            fare: estimate.fare,
+            distanceMeters: estimate.distanceMeters,
+            durationSeconds: estimate.durationSeconds,
+            breakdown: estimate.breakdown
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: QUOTE_TTL_SECONDS }
+    );
+
+    return {
+        quoteId,
+        expiresAt,
+        distanceMeters: estimate.distanceMeters,
+        durationSeconds: estimate.durationSeconds,
+        fare: estimate.fare,
+        fareRange: {
+            min: roundCurrency(Math.max(estimate.rates.minimum_fare, estimate.fare * RANGE_LOW)),
+            max: roundCurrency(estimate.fare * RANGE_HIGH)
+        },
+        breakdown: estimate.breakdown
+    };
+};
+
+// Returns the signed quote if it is valid and belongs to the user
+const verifyQuote = (quoteId, userId) => {
+    let quote;
+    try {
+        quote = jwt.verify(quoteId, process.env.JWT_SECRET);
+    } catch (error) {
+        throw new InvalidQuoteError(error.name === 'TokenExpiredError' ? 'Quote has expired' : 'Invalid quote');
+    }
+    if (quote.typ !== 'fare_quote' || quote.sub !== userId) {
+        throw new InvalidQuoteError('Invalid quote');
+    }
+    return quote;
+};
+
+module.exports = { QUOTE_TTL_SECONDS, InvalidQuoteError, issueQuote, verifyQuote };
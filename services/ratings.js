@@ -0,0 +1,85 @@
+const repositories = require('../repositories');
+const { STATUS } = require('./rideLifecycle');
+const { AppError } = require('./errors');
+
+// Tags each side can attach to a rating, keyed by the role being rated
+const RATING_TAGS = Object.freeze({
+    driver: ['safe_driving', 'friendly', 'clean_vehicle', 'on_time', 'good_navigation',
+        'unsafe_driving', 'rude', 'dirty_vehicle', 'late', 'wrong_route'],
+    user: ['polite', 'on_time', 'respectful', 'rude', 'late', 'messy', 'wrong_pickup']
+});
+
+const MAX_COMMENT_LENGTH = 1000;
+
+class RatingError extends AppError {
+    constructor(message, status = 400) {
+        super(message, status);
+        this.name = 'RatingError';
+    }
+}
+
+const validateRating = ({ stars, tags = [], comment }, rateeRole) => {
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+        throw new RatingError('stars must be a whole number from 1 to 5');
+    }
+    if (!Array.isArray(tags) || tags.some(tag => !RATING_TAGS[rateeRole].includes(tag))) {
+        throw new RatingError(`tags must be any of: ${RATING_TAGS[rateeRole].join(', ')}`);
+    }
+    if (comment != null && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+        throw new RatingError(`comment must be text of at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+};
+
+// Rates the other party of a completed ride. `rater` is the authenticated
+// rider ({ role: 'user' }) or driver; each side can rate a ride once.
+const rateRide = async (rideId, rater, rating) => {
+    const rateeRole = rater.role === 'driver' ? 'user' : 'driver';
+    validateRating(rating, rateeRole);
+
+    const ownerColumn = rater.role === 'driver' ? 'driver_id' : 'user_id';
+    const ride = await repositories.rides.findById(rideId);
+
+    if (!ride || ride[ownerColumn] !== rater.id) throw new RatingError('Ride request not found', 404);
+    if (ride.status !== STATUS.COMPLETED) throw new RatingError('Only completed rides can be rated', 409);
+
+    const rateeId = rateeRole === 'driver' ? ride.driver_id : ride.user_id;
+    const uniqueTags = [...new Set(rating.tags || [])];
+
+    try {
+        return await repositories.rides.createRating({
+            ride_id: ride.id,
+            rater_role: rater.role,
+            rater_id: rater.id,
+            ratee_role: rateeRole,
+            ratee_id: rateeId,
+            stars: rating.stars,
+            tags: uniqueTags,
+            comment: rating.comment?.trim() || null
+        });
+    } catch (error) {
+        if (error.code === '23505') throw new RatingError('You have already rated this ride', 409);
+        throw error;
+    }
+};
+
+// Average, count and most used tags for one account
+const getRatingSummary = async (role, id) => {
+    const row = await repositories.rides.getRatingSummary(role, id);
+    return {
+        average: row.average === null ? null : parseFloat(row.average),
+        count: row.count,
+        top_tags: row.top_tags
+    };
+};
+
+// Drivers or riders averaging below `threshold` over at least `minRatings`
+const listLowRated = (options) => repositories.rides.listLowRated(options);
+
+module.exports = {
+    RATING_TAGS,
+    MAX_COMMENT_LENGTH,
+    RatingError,
+    rateRide,
+    getRatingSummary,
+    listLowRated
+};
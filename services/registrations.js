@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const { notify } = require('./notifier');
+const { AppError, ValidationError } = require('./errors');
+
+// pending_users rows are kept after review so applicants can look up the outcome
+const REGISTRATION_STATUS = Object.freeze({
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+});
+
+class RegistrationError extends AppError {
+    constructor(message, status = 400) {
+        super(message, status);
+        this.name = 'RegistrationError';
+    }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Stores a registration request. The returned statusToken is only kept as a
+// hash; the applicant needs it with the id to look the request up.
+const submitRegistration = async (fields) => {
+    const statusToken = crypto.randomBytes(24).toString('base64url');
+    const registration = await repositories.users.createRegistration({
+        ...fields,
+        status_token_hash: hashToken(statusToken)
+    });
+    return { pendingUserId: registration.id, statusToken };
+};
+
+// Locks a registration request that is still waiting for review
+const lockPending = async (db, id) => {
+    const pending = await db.users.findRegistration(id, { forUpdate: true });
+
+    if (!pending) throw new RegistrationError('Pending user not found', 404);
+    if (pending.status !== REGISTRATION_STATUS.PENDING) {
+        throw new RegistrationError(`Registration request was already ${pending.status}`, 409);
+    }
+    return pending;
+};
+
+const notifyApplicant = (pending, subject, body) =>
+    notify({ kind: 'registration_review', to: pending.email || pending.phone, subject, body })
+        .catch(error => console.error('Error notifying applicant:', error));
+
+// Creates the user account and marks the request approved by the given admin
+const approveRegistration = async (id, admin) => {
+    const { user, pending } = await repositories.transaction(async (tx) => {
+        const registration = await lockPending(tx, id);
+
+        if (await tx.users.findByUsernameOrEmail(registration.username, registration.email)) {
+            throw new RegistrationError('User already exists in system', 409);
+        }
+
+        const created = await tx.users.create({
+            username: registration.username,
+            email: registration.email,
+            password: registration.password,
+            phone: registration.phone,
+            role: registration.role || 'passenger'
+        });
+
+        await tx.users.reviewRegistration(id, {
+            status: REGISTRATION_STATUS.APPROVED,
+            reviewedBy: admin.id,
+            userId: created.id
+        });
+        return { user: created, pending: registration };
+    });
+
+    await notifyApplicant(pending, 'Your registration was approved',
+        `Hi ${pending.username}, your account has been approved. You can now log in.`);
+
+    delete user.password;
+    return user;
+};
+
+const rejectRegistration = async (id, admin, reason) => {
+    if (typeof reason !== 'string' || !reason.trim()) {
+        throw ValidationError.forField('reason', 'is required', 'A rejection reason is required');
+    }
+
+    const rejected = await repositories.transaction(async (tx) => {
+        await lockPending(tx, id);
+        return tx.users.reviewRegistration(id, {
+            status: REGISTRATION_STATUS.REJECTED,
+            reviewedBy: admin.id,
+            rejectionReason: reason.trim()
+        });
+    });
+
+    await notifyApplicant(rejected, 'Your registration was not approved',
+        `Hi ${rejected.username}, your registration request was rejected.\nReason: ${rejected.rejection_reason}`);
+
+    delete rejected.password;
+    delete rejected.status_token_hash;
+    return rejected;
+};
+
+const tokenMatches = (row, token) => {
+    if (!row?.status_token_hash || typeof token !== 'string') return false;
+    return crypto.timingSafeEqual(Buffer.from(row.status_token_hash), Buffer.from(hashToken(token)));
+};
+
+// What the applicant is allowed to see about their own request. A wrong
+// token reads as an unknown id, so ids cannot be probed.
+const getRegistrationStatus = async (id, token) => {
+    if (!/^\d+$/.test(String(id))) throw new RegistrationError('Registration request not found', 404);
+
+    const row = await repositories.users.findRegistration(id);
+    if (!tokenMatches(row, token)) throw new RegistrationError('Registration request not found', 404);
+
+    return {
+        pendingUserId: row.id,
+        status: row.status,
+        submittedAt: row.created_at,
+        reviewedAt: row.reviewed_at,
+        rejectionReason: row.status === REGISTRATION_STATUS.REJECTED ? row.rejection_reason : null
+    };
+};
+
+module.exports = {
+    REGISTRATION_STATUS,
+    RegistrationError,
+    submitRegistration,
+    approveRegistration,
+    rejectRegistration,
+    getRegistrationStatus
+};
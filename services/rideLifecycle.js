@@ -0,0 +1,192 @@
+const EventEmitter = require('events');
+const repositories = require('../repositories');
+const { NotFoundError, ConflictError } = require('./errors');
+
+// Emits 'created' and 'transition' once the change has been committed
+const rideEvents = new EventEmitter();
+
+// Every status a cab_requests row can be in. Routes must change status
+// through transition() so the rules below and the history table stay in sync.
+const STATUS = Object.freeze({
+    SCHEDULED: 'scheduled',
+    REQUESTED: 'requested',
+    ASSIGNED: 'assigned',
+    ACCEPTED: 'accepted',
+    ARRIVED: 'arrived',
+    IN_PROGRESS: 'in_progress',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    NO_SHOW: 'no_show'
+});
+
+const TRANSITIONS = Object.freeze({
+    [STATUS.SCHEDULED]: [STATUS.REQUESTED, STATUS.CANCELLED],
+    [STATUS.REQUESTED]: [STATUS.ASSIGNED, STATUS.CANCELLED],
+    [STATUS.ASSIGNED]: [STATUS.ACCEPTED, STATUS.REQUESTED, STATUS.CANCELLED],
+    [STATUS.ACCEPTED]: [STATUS.ARRIVED, STATUS.IN_PROGRESS, STATUS.CANCELLED],
+    [STATUS.ARRIVED]: [STATUS.IN_PROGRESS, STATUS.CANCELLED, STATUS.NO_SHOW],
+    [STATUS.IN_PROGRESS]: [STATUS.COMPLETED],
+    [STATUS.COMPLETED]: [],
+    [STATUS.CANCELLED]: [],
+    [STATUS.NO_SHOW]: []
+});
+
+// Statuses in which a driver is attached to the ride and the trip is not over
+const ACTIVE_STATUSES = Object.freeze([
+    STATUS.ASSIGNED,
+    STATUS.ACCEPTED,
+    STATUS.ARRIVED,
+    STATUS.IN_PROGRESS
+]);
+
+// Timestamp column stamped when a ride enters the given status
+const STATUS_TIMESTAMPS = Object.freeze({
+    [STATUS.ACCEPTED]: 'accepted_at',
+    [STATUS.ARRIVED]: 'arrived_at',
+    [STATUS.IN_PROGRESS]: 'started_at',
+    [STATUS.COMPLETED]: 'completed_at',
+    [STATUS.CANCELLED]: 'cancelled_at',
+    [STATUS.NO_SHOW]: 'cancelled_at'
+});
+
+class RideNotFoundError extends NotFoundError {
+    constructor(rideId) {
+        super('Ride request not found');
+        this.name = 'RideNotFoundError';
+        this.rideId = rideId;
+    }
+}
+
+class InvalidTransitionError extends ConflictError {
+    constructor(from, to) {
+        super(`Cannot change ride status from ${from} to ${to}`, { code: 'INVALID_TRANSITION' });
+        this.name = 'InvalidTransitionError';
+        this.from = from;
+        this.to = to;
+    }
+}
+
+// Statuses in which the assigned driver has committed to the ride
+const COMMITTED_STATUSES = Object.freeze([
+    STATUS.ACCEPTED,
+    STATUS.ARRIVED,
+    STATUS.IN_PROGRESS
+]);
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// A driver is busy from the moment they accept a ride until it ends, and
+// one suspended mid-trip stays out of dispatch once it does
+const syncDriverAvailability = async (db, from, to, previousDriverId, driverId) => {
+    if (to === STATUS.ACCEPTED && driverId) {
+        await db.drivers.update(driverId, { available: false });
+    } else if (COMMITTED_STATUSES.includes(from) && !COMMITTED_STATUSES.includes(to) && previousDriverId) {
+        const driver = await db.drivers.findById(previousDriverId, { forUpdate: true });
+        await db.drivers.update(previousDriverId, { available: driver?.verification_status === 'verified' });
+    }
+};
+
+const recordHistory = (db, rideId, from, to, { actor = {}, reason } = {}) =>
+    db.rides.addHistory({
+        ride_id: rideId,
+        from_status: from,
+        to_status: to,
+        actor_role: actor.role || 'system',
+        actor_id: actor.id || null,
+        reason: reason || null
+    });
+
+// Events raised inside a transaction are held back until it commits, so
+// listeners never see a change that was rolled back
+const emitAfterCommit = (db, name, payload) => {
+    if (Array.isArray(db.pendingRideEvents)) {
+        db.pendingRideEvents.push([name, payload]);
+    } else {
+        rideEvents.emit(name, payload);
+    }
+};
+
+// Runs fn inside a transaction, reusing the caller's transaction
+// repositories when they are given
+const withTransaction = async (db, fn) => {
+    if (db) return fn(db);
+
+    const { result, events } = await repositories.transaction(async (tx) => {
+        tx.pendingRideEvents = [];
+        const value = await fn(tx);
+        return { result: value, events: tx.pendingRideEvents };
+    });
+
+    for (const [name, payload] of events) {
+        rideEvents.emit(name, payload);
+    }
+    return result;
+};
+
+const runInTransaction = (fn) => withTransaction(null, fn);
+
+// Inserts a new ride and records its first history entry. Rides start out
+// requested, or scheduled when booked in advance.
+const createRide = (fields, { actor, db, status = STATUS.REQUESTED } = {}) => withTransaction(db, async (tx) => {
+    if (![STATUS.REQUESTED, STATUS.SCHEDULED].includes(status)) {
+        throw new Error(`Rides cannot be created as ${status}`);
+    }
+
+    const ride = await tx.rides.create({ ...fields, status });
+
+    await recordHistory(tx, ride.id, null, status, { actor });
+    emitAfterCommit(tx, 'created', { ride, actor });
+    return ride;
+});
+
+// Moves a ride to a new status. `changes` holds extra cab_requests columns to
+// set in the same update (e.g. driver_id on assignment). `expect` can narrow
+// the allowed source statuses for a route, and `driverId` restricts the change
+// to rides assigned to that driver.
+const transition = (rideId, to, { actor, reason, changes = {}, expect, driverId, db } = {}) =>
+    withTransaction(db, async (tx) => {
+        const ride = await tx.rides.findById(rideId, { forUpdate: true });
+
+        if (!ride || (driverId !== undefined && ride.driver_id !== driverId)) {
+            throw new RideNotFoundError(rideId);
+        }
+        if (!canTransition(ride.status, to) || (expect && !expect.includes(ride.status))) {
+            throw new InvalidTransitionError(ride.status, to);
+        }
+
+        const update = { status: to };
+        if (STATUS_TIMESTAMPS[to]) {
+            update[STATUS_TIMESTAMPS[to]] = new Date();
+        }
+        const updated = await tx.rides.update(rideId, { ...update, ...changes });
+
+        await syncDriverAvailability(tx, ride.status, to, ride.driver_id, updated.driver_id);
+        await recordHistory(tx, rideId, ride.status, to, { actor, reason });
+        emitAfterCommit(tx, 'transition', {
+            ride: updated,
+            from: ride.status,
+            to,
+            previousDriverId: ride.driver_id,
+            actor,
+            reason
+        });
+        return { ride: updated, previousStatus: ride.status };
+    });
+
+const getHistory = (rideId) => repositories.rides.listHistory(rideId);
+
+module.exports = {
+    STATUS,
+    TRANSITIONS,
+    ACTIVE_STATUSES,
+    COMMITTED_STATUSES,
+    RideNotFoundError,
+    InvalidTransitionError,
+    canTransition,
+    createRide,
+    transition,
+    getHistory,
+    rideEvents,
+    withTransaction,
+    runInTransaction
+};
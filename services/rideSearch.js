@@ -0,0 +1,22 @@
+const repositories = require('../repositories');
+const { STATUS } = require('./rideLifecycle');
+const { estimateTravelSeconds } = require('./fares');
+
+// Open ride requests whose pickup is within radiusMeters of the point,
+// nearest first, with the distance and an ETA to the pickup.
+const findNearbyRequests = async ({ lat, lng, radiusMeters, vehicleType = null, limit = 20 }) => {
+    const rows = await repositories.rides.findNearbyOpen({
+        lat, lng, radiusMeters, status: STATUS.REQUESTED, vehicleType, limit
+    });
+
+    return rows.map(row => {
+        const distanceMeters = Math.round(row.distance_meters);
+        return {
+            ...row,
+            distance_meters: distanceMeters,
+            eta_seconds: estimateTravelSeconds(distanceMeters)
+        };
+    });
+};
+
+module.exports = { findNearbyRequests };
@@ -0,0 +1,187 @@
+const repositories = require('../repositories');
+const { STATUS, RideNotFoundError, InvalidTransitionError, transition, runInTransaction } = require('./rideLifecycle');
+const { dispatchRide } = require('./dispatcher');
+const { estimateColumns } = require('./fares');
+const { isValidCoordinate } = require('./geo');
+const { AppError, ValidationError } = require('./errors');
+
+// Advance bookings must be at least MIN_LEAD_MINUTES and at most
+// BOOKING_WINDOW_DAYS ahead. They are handed to dispatch RELEASE_LEAD_MINUTES
+// before pickup.
+const MIN_LEAD_MINUTES = parseInt(process.env.SCHEDULED_RIDE_MIN_LEAD_MINUTES, 10) || 30;
+const BOOKING_WINDOW_DAYS = parseInt(process.env.SCHEDULED_RIDE_WINDOW_DAYS, 10) || 7;
+const RELEASE_LEAD_MINUTES = parseInt(process.env.SCHEDULED_RIDE_RELEASE_MINUTES, 10) || 15;
+// A requestTime up to this far past the server clock still means "now", so
+// clients that always send one, or run a little fast, book an immediate ride
+const IMMEDIATE_TOLERANCE_MINUTES = 2;
+const SWEEP_INTERVAL_SECONDS = parseInt(process.env.SCHEDULED_RIDE_SWEEP_INTERVAL_SECONDS, 10) || 60;
+
+const SCHEDULER = Object.freeze({ role: 'system', id: null });
+
+class ScheduleError extends AppError {
+    constructor(message, status = 400) {
+        super(message, status);
+        this.name = 'ScheduleError';
+    }
+}
+
+// True when a ride request's requestTime (possibly absent) asks for pickup now
+const isImmediatePickup = (value, now = new Date()) => {
+    if (value === null || value === undefined || value === '') return true;
+    const pickupAt = new Date(value);
+    return !Number.isNaN(pickupAt.getTime()) &&
+        pickupAt.getTime() <= now.getTime() + IMMEDIATE_TOLERANCE_MINUTES * 60000;
+};
+
+// Parses a requested pickup time and checks it falls inside the booking window
+const parsePickupTime = (value, now = new Date()) => {
+    const pickupAt = new Date(value);
+    if (value === null || value === undefined || value === '' || Number.isNaN(pickupAt.getTime())) {
+        throw ValidationError.forField('requestTime', 'must be a valid date and time', 'requestTime must be a valid date and time');
+    }
+
+    const earliest = new Date(now.getTime() + MIN_LEAD_MINUTES * 60000);
+    const latest = new Date(now.getTime() + BOOKING_WINDOW_DAYS * 86400000);
+    if (pickupAt < earliest) {
+        throw ValidationError.forField('requestTime', `must be at least ${MIN_LEAD_MINUTES} minutes ahead`,
+            `Scheduled rides must be booked at least ${MIN_LEAD_MINUTES} minutes ahead`);
+    }
+    if (pickupAt > latest) {
+        throw ValidationError.forField('requestTime', `must be at most ${BOOKING_WINDOW_DAYS} days ahead`,
+            `Scheduled rides can be booked at most ${BOOKING_WINDOW_DAYS} days ahead`);
+    }
+    return pickupAt;
+};
+
+const UPCOMING_FIELDS = [
+    'id', 'pickup_location', 'dropoff_location', 'pickup_lat', 'pickup_lng', 'dropoff_lat', 'dropoff_lng',
+    'vehicle_type', 'request_time', 'status', 'estimated_fare', 'quoted_fare', 'fare_breakdown', 'created_at'
+];
+
+const listUpcoming = async (userId) => {
+    const rides = await repositories.rides.list({ userId, statuses: [STATUS.SCHEDULED], sort: 'request_time' });
+    return rides.map(ride => Object.fromEntries(UPCOMING_FIELDS.map(field => [field, ride[field]])));
+};
+
+const TRIP_FIELDS = {
+    pickupLat: 'pickup_lat',
+    pickupLng: 'pickup_lng',
+    dropoffLat: 'dropoff_lat',
+    dropoffLng: 'dropoff_lng',
+    vehicleType: 'vehicle_type'
+};
+
+// Changes a booking that has not been released yet. `updates` may hold
+// requestTime, pickupLocation, dropoffLocation, the four coordinates and
+// vehicleType; a changed trip is re-priced and drops any quoted fare.
+const updateScheduledRide = (rideId, userId, updates) => runInTransaction(async (tx) => {
+    const ride = await tx.rides.findById(rideId, { forUpdate: true });
+
+    if (!ride || ride.user_id !== userId) throw new RideNotFoundError(rideId);
+    if (ride.status !== STATUS.SCHEDULED) {
+        throw new ScheduleError('Only upcoming scheduled rides can be changed', 409);
+    }
+
+    const changes = {};
+    if (updates.requestTime !== undefined) {
+        changes.request_time = parsePickupTime(updates.requestTime);
+    }
+    for (const [field, column] of [['pickupLocation', 'pickup_location'], ['dropoffLocation', 'dropoff_location']]) {
+        if (typeof updates[field] === 'string' && updates[field].trim()) {
+            changes[column] = updates[field].trim();
+        }
+    }
+
+    if (Object.keys(TRIP_FIELDS).some(field => updates[field] !== undefined)) {
+        const trip = {};
+        for (const [field, column] of Object.entries(TRIP_FIELDS)) {
+            trip[field] = updates[field] !== undefined ? updates[field] : ride[column];
+        }
+        for (const field of ['pickupLat', 'pickupLng', 'dropoffLat', 'dropoffLng']) {
+            trip[field] = trip[field] === null || trip[field] === '' ? NaN : Number(trip[field]);
+        }
+        trip.vehicleType = typeof trip.vehicleType === 'string' && trip.vehicleType.trim() ? trip.vehicleType.trim() : null;
+
+        if (!isValidCoordinate(trip.pickupLat, trip.pickupLng) || !isValidCoordinate(trip.dropoffLat, trip.dropoffLng)) {
+            throw new ScheduleError('Valid pickup and dropoff coordinates are required');
+        }
+        for (const [field, column] of Object.entries(TRIP_FIELDS)) {
+            changes[column] = trip[field];
+        }
+        Object.assign(changes, await estimateColumns(trip, { db: tx }), { quoted_fare: null });
+    }
+
+    if (Object.keys(changes).length === 0) {
+        throw new ScheduleError('Nothing to update');
+    }
+
+    return tx.rides.update(rideId, changes);
+});
+
+// Hands scheduled rides whose pickup is close to the dispatcher
+const releaseDueRides = async () => {
+    const due = await repositories.rides.list({
+        statuses: [STATUS.SCHEDULED],
+        requestTimeBefore: new Date(Date.now() + RELEASE_LEAD_MINUTES * 60000),
+        sort: 'request_time',
+        limit: 50
+    });
+
+    const released = [];
+    for (const { id } of due) {
+        try {
+            await transition(id, STATUS.REQUESTED, {
+                actor: SCHEDULER,
+                reason: 'Scheduled pickup approaching',
+                changes: { released_at: new Date() },
+                expect: [STATUS.SCHEDULED]
+            });
+        } catch (error) {
+            // Cancelled or changed since the query ran
+            if (error instanceof InvalidTransitionError) continue;
+            throw error;
+        }
+        released.push(id);
+        await dispatchRide(id).catch(error => console.error('Error dispatching scheduled ride:', error));
+    }
+    return released;
+};
+
+let sweepTimer = null;
+
+const startScheduler = () => {
+    if (sweepTimer) return;
+
+    let running = false;
+    sweepTimer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await releaseDueRides();
+        } catch (error) {
+            console.error('Scheduled ride sweep error:', error);
+        } finally {
+            running = false;
+        }
+    }, SWEEP_INTERVAL_SECONDS * 1000);
+    sweepTimer.unref();
+};
+
+const stopScheduler = () => {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+};
+
+module.exports = {
+    MIN_LEAD_MINUTES,
+    BOOKING_WINDOW_DAYS,
+    RELEASE_LEAD_MINUTES,
+    ScheduleError,
+    isImmediatePickup,
+    parsePickupTime,
+    listUpcoming,
+    updateScheduledRide,
+    releaseDueRides,
+    startScheduler,
+    stopScheduler
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const repositories = require('../repositories');
+const { UnauthorizedError } = require('./errors');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Stream tickets stand in for the access token in an event stream URL, where
+// it would end up in proxy and access logs. They only open event streams and
+// only for a few seconds.
+const STREAM_TICKET_PURPOSE = 'stream';
+const STREAM_TICKET_TTL_SECONDS = 30;
+
+const ACCESS_TOKEN_TTL = Object.freeze({
+    user: '1h',
+    admin: '1h',
+    driver: '8h'
+});
+
+class SessionError extends UnauthorizedError {
+    constructor(message) {
+        super(message);
+        this.name = 'SessionError';
+    }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Claims each role's access token carries besides id and role. Rebuilt from
+// stored accounts on every refresh so role or vehicle changes take effect.
+const loadClaims = async (role, id, db = repositories) => {
+    if (role === 'user') {
+        return await db.users.findById(id) ? {} : null;
+    }
+    if (role === 'driver') {
+        const driver = await db.drivers.findById(id);
+        return driver ? { vehicle_type: driver.vehicle_type } : null;
+    }
+    if (role === 'admin') {
+        const admin = await db.admins.findById(id);
+        return admin ? { username: admin.username, admin_role: admin.admin_role || 'super_admin' } : null;
+    }
+    return null;
+};
+
+const signAccessToken = (role, id, sessionId, claims) =>
+    jwt.sign(
+        { ...claims, id, role, sid: sessionId },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL[role] }
+    );
+
+// Short-lived ticket for GET /api/events, carrying the caller's claims and
+// session so revoking the session still ends the stream
+const issueStreamTicket = ({ iat, exp, ...claims }) => ({
+    ticket: jwt.sign(
+        { ...claims, purpose: STREAM_TICKET_PURPOSE },
+        process.env.JWT_SECRET,
+        { expiresIn: STREAM_TICKET_TTL_SECONDS }
+    ),
+    expiresIn: STREAM_TICKET_TTL_SECONDS
+});
+
+// Starts a session on login: one access token plus a long-lived refresh token
+const issueSession = async (role, id, claims, req) => {
+    const sessionId = crypto.randomUUID();
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    await repositories.sessions.create({
+        id: sessionId,
+        subject_role: role,
+        subject_id: id,
+        token_hash: hashToken(refreshToken),
+        user_agent: req?.get('user-agent') || null,
+        ip_address: req?.ip || null,
+        expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    return {
+        token: signAccessToken(role, id, sessionId, claims),
+        refreshToken,
+        sessionId
+    };
+};
+
+// Exchanges a refresh token for a new access/refresh pair. Presenting a
+// token that was already rotated means it leaked, so the session is revoked.
+const refreshSession = async (refreshToken) => {
+    if (!refreshToken) throw new SessionError('Refresh token is required');
+
+    const hash = hashToken(refreshToken);
+    const session = await repositories.sessions.findByTokenHash(hash);
+
+    if (!session) throw new SessionError('Invalid refresh token');
+    if (session.previous_token_hash === hash) {
+        await revokeSession(session.id);
+        throw new SessionError('Refresh token reuse detected; session revoked');
+    }
+    if (session.revoked_at) throw new SessionError('Session has been revoked');
+    if (new Date(session.expires_at) <= new Date()) throw new SessionError('Refresh token expired');
+
+    const claims = await loadClaims(session.subject_role, session.subject_id);
+    if (!claims) {
+        await revokeSession(session.id);
+        throw new SessionError('Account no longer exists');
+    }
+
+    const nextToken = crypto.randomBytes(48).toString('base64url');
+    const rotated = await repositories.sessions.rotate(session.id, hash, hashToken(nextToken));
+    // Lost a race with a concurrent refresh of the same token
+    if (!rotated) throw new SessionError('Invalid refresh token');
+
+    return {
+        token: signAccessToken(session.subject_role, session.subject_id, session.id, claims),
+        refreshToken: nextToken,
+        sessionId: session.id
+    };
+};
+
+const revokeSession = (sessionId) => repositories.sessions.revoke(sessionId);
+
+// Logs an account out everywhere, optionally keeping the caller's session
+const revokeAllSessions = (role, id, { exceptSessionId = null } = {}) =>
+    repositories.sessions.revokeAll(role, id, { exceptId: exceptSessionId });
+
+const isSessionActive = (sessionId) => repositories.sessions.isActive(sessionId);
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    STREAM_TICKET_PURPOSE,
+    SessionError,
+    issueSession,
+    issueStreamTicket,
+    refreshSession,
+    revokeSession,
+    revokeAllSessions,
+    isSessionActive
+};
@@ -0,0 +1,35 @@
+const repositories = require('../repositories');
+
+// Values used until an admin saves system_settings row 1
+const DEFAULT_SETTINGS = Object.freeze({
+    id: 1,
+    base_fare: 5.00,
+    price_per_mile: 1.50,
+    price_per_minute: 0.50,
+    minimum_fare: 7.00,
+    cancellation_fee: 5.00,
+    cancellation_grace_minutes: 2,
+    maintenance_mode: false,
+    maintenance_message: 'The service is down for maintenance. Please try again later.',
+    maintenance_retry_after_seconds: 900,
+    maintenance_allow_active_trips: true,
+    enable_notifications: true
+});
+
+// NUMERIC columns come back from pg as strings
+const NUMERIC_FIELDS = ['base_fare', 'price_per_mile', 'price_per_minute', 'minimum_fare', 'cancellation_fee'];
+
+const getSettings = async (db = repositories) => {
+    const saved = await db.settings.get();
+    const settings = { ...DEFAULT_SETTINGS };
+
+    for (const [key, value] of Object.entries(saved || {})) {
+        if (value !== null && value !== undefined) settings[key] = value;
+    }
+    for (const field of NUMERIC_FIELDS) {
+        settings[field] = parseFloat(settings[field]);
+    }
+    return settings;
+};
+
+module.exports = { DEFAULT_SETTINGS, getSettings };
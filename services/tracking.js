@@ -0,0 +1,78 @@
+const repositories = require('../repositories');
+const { STATUS } = require('./rideLifecycle');
+const { haversineMeters } = require('./geo');
+
+// Fixes worse than this are kept for replay but ignored for distance
+const MAX_ACCURACY_METERS = 100;
+
+// Stores a location ping against the trip the driver is currently on.
+// Returns the ride id, or null when the driver has no trip in progress.
+const recordTrackPoint = async (driverId, { latitude, longitude, accuracy }) => {
+    const [ride] = await repositories.rides.list({ driverId, statuses: [STATUS.IN_PROGRESS], limit: 1 });
+    if (!ride) return null;
+
+    await repositories.rides.addTrackPoint({
+        ride_id: ride.id,
+        driver_id: ride.driver_id,
+        latitude,
+        longitude,
+        accuracy: accuracy ?? null
+    });
+    return ride.id;
+};
+
+const getTrackPoints = (rideId, { db = repositories } = {}) => db.rides.listTrackPoints(rideId);
+
+// Length of the recorded path in meters, or null with fewer than two usable points
+const trackDistance = (points) => {
+    const usable = points.filter(point => point.accuracy === null || point.accuracy <= MAX_ACCURACY_METERS);
+    if (usable.length < 2) return null;
+
+    let meters = 0;
+    for (let i = 1; i < usable.length; i++) {
+        meters += haversineMeters(
+            usable[i - 1].latitude, usable[i - 1].longitude,
+            usable[i].latitude, usable[i].longitude
+        );
+    }
+    return Math.round(meters);
+};
+
+// Google encoded polyline format, understood by most map SDKs
+const encodePolyline = (points) => {
+    let lastLat = 0;
+    let lastLng = 0;
+    let encoded = '';
+
+    const encodeValue = (value) => {
+        let v = value < 0 ? ~(value << 1) : value << 1;
+        let chunk = '';
+        while (v >= 0x20) {
+            chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+            v >>= 5;
+        }
+        return chunk + String.fromCharCode(v + 63);
+    };
+
+    for (const point of points) {
+        const lat = Math.round(point.latitude * 1e5);
+        const lng = Math.round(point.longitude * 1e5);
+        encoded += encodeValue(lat - lastLat) + encodeValue(lng - lastLng);
+        lastLat = lat;
+        lastLng = lng;
+    }
+    return encoded;
+};
+
+const getTrack = async (rideId) => {
+    const points = await getTrackPoints(rideId);
+    return {
+        ride_id: Number(rideId),
+        point_count: points.length,
+        distance_meters: trackDistance(points),
+        polyline: encodePolyline(points),
+        points
+    };
+};
+
+module.exports = { recordTrackPoint, getTrackPoints, trackDistance, encodePolyline, getTrack };
@@ -0,0 +1,181 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createAdmin, loginAdmin } = require('./helpers/app');
+
+describe('registration and login', () => {
+    let admin;
+    let adminToken;
+    let pendingUserId;
+    let statusToken;
+
+    const registrationStatus = (id = pendingUserId, token = statusToken) =>
+        request('GET', `/api/user/registration-status/${id}?token=${encodeURIComponent(token)}`);
+
+    const rider = { username: 'asha', email: 'asha@example.com', phone: '+15551230000', password: 'asha-pass-1' };
+    const driver = {
+        name: 'Ravi',
+        email: 'ravi@example.com',
+        phone: '+15551230001',
+        password: 'ravi-pass-1',
+        vehicle_type: 'sedan',
+        vehicle_number: 'KA01XY0001'
+    };
+
+    before(async () => {
+        await start();
+        admin = await createAdmin();
+    });
+
+    after(stop);
+
+    it('logs an admin in', async () => {
+        const response = await request('POST', '/api/admin/login', {
+            body: { username: admin.username, password: admin.password }
+        });
+        assert.equal(response.status, 200);
+        assert.ok(response.body.data.token);
+        assert.equal(response.body.data.admin_role, 'super_admin');
+        adminToken = response.body.data.token;
+    });
+
+    it('rejects an admin with the wrong password', async () => {
+        const response = await request('POST', '/api/admin/login', {
+            body: { username: admin.username, password: 'not-the-password' }
+        });
+        assert.equal(response.status, 401);
+    });
+
+    it('queues a rider registration for approval', async () => {
+        const response = await request('POST', '/api/user/register', { body: rider });
+        assert.equal(response.status, 201);
+        ({ pendingUserId, statusToken } = response.body.data);
+        assert.ok(statusToken);
+
+        const status = await registrationStatus();
+        assert.equal(status.status, 200);
+        assert.equal(status.body.data.status, 'pending');
+    });
+
+    it('hides a registration from anyone without its status token', async () => {
+        const missing = await request('GET', `/api/user/registration-status/${pendingUserId}`);
+        assert.equal(missing.status, 422);
+
+        const guessed = await registrationStatus(pendingUserId, 'not-the-token');
+        assert.equal(guessed.status, 404);
+        assert.equal(guessed.body.error.message, 'Registration request not found');
+
+        const pending = await request('GET', '/api/admin/pending-users', { token: adminToken });
+        assert.equal(pending.body.data[0].status_token_hash, undefined);
+    });
+
+    it('refuses a second registration while one is pending', async () => {
+        const response = await request('POST', '/api/user/register', { body: rider });
+        assert.equal(response.status, 409);
+        assert.equal(response.body.error.code, 'CONFLICT');
+    });
+
+    it('does not let a pending rider log in', async () => {
+        const response = await request('POST', '/api/user/login', {
+            body: { email: rider.email, password: rider.password }
+        });
+        assert.equal(response.status, 401);
+    });
+
+    it('lists the registration for the admin and approves it', async () => {
+        const pending = await request('GET', '/api/admin/pending-users', { token: adminToken });
+        assert.equal(pending.status, 200);
+        assert.deepEqual(pending.body.data.map(registration => registration.username), [rider.username]);
+
+        const approved = await request('POST', `/api/admin/pending-users/${pendingUserId}/approve`, { token: adminToken });
+        assert.equal(approved.status, 200);
+        assert.equal(approved.body.data.username, rider.username);
+
+        const status = await registrationStatus();
+        assert.equal(status.body.data.status, 'approved');
+    });
+
+    it('logs the rider in by e-mail or phone number', async () => {
+        for (const login of [rider.email, rider.phone]) {
+            const response = await request('POST', '/api/user/login', {
+                body: { email: login, password: rider.password }
+            });
+            assert.equal(response.status, 200);
+            assert.ok(response.body.data.token);
+        }
+    });
+
+    it('rejects a rider with the wrong password', async () => {
+        const response = await request('POST', '/api/user/login', {
+            body: { email: rider.email, password: 'not-the-password' }
+        });
+        assert.equal(response.status, 401);
+    });
+
+    it('registers a driver and logs them in', async () => {
+        const registered = await request('POST', '/api/drivers/register', { body: driver });
+        assert.equal(registered.status, 201);
+        assert.equal(registered.body.data.driver.verification_status, 'pending');
+
+        const duplicate = await request('POST', '/api/drivers/register', { body: driver });
+        assert.equal(duplicate.status, 409);
+
+        const login = await request('POST', '/api/drivers/login', {
+            body: { email: driver.email, password: driver.password }
+        });
+        assert.equal(login.status, 200);
+        assert.ok(login.body.data.token);
+
+        const profile = await request('GET', '/api/drivers/profile', { token: login.body.data.token });
+        assert.equal(profile.status, 200);
+        assert.equal(profile.body.data.email, driver.email);
+    });
+
+    it('rejects a driver with the wrong password', async () => {
+        const response = await request('POST', '/api/drivers/login', {
+            body: { email: driver.email, password: 'not-the-password' }
+        });
+        assert.equal(response.status, 401);
+    });
+
+    it('keeps each role out of the other roles\' routes', async () => {
+        const login = await request('POST', '/api/user/login', {
+            body: { email: rider.email, password: rider.password }
+        });
+        const response = await request('GET', '/api/admin/users', { token: login.body.data.token });
+        assert.equal(response.status, 403);
+        assert.equal(response.body.error.code, 'FORBIDDEN');
+    });
+
+    it('logs a rider out of every device', async () => {
+        const login = () => request('POST', '/api/user/login', {
+            body: { email: rider.email, password: rider.password }
+        });
+        const phone = (await login()).body.data.token;
+        const laptop = (await login()).body.data.token;
+
+        const response = await request('POST', '/api/auth/logout', { token: phone, body: { allDevices: true } });
+        assert.equal(response.status, 200);
+        assert.ok(response.body.data.sessions >= 2);
+
+        const later = await request('GET', '/api/requests', { token: laptop });
+        assert.equal(later.status, 401);
+        assert.equal(later.body.error.message, 'Session has been revoked');
+    });
+
+    it('logs an admin out of every device', async () => {
+        const first = await loginAdmin(admin);
+        const second = await loginAdmin(admin);
+
+        const invalid = await request('POST', '/api/admin/logout', { token: first, body: { allDevices: 'yes' } });
+        assert.equal(invalid.status, 422);
+        assert.equal(invalid.body.error.details[0].field, 'allDevices');
+
+        const response = await request('POST', '/api/admin/logout', { token: first, body: { allDevices: true } });
+        assert.equal(response.status, 200);
+        assert.ok(response.body.data.sessions >= 2);
+
+        const later = await request('GET', '/api/admin/users', { token: second });
+        assert.equal(later.status, 401);
+        assert.equal(later.body.error.message, 'Session has been revoked');
+    });
+});
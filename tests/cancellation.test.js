@@ -0,0 +1,132 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createAdmin, loginAdmin, createRider, createDriver } = require('./helpers/app');
+const { calculateCancellationFee } = require('../services/cancellation');
+
+const TRIP = { pickupLat: 12.9716, pickupLng: 77.5946, dropoffLat: 12.9352, dropoffLng: 77.6245 };
+
+describe('cancellation fee', () => {
+    const settings = { cancellation_fee: 5, cancellation_grace_minutes: 2 };
+    const booked = new Date('2026-03-01T10:00:00Z');
+    const minutesLater = (minutes) => new Date(booked.getTime() + minutes * 60000);
+
+    it('is free within the grace window while nobody has accepted', () => {
+        const ride = { status: 'requested', created_at: booked };
+        assert.equal(calculateCancellationFee(ride, settings, minutesLater(1)), 0);
+        assert.equal(calculateCancellationFee(ride, settings, minutesLater(3)), 5);
+    });
+
+    it('is due as soon as a driver has accepted', () => {
+        const ride = { status: 'accepted', created_at: booked };
+        assert.equal(calculateCancellationFee(ride, settings, minutesLater(1)), 5);
+    });
+
+    it('is free for a scheduled ride and restarts the window on release', () => {
+        assert.equal(calculateCancellationFee({ status: 'scheduled', created_at: booked }, settings, minutesLater(600)), 0);
+
+        const released = { status: 'requested', created_at: booked, released_at: minutesLater(600) };
+        assert.equal(calculateCancellationFee(released, settings, minutesLater(601)), 0);
+    });
+});
+
+describe('cancelling a ride', () => {
+    let adminToken;
+    let rider;
+    let otherRider;
+    let driver;
+
+    const book = async () => (await request('POST', '/api/requests', { token: rider.token, body: TRIP })).body.data;
+
+    const accept = async (rideId) => {
+        await request('PUT', `/api/admin/requests/${rideId}/assign`, { token: adminToken, body: { driver_id: driver.id } });
+        const accepted = await request('POST', '/api/drivers/accept-request', { token: driver.token, body: { requestId: rideId } });
+        assert.equal(accepted.status, 200);
+    };
+
+    before(async () => {
+        await start();
+        adminToken = await loginAdmin(await createAdmin());
+        rider = await createRider(adminToken);
+        otherRider = await createRider(adminToken, { username: 'ben', email: 'ben@example.com', phone: '+15550000009' });
+        driver = await createDriver();
+    });
+
+    after(stop);
+
+    it('lets a rider cancel a fresh booking for free', async () => {
+        const ride = await book();
+        const response = await request('POST', `/api/requests/${ride.id}/cancel`, {
+            token: rider.token,
+            body: { reason: 'Changed my mind' }
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.message, 'Ride cancelled successfully');
+        assert.equal(response.body.data.status, 'cancelled');
+        assert.equal(Number(response.body.data.cancellation_fee), 0);
+        assert.equal(response.body.data.cancelled_by_role, 'user');
+        assert.equal(response.body.data.cancellation_reason, 'Changed my mind');
+    });
+
+    it('charges the rider once a driver has accepted', async () => {
+        const ride = await book();
+        await accept(ride.id);
+
+        const response = await request('POST', `/api/requests/${ride.id}/cancel`, { token: rider.token, body: {} });
+        assert.equal(response.status, 200);
+        assert.equal(Number(response.body.data.cancellation_fee), 5);
+        assert.equal(response.body.message, 'Ride cancelled. A cancellation fee of 5 applies.');
+    });
+
+    it('charges the policy an admin has set', async () => {
+        const policy = await request('PUT', '/api/admin/settings/cancellation', {
+            token: adminToken,
+            body: { cancellation_fee: 7.5, cancellation_grace_minutes: 2 }
+        });
+        assert.equal(policy.status, 200);
+
+        const ride = await book();
+        await accept(ride.id);
+        const response = await request('POST', `/api/requests/${ride.id}/cancel`, { token: rider.token, body: {} });
+        assert.equal(Number(response.body.data.cancellation_fee), 7.5);
+    });
+
+    it('lets an admin waive the fee', async () => {
+        const ride = await book();
+        await accept(ride.id);
+
+        const response = await request('POST', `/api/admin/requests/${ride.id}/cancel`, {
+            token: adminToken,
+            body: { reason: 'Driver broke down', waive_fee: true }
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.status, 'cancelled');
+        assert.equal(Number(response.body.data.cancellation_fee), 0);
+        assert.equal(response.body.data.cancelled_by_role, 'admin');
+    });
+
+    it('charges the fee when an admin cancels without waiving it', async () => {
+        const ride = await book();
+        await accept(ride.id);
+
+        const response = await request('POST', `/api/admin/requests/${ride.id}/cancel`, {
+            token: adminToken,
+            body: { reason: 'Rider no-show' }
+        });
+        assert.equal(Number(response.body.data.cancellation_fee), 7.5);
+    });
+
+    it('does not let a rider cancel someone else\'s ride', async () => {
+        const ride = await book();
+        const response = await request('POST', `/api/requests/${ride.id}/cancel`, { token: otherRider.token, body: {} });
+        assert.equal(response.status, 404);
+    });
+
+    it('does not cancel a ride twice', async () => {
+        const ride = await book();
+        await request('POST', `/api/requests/${ride.id}/cancel`, { token: rider.token, body: {} });
+
+        const again = await request('POST', `/api/requests/${ride.id}/cancel`, { token: rider.token, body: {} });
+        assert.equal(again.status, 409);
+        assert.equal(again.body.error.code, 'INVALID_TRANSITION');
+    });
+});
@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createAdmin, loginAdmin, createRider, createDriver } = require('./helpers/app');
+const repositories = require('../repositories');
+const { expireOffers } = require('../services/dispatcher');
+
+const TRIP = { pickupLat: 12.9716, pickupLng: 77.5946, dropoffLat: 12.9352, dropoffLng: 77.6245 };
+
+describe('driver offers', () => {
+    let adminToken;
+    let rider;
+    let driver;
+    let near;
+    let far;
+
+    const book = async () => (await request('POST', '/api/requests', { token: rider.token, body: TRIP })).body.data;
+
+    const assign = (rideId, driverId) => request('PUT', `/api/admin/requests/${rideId}/assign`, {
+        token: adminToken,
+        body: { driver_id: driverId }
+    });
+
+    const history = async (rideId) =>
+        (await request('GET', `/api/admin/requests/${rideId}/history`, { token: adminToken })).body.data;
+
+    const stored = async (rideId) => (await request('GET', `/api/admin/requests/${rideId}`, { token: adminToken })).body.data;
+
+    // Verifies a driver and brings them online `metres` north of the pickup
+    const goOnline = async (account, metres) => {
+        await repositories.drivers.update(account.id, { verification_status: 'verified' });
+        const response = await request('POST', '/api/drivers/location', {
+            token: account.token,
+            body: { current_latitude: TRIP.pickupLat + metres / 111320, current_longitude: TRIP.pickupLng, is_online: true }
+        });
+        assert.equal(response.status, 200);
+    };
+
+    // Runs the offer sweep as if `seconds` had passed
+    const expireAfter = async (t, seconds) => {
+        t.mock.timers.enable({ apis: ['Date'], now: Date.now() + seconds * 1000 });
+        try {
+            await expireOffers();
+        } finally {
+            t.mock.timers.reset();
+        }
+    };
+
+    before(async () => {
+        await start();
+        adminToken = await loginAdmin(await createAdmin());
+        rider = await createRider(adminToken);
+        driver = await createDriver();
+    });
+
+    after(stop);
+
+    it('reports a decline as done when the re-dispatch fails', async (t) => {
+        const ride = await book();
+        await assign(ride.id, driver.id);
+
+        // The decline commits in the first transaction; dispatch opens the next
+        const transaction = repositories.transaction;
+        let calls = 0;
+        t.mock.method(repositories, 'transaction', (fn) => {
+            calls += 1;
+            return calls === 1 ? transaction(fn) : Promise.reject(new Error('connection terminated'));
+        });
+        t.mock.method(console, 'error', () => {});
+
+        const response = await request('POST', '/api/drivers/decline-request', {
+            token: driver.token,
+            body: { requestId: ride.id, reason: 'Too far' }
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.status, 'requested');
+        assert.match(console.error.mock.calls[0].arguments[0], new RegExp(`request ${ride.id}`));
+
+        t.mock.restoreAll();
+        assert.equal((await stored(ride.id)).status, 'requested');
+    });
+
+    it('offers a new ride to the nearest online driver', async () => {
+        near = await createDriver({ name: 'Nina', email: 'nina@example.com', phone: '+15550000021' });
+        far = await createDriver({ name: 'Fred', email: 'fred@example.com', phone: '+15550000022' });
+        await goOnline(near, 300);
+        await goOnline(far, 2000);
+
+        const ride = await book();
+        assert.equal(ride.status, 'assigned');
+        assert.equal(ride.driver_id, near.id);
+
+        const offers = await request('GET', '/api/drivers/assigned-requests', { token: near.token });
+        assert.deepEqual(offers.body.data.map(offer => offer.id), [ride.id]);
+    });
+
+    it('leaves an offer open until it times out', async (t) => {
+        const ride = (await request('GET', '/api/drivers/assigned-requests', { token: near.token })).body.data[0];
+
+        await expireAfter(t, 20);
+        assert.equal((await stored(ride.id)).driver_id, near.id);
+    });
+
+    it('passes a timed-out offer to the next driver, then back to the pool', async (t) => {
+        const ride = (await request('GET', '/api/drivers/assigned-requests', { token: near.token })).body.data[0];
+
+        await expireAfter(t, 31);
+        const cascaded = await stored(ride.id);
+        assert.equal(cascaded.status, 'assigned');
+        assert.equal(cascaded.driver_id, far.id);
+        assert.equal((await request('GET', '/api/drivers/assigned-requests', { token: near.token })).body.data.length, 0);
+
+        // Nobody else is nearby, and neither driver is offered the ride twice
+        await expireAfter(t, 62);
+        const waiting = await stored(ride.id);
+        assert.equal(waiting.status, 'requested');
+        assert.equal(waiting.driver_id, null);
+
+        const reasons = (await history(ride.id)).map(entry => entry.reason);
+        assert.equal(reasons.filter(reason => reason === 'Driver did not respond to offer').length, 2);
+        assert.equal(reasons.filter(reason => reason === 'Automatic dispatch').length, 2);
+
+        await request('POST', `/api/requests/${ride.id}/cancel`, { token: rider.token, body: {} });
+    });
+
+    it('drops the offer of a ride cancelled while it was open', async (t) => {
+        const ride = await book();
+        assert.equal(ride.driver_id, near.id);
+
+        const cancelled = await request('POST', `/api/requests/${ride.id}/cancel`, { token: rider.token, body: {} });
+        assert.equal(cancelled.status, 200);
+
+        await expireAfter(t, 31);
+        assert.equal((await stored(ride.id)).status, 'cancelled');
+        assert.ok(!(await history(ride.id)).some(entry => entry.reason === 'Driver did not respond to offer'));
+
+        // The next ride goes straight back to the nearest driver
+        const next = await book();
+        assert.equal(next.driver_id, near.id);
+    });
+});
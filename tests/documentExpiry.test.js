@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Uploads go to a scratch directory, set before the app loads
+const documentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'driver-documents-'));
+process.env.DRIVER_DOCUMENT_DIR = documentDir;
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createAdmin, loginAdmin, createRider, createDriver } = require('./helpers/app');
+const repositories = require('../repositories');
+const { setNotifier } = require('../services/notifier');
+const { sendExpiryWarnings, suspendLapsedDrivers } = require('../services/documentExpiry');
+
+const TRIP = { pickupLat: 12.9716, pickupLng: 77.5946, dropoffLat: 12.9352, dropoffLng: 77.6245 };
+const NEXT_YEAR = `${new Date().getFullYear() + 1}-06-30`;
+
+// Local calendar date `days` from today, e.g. "2026-03-05"
+const inDays = (days) => {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(part => String(part).padStart(2, '0')).join('-');
+};
+
+describe('document expiry', () => {
+    let adminToken;
+    let rider;
+    let sent;
+
+    const upload = async (token, type) => {
+        const form = new FormData();
+        form.append('type', type);
+        form.append('file', new Blob(['%PDF-1.4'], { type: 'application/pdf' }), `${type}.pdf`);
+        return (await request('POST', '/api/drivers/documents', { token, body: form })).body.data;
+    };
+
+    // Registers a driver with every required document approved and online;
+    // returns the driver and their approved documents by type
+    const verifiedDriver = async (name, email, phone, expiresAt = NEXT_YEAR) => {
+        const driver = await createDriver({ name, email, phone });
+        const documents = {};
+        for (const type of ['license', 'registration', 'insurance']) {
+            const uploaded = await upload(driver.token, type);
+            await request('POST', `/api/admin/driver-documents/${uploaded.id}/approve`, {
+                token: adminToken,
+                body: { expires_at: expiresAt }
+            });
+            documents[type] = uploaded.id;
+        }
+        await goOnline(driver.token);
+        return { driver, documents };
+    };
+
+    const goOnline = (token) => request('POST', '/api/drivers/status', { token, body: { is_online: true } });
+
+    const profile = async (token) => (await request('GET', '/api/drivers/profile', { token })).body.data;
+
+    const sentTo = (driver, kind) => sent.filter(message => message.to === driver.email && message.kind === kind);
+
+    // Backdates an approved document so it has already lapsed
+    const lapse = (documentId) => repositories.drivers.reviewDocument(documentId, {
+        status: 'approved',
+        expiresAt: new Date(Date.now() - 3 * 24 * 3600000)
+    });
+
+    before(async () => {
+        await start();
+        adminToken = await loginAdmin(await createAdmin());
+        rider = await createRider(adminToken);
+        setNotifier(async (message) => { sent.push(message); });
+    });
+
+    after(async () => {
+        setNotifier(null);
+        await stop();
+        fs.rmSync(documentDir, { recursive: true, force: true });
+    });
+
+    it('warns once per threshold before a document expires', async () => {
+        sent = [];
+        const { driver, documents } = await verifiedDriver('Wes', 'wes@example.com', '+15550000012', inDays(5));
+
+        assert.equal(await sendExpiryWarnings(), 3);
+        const warnings = sentTo(driver, 'document_expiry_warning');
+        assert.equal(warnings.length, 3);
+        assert.match(warnings[0].subject, /expires in 5 day\(s\)$/);
+
+        // Nothing new until the next threshold is reached
+        assert.equal(await sendExpiryWarnings(), 0);
+
+        await repositories.drivers.reviewDocument(documents.license, { status: 'approved', expiresAt: inDays(1) });
+        assert.equal(await sendExpiryWarnings(), 1);
+        assert.match(sentTo(driver, 'document_expiry_warning').at(-1).subject, /^Your license expires in 1 day\(s\)$/);
+    });
+
+    it('suspends a driver once a document lapses and tells them', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        sent = [];
+        const { driver, documents } = await verifiedDriver('Sal', 'sal@example.com', '+15550000013');
+
+        await lapse(documents.registration);
+        assert.deepEqual(await suspendLapsedDrivers(), [driver.id]);
+        assert.equal(sentTo(driver, 'document_expired').length, 1);
+
+        const suspended = await profile(driver.token);
+        assert.equal(suspended.verification_status, 'suspended');
+        assert.equal(suspended.is_online, false);
+        assert.equal((await goOnline(driver.token)).status, 403);
+
+        // A driver already suspended is not suspended or told again
+        assert.deepEqual(await suspendLapsedDrivers(), []);
+        assert.equal(sentTo(driver, 'document_expired').length, 1);
+
+        // An approved renewal puts them back on the road
+        const renewed = await upload(driver.token, 'registration');
+        await request('POST', `/api/admin/driver-documents/${renewed.id}/approve`, {
+            token: adminToken,
+            body: { expires_at: NEXT_YEAR }
+        });
+        assert.equal((await profile(driver.token)).verification_status, 'verified');
+        assert.equal((await goOnline(driver.token)).status, 200);
+    });
+
+    it('keeps a driver suspended mid-trip unavailable once the trip ends', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        sent = [];
+        const { driver, documents } = await verifiedDriver('Mia', 'mia@example.com', '+15550000011');
+
+        const ride = (await request('POST', '/api/requests', { token: rider.token, body: TRIP })).body.data;
+        await request('PUT', `/api/admin/requests/${ride.id}/assign`, { token: adminToken, body: { driver_id: driver.id } });
+        for (const step of ['accept-request', 'arrived', 'start-trip']) {
+            const response = await request('POST', `/api/drivers/${step}`, { token: driver.token, body: { requestId: ride.id } });
+            assert.equal(response.status, 200);
+        }
+
+        await lapse(documents.insurance);
+        assert.deepEqual(await suspendLapsedDrivers(), [driver.id]);
+
+        const completed = await request('POST', '/api/drivers/complete-request', {
+            token: driver.token,
+            body: { requestId: ride.id }
+        });
+        assert.equal(completed.status, 200);
+
+        const stored = await repositories.drivers.findById(driver.id);
+        assert.equal(stored.verification_status, 'suspended');
+        assert.equal(stored.is_online, false);
+        assert.equal(stored.available, false);
+    });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createAdmin, loginAdmin, createRider } = require('./helpers/app');
+const repositories = require('../repositories');
+
+describe('response envelope', () => {
+    let rider;
+
+    before(async () => {
+        await start();
+        rider = await createRider(await loginAdmin(await createAdmin()));
+    });
+
+    after(stop);
+
+    it('wraps successful responses and tags them with a request id', async () => {
+        const response = await request('GET', '/api/requests', { token: rider.token });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.success, true);
+        assert.deepEqual(response.body.data, []);
+        assert.ok(response.body.requestId);
+        assert.equal(response.headers.get('x-request-id'), response.body.requestId);
+    });
+
+    it('keeps a request id supplied by the caller', async () => {
+        const response = await request('GET', '/api/requests', {
+            token: rider.token,
+            headers: { 'X-Request-Id': 'trace-1234' }
+        });
+        assert.equal(response.headers.get('x-request-id'), 'trace-1234');
+        assert.equal(response.body.requestId, 'trace-1234');
+    });
+
+    it('answers unknown API routes with NOT_FOUND', async () => {
+        const response = await request('GET', '/api/nothing-here');
+        assert.equal(response.status, 404);
+        assert.equal(response.body.success, false);
+        assert.equal(response.body.error.code, 'NOT_FOUND');
+        assert.equal(response.body.requestId, response.headers.get('x-request-id'));
+    });
+
+    it('rejects a malformed JSON body', async () => {
+        const response = await request('POST', '/api/user/login', { body: '{"email":' });
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body.error, { code: 'BAD_REQUEST', message: 'Request body is not valid JSON' });
+    });
+
+    it('takes only JSON types in a JSON body', async () => {
+        const response = await request('POST', '/api/requests', {
+            token: rider.token,
+            body: { pickupLat: '12.9716', pickupLng: 77.5946, dropoffLat: 12.9352, dropoffLng: 77.6245 }
+        });
+        assert.equal(response.status, 422);
+        assert.deepEqual(response.body.error.details, [{ location: 'body', field: 'pickupLat', message: 'must be a number' }]);
+
+        const logout = await request('POST', '/api/auth/logout', { token: rider.token, body: { allDevices: 'false' } });
+        assert.equal(logout.status, 422);
+        assert.equal(logout.body.error.details[0].message, 'must be true or false');
+    });
+
+    it('reports field problems found past the schema as VALIDATION_FAILED', async () => {
+        const response = await request('POST', '/api/user/change-password', {
+            token: rider.token,
+            body: { currentPassword: rider.password, newPassword: rider.password }
+        });
+        assert.equal(response.status, 422);
+        assert.deepEqual(response.body.error, {
+            code: 'VALIDATION_FAILED',
+            message: 'New password must differ from the current one',
+            details: [{ location: 'body', field: 'newPassword', message: 'must differ from the current password' }]
+        });
+    });
+
+    it('reports a missing token as UNAUTHORIZED', async () => {
+        const response = await request('GET', '/api/requests');
+        assert.equal(response.status, 401);
+        assert.equal(response.body.error.code, 'UNAUTHORIZED');
+    });
+
+    it('keeps internal error details out of the response', async (t) => {
+        t.mock.method(repositories.rides, 'listForUser', async () => {
+            throw new Error('relation "cab_requests" does not exist');
+        });
+        t.mock.method(console, 'error', () => {});
+
+        const response = await request('GET', '/api/requests', { token: rider.token });
+        assert.equal(response.status, 500);
+        assert.deepEqual(response.body.error, { code: 'INTERNAL_ERROR', message: 'Internal server error' });
+        assert.doesNotMatch(JSON.stringify(response.body), /cab_requests/);
+
+        // The details go to the server log, tagged with the request id
+        const [logged] = console.error.mock.calls;
+        assert.match(logged.arguments[0], new RegExp(response.body.requestId));
+        assert.match(logged.arguments[1].message, /cab_requests/);
+    });
+});
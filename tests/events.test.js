@@ -0,0 +1,75 @@
+// Set before the app loads so a revoked session is noticed within the test
+process.env.EVENT_SESSION_CHECK_SECONDS = '1';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, url, request, createAdmin, loginAdmin, createRider } = require('./helpers/app');
+
+// Opens an event stream; readUntil(pattern) collects its text until the
+// pattern matches or the stream ends, readUntil() until it ends
+const openStream = async (path) => {
+    const response = await fetch(url(path));
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+
+    const readUntil = async (pattern) => {
+        while (!pattern?.test(text)) {
+            const { value, done } = await reader.read();
+            if (done) return text;
+            text += decoder.decode(value);
+        }
+        return text;
+    };
+    return { response, readUntil, close: () => reader.cancel() };
+};
+
+describe('event stream', () => {
+    let rider;
+
+    const ticketFor = async (token) => (await request('POST', '/api/events/ticket', { token })).body.data.ticket;
+
+    before(async () => {
+        await start();
+        rider = await createRider(await loginAdmin(await createAdmin()));
+    });
+
+    after(stop);
+
+    it('no longer takes the access token in the URL', async () => {
+        const response = await request('GET', `/api/events?access_token=${rider.token}`);
+        assert.equal(response.status, 401);
+        assert.equal(response.body.error.message, 'No token provided');
+    });
+
+    it('opens with a stream ticket', async () => {
+        const stream = await openStream(`/api/events?ticket=${await ticketFor(rider.token)}`);
+        assert.equal(stream.response.status, 200);
+        assert.match(stream.response.headers.get('content-type'), /text\/event-stream/);
+        assert.match(await stream.readUntil(/event: connected/), new RegExp(`"id":${rider.id}`));
+        await stream.close();
+    });
+
+    it('does not accept a stream ticket as an access token', async () => {
+        const ticket = await ticketFor(rider.token);
+        const response = await request('GET', '/api/requests', { token: ticket });
+        assert.equal(response.status, 401);
+        assert.equal(response.body.error.message, 'Invalid token');
+    });
+
+    it('closes the stream once the session is revoked', async () => {
+        const ticket = await ticketFor(rider.token);
+        const stream = await openStream(`/api/events?ticket=${ticket}`);
+        await stream.readUntil(/event: connected/);
+
+        const logout = await request('POST', '/api/auth/logout', { token: rider.token });
+        assert.equal(logout.status, 200);
+
+        // The server ends the stream after telling the client why
+        assert.match(await stream.readUntil(), /event: session_revoked/);
+
+        const reopened = await request('GET', `/api/events?ticket=${ticket}`);
+        assert.equal(reopened.status, 401);
+        assert.equal(reopened.body.error.message, 'Session has been revoked');
+    });
+});
@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createAdmin, loginAdmin, createRider, createDriver } = require('./helpers/app');
+
+const TRIP = { pickupLat: 12.9716, pickupLng: 77.5946, dropoffLat: 12.9352, dropoffLng: 77.6245 };
+
+const csvLines = (text) => text.trim().split('\n');
+
+describe('CSV exports', () => {
+    let adminToken;
+    let rider;
+    let driver;
+    let rideId;
+
+    before(async () => {
+        await start();
+        adminToken = await loginAdmin(await createAdmin());
+        rider = await createRider(adminToken);
+        driver = await createDriver();
+
+        const created = await request('POST', '/api/requests', { token: rider.token, body: TRIP });
+        rideId = created.body.data.id;
+        await request('POST', '/api/requests', { token: rider.token, body: TRIP });
+        await request('PUT', `/api/admin/requests/${rideId}/assign`, { token: adminToken, body: { driver_id: driver.id } });
+    });
+
+    after(stop);
+
+    it('exports ride requests', async () => {
+        const response = await request('GET', '/api/admin/requests/export', { token: adminToken });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /text\/csv/);
+        assert.match(response.headers.get('content-disposition'), /requests-export\.csv/);
+
+        const lines = csvLines(response.body);
+        assert.equal(lines[0], '"id","user_name","pickup_location","dropoff_location","driver_name","status","fare_amount","created_at"');
+        assert.equal(lines.length, 3);
+        assert.ok(lines.some(line => line.startsWith(`${rideId},"${rider.username}",`) && line.includes(`"${driver.name}","assigned"`)));
+        assert.ok(lines.some(line => line.includes('"Not assigned","requested"')));
+    });
+
+    it('exports users', async () => {
+        const response = await request('GET', '/api/admin/users/export', { token: adminToken });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /text\/csv/);
+
+        const lines = csvLines(response.body);
+        assert.equal(lines[0], '"id","username","email","phone","gender","created_at"');
+        assert.equal(lines.length, 2);
+        assert.ok(lines[1].startsWith(`${rider.id},"${rider.username}","${rider.email}","${rider.phone}"`));
+    });
+
+    it('exports the dashboard summary', async () => {
+        const response = await request('GET', '/api/admin/dashboard/export', { token: adminToken });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /text\/csv/);
+
+        const lines = csvLines(response.body);
+        // Two rides, one still waiting, no revenue yet, one of one drivers free
+        assert.ok(lines[1].startsWith('"Summary Stats",2,1,"0.00",1,1'));
+        assert.ok(lines.some(line => line.startsWith('"Pending Requests"')));
+    });
+
+    it('requires the export permission', async () => {
+        const response = await request('GET', '/api/admin/requests/export', { token: rider.token });
+        assert.equal(response.status, 403);
+    });
+});
@@ -0,0 +1,88 @@
+const bcrypt = require('bcrypt');
+
+// The suite boots index.js against the in-memory store on a free port. The
+// background jobs stay off so they cannot race the requests under test.
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    STORAGE_BACKEND: 'memory',
+    PORT: '0',
+    JWT_SECRET: 'test-secret',
+    DISPATCH_ENABLED: 'false',
+    SCHEDULER_ENABLED: 'false',
+    DOCUMENT_EXPIRY_CHECK_ENABLED: 'false'
+});
+
+let server = null;
+let baseUrl = null;
+
+const start = async () => {
+    server = await require('../../index').ready;
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+};
+
+const stop = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+});
+
+// Absolute URL of an API path, for tests that need fetch() itself
+const url = (path) => baseUrl + path;
+
+// JSON bodies are parsed; anything else (CSV) is returned as text. A string
+// body is sent as it is, so tests can post malformed JSON, and FormData is
+// sent as a multipart upload.
+const request = async (method, path, { body, token, headers: extraHeaders = {} } = {}) => {
+    const headers = { ...extraHeaders };
+    const raw = typeof body === 'string' || body instanceof FormData;
+    if (body !== undefined && !(body instanceof FormData)) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(baseUrl + path, {
+        method,
+        headers,
+        body: body === undefined || raw ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return {
+        status: response.status,
+        headers: response.headers,
+        body: isJson ? JSON.parse(text) : text
+    };
+};
+
+// Admins have no sign-up route, so the first one goes straight into the store
+const createAdmin = async ({ username = 'ops', password = 'admin-pass-1', adminRole = 'super_admin' } = {}) => {
+    const repositories = require('../../repositories');
+    const admin = await repositories.admins.create({
+        username,
+        password: await bcrypt.hash(password, 4),
+        admin_role: adminRole
+    });
+    return { ...admin, password };
+};
+
+const loginAdmin = async ({ username, password }) => {
+    const response = await request('POST', '/api/admin/login', { body: { username, password } });
+    return response.body.data.token;
+};
+
+// Registers a rider, has the admin approve them and logs them in
+const createRider = async (adminToken, { username = 'rider', email = 'rider@example.com', phone = '+15550000001', password = 'rider-pass-1' } = {}) => {
+    const registered = await request('POST', '/api/user/register', { body: { username, email, phone, password } });
+    const approved = await request('POST', `/api/admin/pending-users/${registered.body.data.pendingUserId}/approve`, {
+        token: adminToken
+    });
+    const login = await request('POST', '/api/user/login', { body: { email, password } });
+    return { ...approved.body.data, password, token: login.body.data.token };
+};
+
+const createDriver = async ({ name = 'Dana Driver', email = 'driver@example.com', phone = '+15550000002', password = 'driver-pass-1' } = {}) => {
+    const registered = await request('POST', '/api/drivers/register', {
+        body: { name, email, phone, password, vehicle_type: 'sedan', vehicle_number: 'KA01AB1234', license_number: 'DL-1' }
+    });
+    const login = await request('POST', '/api/drivers/login', { body: { email, password } });
+    return { ...registered.body.data.driver, password, token: login.body.data.token };
+};
+
+module.exports = { start, stop, url, request, createAdmin, loginAdmin, createRider, createDriver };
@@ -0,0 +1,47 @@
+// Set before the app loads: trust the test client as a proxy so each
+// X-Forwarded-For value is a separate client, and lock an IP sooner
+Object.assign(process.env, { TRUST_PROXY: 'loopback', LOGIN_MAX_IP_FAILURES: '5' });
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createAdmin, loginAdmin, createRider } = require('./helpers/app');
+
+describe('login throttling', () => {
+    let rider;
+
+    const login = (ip, email, password) => request('POST', '/api/user/login', {
+        headers: { 'X-Forwarded-For': ip },
+        body: { email, password }
+    });
+
+    before(async () => {
+        await start();
+        rider = await createRider(await loginAdmin(await createAdmin()));
+    });
+
+    after(stop);
+
+    it('keeps counting failures from an address that also logs in successfully', async () => {
+        const ip = '203.0.113.10';
+        for (let attempt = 0; attempt < 4; attempt += 1) {
+            const response = await login(ip, `victim${attempt}@example.com`, 'guess-1234');
+            assert.equal(response.status, 401);
+        }
+
+        const own = await login(ip, rider.email, rider.password);
+        assert.equal(own.status, 200);
+
+        const fifth = await login(ip, 'victim4@example.com', 'guess-1234');
+        assert.equal(fifth.status, 401);
+
+        const blocked = await login(ip, rider.email, rider.password);
+        assert.equal(blocked.status, 429);
+        assert.equal(blocked.body.error.code, 'LOGIN_BLOCKED');
+        assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+    });
+
+    it('locks out only the client behind the proxy that failed', async () => {
+        const response = await login('203.0.113.20', rider.email, rider.password);
+        assert.equal(response.status, 200);
+    });
+});
@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createAdmin, loginAdmin, createRider, createDriver } = require('./helpers/app');
+
+const TRIP = { pickupLat: 12.9716, pickupLng: 77.5946, dropoffLat: 12.9352, dropoffLng: 77.6245 };
+
+describe('maintenance mode', () => {
+    let adminToken;
+    let rider;
+    let idleRider;
+    let driver;
+    let rideId;
+
+    const driverAction = (path) =>
+        request('POST', `/api/drivers/${path}`, { token: driver.token, body: { requestId: rideId } });
+
+    const setMaintenance = (settings) => request('PUT', '/api/admin/settings/system', {
+        token: adminToken,
+        body: { maintenance_mode: true, enable_notifications: true, maintenance_retry_after_seconds: 120, ...settings }
+    });
+
+    before(async () => {
+        await start();
+        adminToken = await loginAdmin(await createAdmin());
+        rider = await createRider(adminToken);
+        idleRider = await createRider(adminToken, { username: 'ben', email: 'ben@example.com', phone: '+15550000009' });
+        driver = await createDriver();
+
+        // A trip under way before maintenance starts
+        const created = await request('POST', '/api/requests', { token: rider.token, body: TRIP });
+        rideId = created.body.data.id;
+        await request('PUT', `/api/admin/requests/${rideId}/assign`, { token: adminToken, body: { driver_id: driver.id } });
+        for (const step of ['accept-request', 'arrived', 'start-trip']) {
+            assert.equal((await driverAction(step)).status, 200);
+        }
+
+        const enabled = await setMaintenance({ maintenance_allow_active_trips: true });
+        assert.equal(enabled.status, 200);
+    });
+
+    after(stop);
+
+    it('answers riders with 503 and Retry-After', async () => {
+        const response = await request('GET', '/api/requests', { token: idleRider.token });
+        assert.equal(response.status, 503);
+        assert.equal(response.body.error.code, 'MAINTENANCE');
+        assert.deepEqual(response.body.error.details, { retryAfter: 120 });
+        assert.equal(response.headers.get('retry-after'), '120');
+    });
+
+    it('lets admins through', async () => {
+        const response = await request('GET', '/api/requests/all', { token: adminToken });
+        assert.equal(response.status, 200);
+    });
+
+    it('does not let a rider on a trip book another ride', async () => {
+        const quote = await request('POST', '/api/requests/quote', { token: rider.token, body: TRIP });
+        assert.equal(quote.status, 503);
+
+        const booking = await request('POST', '/api/requests', { token: rider.token, body: TRIP });
+        assert.equal(booking.status, 503);
+
+        const offers = await request('GET', '/api/drivers/assigned-requests', { token: driver.token });
+        assert.equal(offers.status, 503);
+    });
+
+    it('holds the trip too when active trips are not allowed', async () => {
+        await setMaintenance({ maintenance_allow_active_trips: false });
+        const response = await request('GET', `/api/requests/${rideId}/track`, { token: rider.token });
+        assert.equal(response.status, 503);
+    });
+
+    it('lets the trip in progress finish', async () => {
+        await setMaintenance({ maintenance_allow_active_trips: true });
+
+        const track = await request('GET', `/api/requests/${rideId}/track`, { token: rider.token });
+        assert.equal(track.status, 200);
+
+        const location = await request('POST', '/api/drivers/location', {
+            token: driver.token,
+            body: { current_latitude: TRIP.dropoffLat, current_longitude: TRIP.dropoffLng }
+        });
+        assert.equal(location.status, 200);
+
+        const completed = await driverAction('complete-request');
+        assert.equal(completed.status, 200);
+        assert.equal(completed.body.data.status, 'completed');
+
+        // With the trip over the bypass ends as well
+        const again = await request('GET', `/api/requests/${rideId}/track`, { token: rider.token });
+        assert.equal(again.status, 503);
+    });
+});
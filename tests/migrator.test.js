@@ -0,0 +1,124 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const pool = require('../config/db');
+const { SchemaMismatchError, listMigrations, migrateUp, migrateDown, assertSchemaCurrent } = require('../db/migrator');
+
+const quiet = () => {};
+
+// Stands in for a Postgres connection: keeps schema_migrations in memory and
+// records the name of every migration script it runs. A script listed in
+// `failing` throws like a broken migration would.
+const fakeDatabase = () => {
+    const scripts = new Map(listMigrations().flatMap(migration => [migration.up, migration.down]
+        .filter(file => fs.existsSync(file))
+        .map(file => [fs.readFileSync(file, 'utf8'), path.basename(file)])));
+
+    const database = { applied: [], statements: [], failing: new Set(), released: 0 };
+
+    const query = async (sql, params = []) => {
+        const script = scripts.get(sql);
+        database.statements.push(script || sql.trim().split(/\s+/).slice(0, 2).join(' '));
+
+        if (script && database.failing.has(script)) throw new Error('relation "missing" does not exist');
+        if (sql.startsWith('SELECT version, name, applied_at')) {
+            return { rows: [...database.applied].sort((a, b) => a.version - b.version) };
+        }
+        if (sql.startsWith('INSERT INTO schema_migrations')) {
+            database.applied.push({ version: params[0], name: params[1], applied_at: new Date() });
+        }
+        if (sql.startsWith('DELETE FROM schema_migrations')) {
+            database.applied = database.applied.filter(row => row.version !== params[0]);
+        }
+        return { rows: [] };
+    };
+
+    database.client = { query, release: () => { database.released += 1; } };
+    return database;
+};
+
+describe('migrations', () => {
+    let database;
+
+    beforeEach((t) => {
+        database = fakeDatabase();
+        t.mock.method(pool, 'connect', async () => database.client);
+        t.mock.method(pool, 'query', database.client.query);
+    });
+
+    const applied = () => database.applied.map(row => row.version);
+    const scriptsRun = () => database.statements.filter(statement => statement.endsWith('.sql'));
+
+    it('numbers the migrations without gaps and gives each a down script', () => {
+        const migrations = listMigrations();
+        assert.deepEqual(migrations.map(migration => migration.version), migrations.map((_, index) => index + 1));
+        for (const migration of migrations) {
+            assert.ok(fs.existsSync(migration.down), `${path.basename(migration.down)} is missing`);
+        }
+    });
+
+    it('applies pending migrations in order, each in its own transaction', async () => {
+        const all = listMigrations();
+
+        const first = await migrateUp({ to: 2, log: quiet });
+        assert.deepEqual(first.map(migration => migration.version), [1, 2]);
+        assert.deepEqual(database.statements.slice(3, 6), ['BEGIN', path.basename(all[0].up), 'INSERT INTO']);
+        assert.equal(database.statements[6], 'COMMIT');
+
+        const rest = await migrateUp({ log: quiet });
+        assert.deepEqual(rest.map(migration => migration.version), all.slice(2).map(migration => migration.version));
+        assert.deepEqual(applied(), all.map(migration => migration.version));
+        assert.deepEqual(await migrateUp({ log: quiet }), []);
+
+        // Every run holds the migration lock and hands its connection back
+        assert.equal(database.statements.filter(statement => statement === 'SELECT pg_advisory_lock($1)').length, 3);
+        assert.equal(database.statements.filter(statement => statement === 'SELECT pg_advisory_unlock($1)').length, 3);
+        assert.equal(database.released, 3);
+    });
+
+    it('reverts the newest migrations with their down scripts', async () => {
+        const all = listMigrations();
+        await migrateUp({ log: quiet });
+        database.statements = [];
+
+        const reverted = await migrateDown({ steps: 2, log: quiet });
+        assert.deepEqual(reverted.map(row => row.version), [all.at(-1).version, all.at(-2).version]);
+        assert.deepEqual(scriptsRun(), [path.basename(all.at(-1).down), path.basename(all.at(-2).down)]);
+        assert.deepEqual(applied(), all.slice(0, -2).map(migration => migration.version));
+
+        // Going up again re-applies just those two
+        const reapplied = await migrateUp({ log: quiet });
+        assert.deepEqual(reapplied.map(migration => migration.version), [all.at(-2).version, all.at(-1).version]);
+    });
+
+    it('rolls back a failing migration and stops there', async () => {
+        const [, second] = listMigrations();
+        database.failing.add(path.basename(second.up));
+
+        await assert.rejects(migrateUp({ log: quiet }), new RegExp(`^Error: ${path.basename(second.up)}: relation`));
+        assert.deepEqual(applied(), [1]);
+        assert.equal(database.statements.at(-2), 'ROLLBACK');
+        assert.equal(database.released, 1);
+    });
+
+    it('refuses to revert a migration this code does not know', async () => {
+        database.applied.push({ version: 999, name: 'from_the_future', applied_at: new Date() });
+
+        await assert.rejects(migrateDown({ log: quiet }), /No down script for migration 999 from_the_future/);
+        assert.deepEqual(applied(), [999]);
+    });
+
+    it('reports a database that is behind or ahead of the code', async () => {
+        await migrateUp({ to: 3, log: quiet });
+        await assert.rejects(assertSchemaCurrent(), (error) =>
+            error instanceof SchemaMismatchError && error.pending.length === listMigrations().length - 3);
+
+        await migrateUp({ log: quiet });
+        await assertSchemaCurrent();
+
+        database.applied.push({ version: 999, name: 'from_the_future', applied_at: new Date() });
+        await assert.rejects(assertSchemaCurrent(), (error) =>
+            error instanceof SchemaMismatchError && error.unknown[0] === '999 from_the_future');
+    });
+});
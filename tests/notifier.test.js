@@ -0,0 +1,34 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { notify, assertNotifierConfigured } = require('../services/notifier');
+
+describe('notifier configuration', () => {
+    const saved = { NOTIFIER: process.env.NOTIFIER, NODE_ENV: process.env.NODE_ENV };
+
+    const setEnv = (values) => {
+        for (const [key, value] of Object.entries(values)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    };
+
+    afterEach(() => setEnv(saved));
+
+    it('refuses to fall back to the console outside development and test', async () => {
+        setEnv({ NOTIFIER: undefined, NODE_ENV: 'production' });
+        assert.throws(assertNotifierConfigured, /NOTIFIER must be set/);
+        await assert.rejects(notify({ to: 'a@example.com', subject: 'Reset', body: 'code' }), /NOTIFIER must be set/);
+    });
+
+    it('rejects an unknown sink', () => {
+        setEnv({ NOTIFIER: 'pigeon', NODE_ENV: 'production' });
+        assert.throws(assertNotifierConfigured, /Unknown NOTIFIER "pigeon"/);
+    });
+
+    it('prints to the console by default while testing', async (t) => {
+        setEnv({ NOTIFIER: undefined, NODE_ENV: 'test' });
+        t.mock.method(console, 'log', () => {});
+        assert.equal(await notify({ to: 'a@example.com', subject: 'Hello', body: 'Hi' }), true);
+        assert.match(console.log.mock.calls[0].arguments[0], /to=a@example.com subject="Hello"/);
+    });
+});
@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createAdmin, loginAdmin, createRider } = require('./helpers/app');
+const { setNotifier } = require('../services/notifier');
+
+describe('password reset', () => {
+    let rider;
+    let sent = [];
+
+    const forgot = (identifier) => request('POST', '/api/user/forgot-password', { body: { identifier } });
+
+    const reset = (token, newPassword) => request('POST', '/api/user/reset-password', { body: { token, newPassword } });
+
+    const login = (password) => request('POST', '/api/user/login', { body: { email: rider.email, password } });
+
+    const codeIn = (message) => message.body.match(/reset your password: (\S+)/)[1];
+
+    // Code from the newest reset message
+    const resetCode = () => codeIn(sent.at(-1));
+
+    before(async () => {
+        await start();
+        rider = await createRider(await loginAdmin(await createAdmin()));
+        setNotifier(async (message) => { sent.push(message); });
+    });
+
+    after(async () => {
+        setNotifier(null);
+        await stop();
+    });
+
+    it('resets the password with the code it sends', async () => {
+        sent = [];
+        const requested = await forgot(rider.email);
+        assert.equal(requested.status, 200);
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].to, rider.email);
+
+        const response = await reset(resetCode(), 'fresh-pass-2');
+        assert.equal(response.status, 200);
+
+        assert.equal((await login(rider.password)).status, 401);
+        assert.equal((await login('fresh-pass-2')).status, 200);
+        rider.password = 'fresh-pass-2';
+    });
+
+    it('accepts a reset code only once', async () => {
+        sent = [];
+        await forgot(rider.email);
+        const code = resetCode();
+
+        assert.equal((await reset(code, 'second-pass-3')).status, 200);
+
+        const again = await reset(code, 'third-pass-4');
+        assert.equal(again.status, 400);
+        assert.equal(again.body.error.message, 'Reset token is invalid or has expired');
+        assert.equal((await login('second-pass-3')).status, 200);
+        rider.password = 'second-pass-3';
+    });
+
+    it('accepts only the newest code', async () => {
+        sent = [];
+        await forgot(rider.email);
+        await forgot(rider.email);
+        const [older, newer] = sent.map(codeIn);
+
+        assert.equal((await reset(older, 'older-pass-5')).status, 400);
+        assert.equal((await reset(newer, 'newer-pass-6')).status, 200);
+        rider.password = 'newer-pass-6';
+    });
+
+    it('signs out every session of the account', async () => {
+        const session = (await login(rider.password)).body.data;
+        sent = [];
+        await forgot(rider.email);
+        await reset(resetCode(), 'signed-out-7');
+
+        const rides = await request('GET', '/api/requests', { token: session.token });
+        assert.equal(rides.status, 401);
+        assert.equal((await request('POST', '/api/auth/refresh', { body: { refreshToken: session.refreshToken } })).status, 401);
+        rider.password = 'signed-out-7';
+    });
+
+    it('answers the same for an unknown account and sends nothing', async () => {
+        sent = [];
+        const response = await forgot('nobody@example.com');
+        assert.equal(response.status, 200);
+        assert.equal(response.body.message, 'If the account exists, password reset instructions have been sent');
+        assert.equal(sent.length, 0);
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { start, stop, request, createAdmin, loginAdmin, createRider } = require('./helpers/app');
+
+const TRIP = { pickupLat: 12.9716, pickupLng: 77.5946, dropoffLat: 12.9352, dropoffLng: 77.6245 };
+
+describe('fare quotes', () => {
+    let rider;
+    let otherRider;
+
+    const quote = async () => (await request('POST', '/api/requests/quote', { token: rider.token, body: TRIP })).body.data;
+
+    const book = (quoteId, token = rider.token, trip = {}) =>
+        request('POST', '/api/requests', { token, body: { quoteId, ...trip } });
+
+    // Re-encodes a quote's claims without re-signing it
+    const tamper = (quoteId, changes) => {
+        const [header, payload, signature] = quoteId.split('.');
+        const claims = { ...JSON.parse(Buffer.from(payload, 'base64url').toString()), ...changes };
+        return [header, Buffer.from(JSON.stringify(claims)).toString('base64url'), signature].join('.');
+    };
+
+    before(async () => {
+        await start();
+        const adminToken = await loginAdmin(await createAdmin());
+        rider = await createRider(adminToken);
+        otherRider = await createRider(adminToken, { username: 'ben', email: 'ben@example.com', phone: '+15550000009' });
+    });
+
+    after(stop);
+
+    it('books the trip at the quoted fare', async () => {
+        const quoted = await quote();
+        assert.ok(quoted.fare > 0);
+        assert.ok(quoted.fareRange.min <= quoted.fare && quoted.fare <= quoted.fareRange.max);
+
+        const response = await book(quoted.quoteId);
+        assert.equal(response.status, 201);
+        assert.equal(Number(response.body.data.quoted_fare), quoted.fare);
+        assert.equal(Number(response.body.data.pickup_lat), TRIP.pickupLat);
+    });
+
+    it('rejects a quote whose fare was changed', async () => {
+        const quoted = await quote();
+
+        const response = await book(tamper(quoted.quoteId, { fare: 1 }));
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error.code, 'INVALID_QUOTE');
+        assert.equal(response.body.error.message, 'Invalid quote');
+    });
+
+    it('rejects an expired quote', async () => {
+        const { iat, exp, ...claims } = jwt.decode((await quote()).quoteId);
+        const expired = jwt.sign({ ...claims, iat: iat - 3600, exp: exp - 3600 }, process.env.JWT_SECRET);
+
+        const response = await book(expired);
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error.code, 'INVALID_QUOTE');
+        assert.equal(response.body.error.message, 'Quote has expired');
+    });
+
+    it('rejects another rider\'s quote', async () => {
+        const quoted = await quote();
+
+        const response = await book(quoted.quoteId, otherRider.token);
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error.code, 'INVALID_QUOTE');
+    });
+
+    it('rejects a quote sent with a different trip', async () => {
+        const quoted = await quote();
+
+        const response = await book(quoted.quoteId, rider.token, { ...TRIP, dropoffLat: 12.9 });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error.message, 'Trip does not match the quote');
+    });
+});
@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createAdmin, loginAdmin, createRider, createDriver } = require('./helpers/app');
+const repositories = require('../repositories');
+
+const TRIP = { pickupLat: 12.9716, pickupLng: 77.5946, dropoffLat: 12.9352, dropoffLng: 77.6245 };
+
+describe('ratings', () => {
+    let adminToken;
+    let rider;
+    let otherRider;
+    let driver;
+
+    const driverAction = (path, rideId) =>
+        request('POST', `/api/drivers/${path}`, { token: driver.token, body: { requestId: rideId } });
+
+    const book = async () => (await request('POST', '/api/requests', { token: rider.token, body: TRIP })).body.data;
+
+    // Books a ride and drives it through to completion
+    const completedRide = async () => {
+        const ride = await book();
+        await request('PUT', `/api/admin/requests/${ride.id}/assign`, { token: adminToken, body: { driver_id: driver.id } });
+        for (const step of ['accept-request', 'arrived', 'start-trip']) {
+            assert.equal((await driverAction(step, ride.id)).status, 200);
+        }
+        await request('POST', '/api/drivers/location', {
+            token: driver.token,
+            body: { current_latitude: TRIP.dropoffLat, current_longitude: TRIP.dropoffLng }
+        });
+        assert.equal((await driverAction('complete-request', ride.id)).status, 200);
+        return ride;
+    };
+
+    const rateDriver = (rideId, body, token = rider.token) =>
+        request('POST', `/api/requests/${rideId}/rating`, { token, body });
+
+    before(async () => {
+        await start();
+        adminToken = await loginAdmin(await createAdmin());
+        rider = await createRider(adminToken);
+        otherRider = await createRider(adminToken, { username: 'ben', email: 'ben@example.com', phone: '+15550000009' });
+        driver = await createDriver();
+        await repositories.drivers.update(driver.id, { verification_status: 'verified' });
+    });
+
+    after(stop);
+
+    it('lets the rider rate the driver of a completed ride once', async () => {
+        const ride = await completedRide();
+
+        const rated = await rateDriver(ride.id, { stars: 2, tags: ['late', 'late', 'rude'], comment: '  Took a detour  ' });
+        assert.equal(rated.status, 201);
+        assert.equal(rated.body.data.ratee_role, 'driver');
+        assert.equal(rated.body.data.ratee_id, driver.id);
+        assert.deepEqual(rated.body.data.tags, ['late', 'rude']);
+        assert.equal(rated.body.data.comment, 'Took a detour');
+
+        const again = await rateDriver(ride.id, { stars: 5 });
+        assert.equal(again.status, 409);
+        assert.equal(again.body.error.message, 'You have already rated this ride');
+    });
+
+    it('only rates completed rides of the rider', async () => {
+        const waiting = await book();
+        const early = await rateDriver(waiting.id, { stars: 4 });
+        assert.equal(early.status, 409);
+        assert.equal(early.body.error.message, 'Only completed rides can be rated');
+        await request('POST', `/api/requests/${waiting.id}/cancel`, { token: rider.token, body: {} });
+
+        const ride = await completedRide();
+        const stranger = await rateDriver(ride.id, { stars: 4 }, otherRider.token);
+        assert.equal(stranger.status, 404);
+    });
+
+    it('rejects stars and tags outside the scale', async () => {
+        const ride = await completedRide();
+
+        const response = await rateDriver(ride.id, { stars: 6, tags: ['polite'] });
+        assert.equal(response.status, 422);
+        assert.deepEqual(response.body.error.details.map(detail => detail.field), ['stars', 'tags']);
+    });
+
+    it('lets the driver rate the rider', async () => {
+        const ride = await completedRide();
+
+        const response = await request('POST', '/api/drivers/rate-rider', {
+            token: driver.token,
+            body: { requestId: ride.id, stars: 5, tags: ['polite'] }
+        });
+        assert.equal(response.status, 201);
+        assert.equal(response.body.data.ratee_role, 'user');
+        assert.equal(response.body.data.ratee_id, rider.id);
+    });
+
+    it('sums up the driver\'s ratings on their profile', async () => {
+        const ride = await completedRide();
+        await rateDriver(ride.id, { stars: 4, tags: ['late'] });
+
+        const profile = (await request('GET', '/api/drivers/profile', { token: driver.token })).body.data;
+        assert.equal(profile.rating.average, 3);
+        assert.equal(profile.rating.count, 2);
+        assert.deepEqual(profile.rating.top_tags, { late: 2, rude: 1 });
+    });
+
+    it('lists low-rated drivers for admins', async () => {
+        const response = await request('GET', '/api/admin/ratings/low-rated?role=driver&threshold=3.5&min_ratings=2', {
+            token: adminToken
+        });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.data.map(row => [row.id, row.rating_count, row.low_ratings]), [[driver.id, 2, 1]]);
+
+        const stricter = await request('GET', '/api/admin/ratings/low-rated?role=driver&min_ratings=3', { token: adminToken });
+        assert.deepEqual(stricter.body.data, []);
+    });
+});
@@ -0,0 +1,252 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createAdmin, loginAdmin, createRider, createDriver } = require('./helpers/app');
+const repositories = require('../repositories');
+
+// Pickup and drop-off about 3 km apart
+const TRIP = { pickupLat: 12.9716, pickupLng: 77.5946, dropoffLat: 12.9352, dropoffLng: 77.6245 };
+
+describe('ride lifecycle', () => {
+    let adminToken;
+    let rider;
+    let driver;
+    let otherDriver;
+    let rideId;
+
+    const driverAction = (path, token = driver.token) =>
+        request('POST', `/api/drivers/${path}`, { token, body: { requestId: rideId } });
+
+    const sendLocation = (latitude, longitude) => request('POST', '/api/drivers/location', {
+        token: driver.token,
+        body: { current_latitude: latitude, current_longitude: longitude, location_accuracy: 5 }
+    });
+
+    before(async () => {
+        await start();
+        adminToken = await loginAdmin(await createAdmin());
+        rider = await createRider(adminToken);
+        driver = await createDriver();
+        otherDriver = await createDriver({ name: 'Omar', email: 'omar@example.com', phone: '+15550000003' });
+
+        // Only a verified driver is made available again after a trip
+        await repositories.drivers.update(driver.id, { verification_status: 'verified' });
+    });
+
+    after(stop);
+
+    it('creates a ride request with an estimated fare', async () => {
+        const response = await request('POST', '/api/requests', { token: rider.token, body: TRIP });
+        assert.equal(response.status, 201);
+        assert.equal(response.body.data.status, 'requested');
+        assert.equal(response.body.data.driver_id, null);
+        assert.ok(response.body.data.estimated_fare > 0);
+        rideId = response.body.data.id;
+
+        const mine = await request('GET', '/api/requests', { token: rider.token });
+        assert.deepEqual(mine.body.data.map(ride => [ride.id, ride.status, ride.driver]), [[rideId, 'requested', null]]);
+    });
+
+    it('rejects a ride request without a pickup', async () => {
+        const response = await request('POST', '/api/requests', {
+            token: rider.token,
+            body: { dropoffLat: TRIP.dropoffLat, dropoffLng: TRIP.dropoffLng }
+        });
+        assert.equal(response.status, 422);
+        assert.equal(response.body.error.code, 'VALIDATION_FAILED');
+        assert.deepEqual(response.body.error.details, [
+            { location: 'body', field: 'pickupLat', message: 'is required' },
+            { location: 'body', field: 'pickupLng', message: 'is required' }
+        ]);
+    });
+
+    it('lists every invalid field of a location update', async () => {
+        const response = await request('POST', '/api/drivers/location', {
+            token: driver.token,
+            body: { current_latitude: 95, current_longitude: 'east', is_online: 'yes' }
+        });
+        assert.equal(response.status, 422);
+        assert.deepEqual(response.body.error.details.map(error => error.field), ['current_latitude', 'current_longitude', 'is_online']);
+    });
+
+    it('refuses to store a document of an unsupported type', async () => {
+        const form = new FormData();
+        form.append('type', 'license');
+        form.append('file', new Blob(['not a licence'], { type: 'text/plain' }), 'licence.txt');
+
+        const response = await request('POST', '/api/drivers/documents', { token: driver.token, body: form });
+        assert.equal(response.status, 422);
+        assert.equal(response.body.error.code, 'VALIDATION_FAILED');
+        assert.deepEqual(response.body.error.details, [
+            { location: 'body', field: 'file', message: 'must be one of: application/pdf, image/jpeg, image/png' }
+        ]);
+    });
+
+    it('keeps the online status when a location update leaves it out', async () => {
+        await request('POST', '/api/drivers/status', { token: driver.token, body: { is_online: false } });
+        const response = await request('POST', '/api/drivers/location', {
+            token: driver.token,
+            body: { current_latitude: TRIP.pickupLat, current_longitude: TRIP.pickupLng }
+        });
+        assert.equal(response.status, 200);
+
+        const profile = await request('GET', '/api/drivers/profile', { token: driver.token });
+        assert.equal(profile.body.data.is_online, false);
+    });
+
+    it('records the driver location', async () => {
+        const response = await sendLocation(TRIP.pickupLat, TRIP.pickupLng);
+        assert.equal(response.status, 200);
+
+        const locations = await request('GET', '/api/admin/drivers/locations', { token: adminToken });
+        const reported = locations.body.data.find(location => location.id === driver.id);
+        assert.equal(reported.lat, TRIP.pickupLat);
+        assert.equal(reported.lng, TRIP.pickupLng);
+        assert.equal(reported.online_status, 'Online');
+    });
+
+    it('lets an admin assign the ride to a driver', async () => {
+        const response = await request('PUT', `/api/admin/requests/${rideId}/assign`, {
+            token: adminToken,
+            body: { driver_id: driver.id }
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.status, 'assigned');
+        assert.equal(response.body.data.driver.id, driver.id);
+
+        const assigned = await request('GET', '/api/drivers/assigned-requests', { token: driver.token });
+        assert.deepEqual(
+            assigned.body.data.map(ride => [ride.id, ride.status, ride.status_display]),
+            [[rideId, 'assigned', 'ASSIGNED']]
+        );
+
+        const mine = await request('GET', '/api/requests', { token: rider.token });
+        assert.equal(mine.body.data[0].driver.id, driver.id);
+    });
+
+    it('validates the ride and driver ids of an assignment', async () => {
+        const response = await request('PUT', '/api/admin/requests/abc/assign', {
+            token: adminToken,
+            body: { driver_id: 0 }
+        });
+        assert.equal(response.status, 422);
+        assert.deepEqual(response.body.error.details, [
+            { location: 'params', field: 'id', message: 'must be a whole number' },
+            { location: 'body', field: 'driver_id', message: 'must be at least 1' }
+        ]);
+    });
+
+    it('keeps other drivers away from the ride', async () => {
+        const response = await driverAction('accept-request', otherDriver.token);
+        assert.equal(response.status, 404);
+        assert.equal(response.body.error.code, 'NOT_FOUND');
+    });
+
+    it('refuses to skip ahead in the lifecycle', async () => {
+        const response = await driverAction('complete-request');
+        assert.equal(response.status, 409);
+        assert.equal(response.body.error.code, 'INVALID_TRANSITION');
+    });
+
+    it('takes the ride through pickup and the trip', async () => {
+        const accepted = await driverAction('accept-request');
+        assert.equal(accepted.status, 200);
+        assert.equal(accepted.body.data.status, 'accepted');
+
+        const drivers = await request('GET', '/api/admin/drivers', { token: adminToken });
+        assert.equal(drivers.body.data.find(entry => entry.id === driver.id).available, false);
+
+        assert.equal((await driverAction('arrived')).body.data.status, 'arrived');
+        assert.equal((await driverAction('start-trip')).body.data.status, 'in_progress');
+    });
+
+    it('tracks the route while the trip is in progress', async () => {
+        await sendLocation(12.9600, 77.6040);
+        await sendLocation(12.9480, 77.6140);
+        await sendLocation(TRIP.dropoffLat, TRIP.dropoffLng);
+
+        const response = await request('GET', `/api/requests/${rideId}/track`, { token: rider.token });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.point_count, 3);
+        assert.ok(response.body.data.distance_meters > 0);
+    });
+
+    it('completes the ride and charges the fare', async () => {
+        const response = await driverAction('complete-request');
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.status, 'completed');
+        assert.ok(parseFloat(response.body.data.fare_amount) > 0);
+
+        const ride = await request('GET', `/api/admin/requests/${rideId}`, { token: adminToken });
+        assert.equal(ride.body.data.status, 'completed');
+        assert.equal(ride.body.data.driver_name, driver.name);
+
+        const drivers = await request('GET', '/api/admin/drivers', { token: adminToken });
+        assert.equal(drivers.body.data.find(entry => entry.id === driver.id).available, true);
+    });
+
+    it('records every status change in the history', async () => {
+        const response = await request('GET', `/api/admin/requests/${rideId}/history`, { token: adminToken });
+        assert.deepEqual(
+            response.body.data.map(entry => [entry.from_status, entry.to_status]),
+            [
+                [null, 'requested'],
+                ['requested', 'assigned'],
+                ['assigned', 'accepted'],
+                ['accepted', 'arrived'],
+                ['arrived', 'in_progress'],
+                ['in_progress', 'completed']
+            ]
+        );
+    });
+
+    it('assigns through the request routes as well', async () => {
+        const created = await request('POST', '/api/requests', { token: rider.token, body: TRIP });
+
+        const unknown = await request('PUT', `/api/requests/${created.body.data.id}/assign`, {
+            token: adminToken,
+            body: { driverId: 9999 }
+        });
+        assert.equal(unknown.status, 404);
+        assert.equal(unknown.body.error.message, 'Driver not found');
+
+        const response = await request('PUT', `/api/requests/${created.body.data.id}/assign`, {
+            token: adminToken,
+            body: { driverId: otherDriver.id }
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.status, 'assigned');
+        assert.equal(response.body.data.driver.id, otherDriver.id);
+
+        const all = await request('GET', '/api/requests/all', { token: adminToken });
+        assert.deepEqual(
+            all.body.data.map(ride => [ride.id, ride.status, ride.driver_name]),
+            [[created.body.data.id, 'assigned', otherDriver.name], [rideId, 'completed', driver.name]]
+        );
+    });
+
+    it('books an immediate ride when the request time is now', async () => {
+        const now = await request('POST', '/api/requests', {
+            token: rider.token,
+            body: { ...TRIP, requestTime: new Date().toISOString() }
+        });
+        assert.equal(now.status, 201);
+        assert.equal(now.body.data.status, 'requested');
+
+        const later = await request('POST', '/api/requests', {
+            token: rider.token,
+            body: { ...TRIP, requestTime: new Date(Date.now() + 2 * 3600000).toISOString() }
+        });
+        assert.equal(later.status, 201);
+        assert.equal(later.body.data.status, 'scheduled');
+
+        const tooSoon = await request('POST', '/api/requests', {
+            token: rider.token,
+            body: { ...TRIP, requestTime: new Date(Date.now() + 10 * 60000).toISOString() }
+        });
+        assert.equal(tooSoon.status, 422);
+        assert.equal(tooSoon.body.error.message, 'Scheduled rides must be booked at least 30 minutes ahead');
+        assert.deepEqual(tooSoon.body.error.details, [
+            { location: 'body', field: 'requestTime', message: 'must be at least 30 minutes ahead' }
+        ]);
+    });
+});
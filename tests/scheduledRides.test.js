@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createAdmin, loginAdmin, createRider, createDriver } = require('./helpers/app');
+const repositories = require('../repositories');
+const { releaseDueRides } = require('../services/scheduledRides');
+
+const TRIP = { pickupLat: 12.9716, pickupLng: 77.5946, dropoffLat: 12.9352, dropoffLng: 77.6245 };
+
+describe('scheduled ride release', () => {
+    let adminToken;
+    let rider;
+
+    const minutesAhead = (minutes) => new Date(Date.now() + minutes * 60000);
+
+    const schedule = async (minutes) => {
+        const response = await request('POST', '/api/requests', {
+            token: rider.token,
+            body: { ...TRIP, requestTime: minutesAhead(minutes).toISOString() }
+        });
+        assert.equal(response.body.data.status, 'scheduled');
+        return response.body.data;
+    };
+
+    // Moves a booking's pickup closer, as if time had passed
+    const pickupIn = (rideId, minutes) => repositories.rides.update(rideId, { request_time: minutesAhead(minutes) });
+
+    const stored = async (rideId) => (await request('GET', `/api/admin/requests/${rideId}`, { token: adminToken })).body.data;
+
+    before(async () => {
+        await start();
+        adminToken = await loginAdmin(await createAdmin());
+        rider = await createRider(adminToken);
+    });
+
+    after(stop);
+
+    it('holds a booking until its pickup is close', async () => {
+        const ride = await schedule(60);
+
+        assert.deepEqual(await releaseDueRides(), []);
+        assert.equal((await stored(ride.id)).status, 'scheduled');
+
+        const upcoming = await request('GET', '/api/requests/scheduled', { token: rider.token });
+        assert.ok(upcoming.body.data.some(entry => entry.id === ride.id));
+
+        await request('POST', `/api/requests/${ride.id}/cancel`, { token: rider.token, body: {} });
+    });
+
+    it('releases a booking to dispatch shortly before pickup', async () => {
+        const ride = await schedule(60);
+        await pickupIn(ride.id, 10);
+
+        assert.deepEqual(await releaseDueRides(), [ride.id]);
+        const released = await stored(ride.id);
+        assert.equal(released.status, 'requested');
+
+        const history = (await request('GET', `/api/admin/requests/${ride.id}/history`, { token: adminToken })).body.data;
+        const { from_status, to_status, actor_role, reason } = history.at(-1);
+        assert.deepEqual([from_status, to_status, actor_role, reason], ['scheduled', 'requested', 'system', 'Scheduled pickup approaching']);
+
+        // Released once only
+        assert.deepEqual(await releaseDueRides(), []);
+        await request('POST', `/api/requests/${ride.id}/cancel`, { token: rider.token, body: {} });
+    });
+
+    it('offers a released booking to a nearby driver', async () => {
+        const driver = await createDriver();
+        await repositories.drivers.update(driver.id, { verification_status: 'verified' });
+        await request('POST', '/api/drivers/location', {
+            token: driver.token,
+            body: { current_latitude: TRIP.pickupLat, current_longitude: TRIP.pickupLng, is_online: true }
+        });
+
+        const ride = await schedule(60);
+        assert.equal(ride.driver_id, null);
+        await pickupIn(ride.id, 10);
+
+        await releaseDueRides();
+        const offered = await stored(ride.id);
+        assert.equal(offered.status, 'assigned');
+        assert.equal(offered.driver_id, driver.id);
+    });
+
+    it('skips a booking cancelled before its release', async () => {
+        const ride = await schedule(60);
+        await request('POST', `/api/requests/${ride.id}/cancel`, { token: rider.token, body: {} });
+        await pickupIn(ride.id, 10);
+
+        assert.deepEqual(await releaseDueRides(), []);
+        assert.equal((await stored(ride.id)).status, 'cancelled');
+    });
+});
@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createAdmin, loginAdmin, createRider } = require('./helpers/app');
+
+describe('refresh tokens', () => {
+    let rider;
+
+    const login = async () =>
+        (await request('POST', '/api/user/login', { body: { email: rider.email, password: rider.password } })).body.data;
+
+    const refresh = (refreshToken) => request('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+    const myRides = (token) => request('GET', '/api/requests', { token });
+
+    before(async () => {
+        await start();
+        rider = await createRider(await loginAdmin(await createAdmin()));
+    });
+
+    after(stop);
+
+    it('rotates the refresh token on every refresh', async () => {
+        const session = await login();
+
+        const first = await refresh(session.refreshToken);
+        assert.equal(first.status, 200);
+        assert.notEqual(first.body.data.refreshToken, session.refreshToken);
+        assert.equal((await myRides(first.body.data.token)).status, 200);
+
+        const second = await refresh(first.body.data.refreshToken);
+        assert.equal(second.status, 200);
+        assert.notEqual(second.body.data.refreshToken, first.body.data.refreshToken);
+    });
+
+    it('revokes the session when a rotated token is presented again', async () => {
+        const session = await login();
+        const rotated = (await refresh(session.refreshToken)).body.data;
+
+        const reused = await refresh(session.refreshToken);
+        assert.equal(reused.status, 401);
+        assert.equal(reused.body.error.message, 'Refresh token reuse detected; session revoked');
+
+        // The legitimate holder is logged out as well
+        const next = await refresh(rotated.refreshToken);
+        assert.equal(next.status, 401);
+        assert.equal(next.body.error.message, 'Session has been revoked');
+
+        const rides = await myRides(rotated.token);
+        assert.equal(rides.status, 401);
+        assert.equal(rides.body.error.message, 'Session has been revoked');
+    });
+
+    it('leaves other sessions alone when one is revoked for reuse', async () => {
+        const other = await login();
+        const session = await login();
+        await refresh(session.refreshToken);
+        await refresh(session.refreshToken);
+
+        assert.equal((await myRides(other.token)).status, 200);
+        assert.equal((await refresh(other.refreshToken)).status, 200);
+    });
+
+    it('rejects an unknown refresh token', async () => {
+        const response = await refresh('not-a-refresh-token');
+        assert.equal(response.status, 401);
+        assert.equal(response.body.error.message, 'Invalid refresh token');
+    });
+});
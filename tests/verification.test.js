@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Uploads go to a scratch directory, set before the app loads
+const documentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'driver-documents-'));
+process.env.DRIVER_DOCUMENT_DIR = documentDir;
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, request, createAdmin, loginAdmin, createDriver } = require('./helpers/app');
+const repositories = require('../repositories');
+const { endGracePeriods } = require('../services/documentExpiry');
+
+const NEXT_YEAR = `${new Date().getFullYear() + 1}-06-30`;
+
+describe('driver verification', () => {
+    let adminToken;
+    let driver;
+    let veteran;
+
+    const upload = async (token, type) => {
+        const form = new FormData();
+        form.append('type', type);
+        form.append('file', new Blob(['%PDF-1.4'], { type: 'application/pdf' }), `${type}.pdf`);
+        return request('POST', '/api/drivers/documents', { token, body: form });
+    };
+
+    const review = (documentId, decision, body) =>
+        request('POST', `/api/admin/driver-documents/${documentId}/${decision}`, { token: adminToken, body });
+
+    const goOnline = (token) => request('POST', '/api/drivers/status', { token, body: { is_online: true } });
+
+    const profile = async (token) => (await request('GET', '/api/drivers/profile', { token })).body.data;
+
+    before(async () => {
+        await start();
+        adminToken = await loginAdmin(await createAdmin());
+        driver = await createDriver();
+        veteran = await createDriver({ name: 'Vera', email: 'vera@example.com', phone: '+15550000004' });
+    });
+
+    after(async () => {
+        await stop();
+        fs.rmSync(documentDir, { recursive: true, force: true });
+    });
+
+    it('keeps an unverified driver offline', async () => {
+        const status = await goOnline(driver.token);
+        assert.equal(status.status, 403);
+        assert.equal(status.body.error.message, 'Your documents must be verified before you can go online');
+
+        const location = await request('POST', '/api/drivers/location', {
+            token: driver.token,
+            body: { current_latitude: 12.97, current_longitude: 77.59, is_online: true }
+        });
+        assert.equal(location.status, 403);
+
+        // Reporting a position without going online is fine
+        const quiet = await request('POST', '/api/drivers/location', {
+            token: driver.token,
+            body: { current_latitude: 12.97, current_longitude: 77.59 }
+        });
+        assert.equal(quiet.status, 200);
+        assert.equal((await profile(driver.token)).is_online, false);
+    });
+
+    it('rejects a document with a reason', async () => {
+        const uploaded = await upload(driver.token, 'license');
+        assert.equal(uploaded.status, 201);
+
+        const missingReason = await review(uploaded.body.data.id, 'reject', {});
+        assert.equal(missingReason.status, 422);
+
+        const rejected = await review(uploaded.body.data.id, 'reject', { reason: 'Photo is blurred' });
+        assert.equal(rejected.status, 200);
+        assert.equal(rejected.body.data.document.status, 'rejected');
+        assert.equal(rejected.body.data.driver.verification_status, 'rejected');
+
+        const again = await review(uploaded.body.data.id, 'approve', { expires_at: NEXT_YEAR });
+        assert.equal(again.status, 409);
+    });
+
+    it('verifies the driver once every required document is approved', async () => {
+        let result;
+        for (const type of ['license', 'registration', 'insurance']) {
+            const uploaded = await upload(driver.token, type);
+            result = await review(uploaded.body.data.id, 'approve', { expires_at: NEXT_YEAR });
+            assert.equal(result.status, 200);
+            assert.equal(result.body.data.document.status, 'approved');
+        }
+        assert.equal(result.body.data.driver.verification_status, 'verified');
+
+        assert.equal((await goOnline(driver.token)).status, 200);
+        const verified = await profile(driver.token);
+        assert.equal(verified.is_online, true);
+        assert.ok(verified.document_expiry.license);
+    });
+
+    it('keeps a grandfathered driver on the road until the deadline', async () => {
+        const deadline = new Date(Date.now() + 7 * 24 * 3600000);
+        await repositories.drivers.update(veteran.id, { verification_status: 'verified', verification_grace_until: deadline });
+        assert.equal((await goOnline(veteran.token)).status, 200);
+
+        const uploaded = await upload(veteran.token, 'license');
+        assert.equal(uploaded.status, 201);
+        await review(uploaded.body.data.id, 'reject', { reason: 'Expired copy' });
+
+        const during = await profile(veteran.token);
+        assert.equal(during.verification_status, 'verified');
+        assert.equal(during.is_online, true);
+        assert.equal(new Date(during.verification_deadline).getTime(), deadline.getTime());
+    });
+
+    it('takes a grandfathered driver offline once the deadline passes', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        await repositories.drivers.update(veteran.id, { verification_grace_until: new Date(Date.now() - 1000) });
+
+        assert.deepEqual(await endGracePeriods(), [veteran.id]);
+
+        const lapsed = await profile(veteran.token);
+        assert.equal(lapsed.verification_status, 'rejected');
+        assert.equal(lapsed.is_online, false);
+        assert.equal(lapsed.verification_deadline, null);
+        assert.equal((await goOnline(veteran.token)).status, 403);
+    });
+});